@@ -1,37 +1,461 @@
 #!/usr/bin/env node
 
-const { unlinkLocalDependencies } = require('../lib/index.js');
-const { log } = require('../utils/log.js');
+const fs = require('fs');
+const path = require('path');
+const {
+    unlinkLocalDependencies,
+    resolveLocalDependencies,
+    watchLocalDependencies,
+    relinkLocalDependencies,
+    statusLocalDependencies,
+    vendorLocalDependencies,
+    unvendorLocalDependencies,
+    verifyLocalDependencies,
+    restoreLockfile,
+    formatPlan,
+    formatStatus,
+    formatVerify,
+    formatReport,
+} = require('../lib/index.js');
+const { log, LOG_FORMATS, createLogger } = require('../utils/log.js');
+const { parseArgs } = require('../utils/args.js');
 
-// Parse command-line arguments
-const args = process.argv.slice(2);
+const COMMANDS = ['relink', 'status', 'verify', 'vendor', 'unvendor'];
 
-// Help flag (handled before anything else)
-if (args.includes('--help') || args.includes('-h')) {
-    const usage = `
-Usage: resolve-local-dependencies [options]
+const OPTIONS = {
+    'help': { type: 'boolean', short: 'h' },
+    'version': { type: 'boolean', short: 'v' },
+    'silent': { type: 'boolean', default: false },
+    'quiet': { type: 'boolean', short: 'q', default: false },
+    'verbose': { type: 'boolean', default: false },
+    'log-format': { type: 'string', default: 'text' },
+    'install': { type: 'boolean', negatable: true, default: true },
+    'dev': { type: 'boolean', default: false },
+    'include': { type: 'string', multiple: true },
+    'ignore': { type: 'string', multiple: true },
+    'only': { type: 'string', multiple: true },
+    'exclude': { type: 'string', multiple: true },
+    'mode': { type: 'string' },
+    'symlinks': { type: 'string' },
+    'copy-strategy': { type: 'string' },
+    'dedupe': { type: 'boolean', default: false },
+    'package-manager': { type: 'string' },
+    'recursive': { type: 'boolean', negatable: true, default: true },
+    'workspaces': { type: 'boolean', default: false },
+    'materialize-workspaces': { type: 'boolean', default: false },
+    'scan': { type: 'boolean', default: false },
+    'scan-path': { type: 'string', multiple: true },
+    'concurrency': { type: 'string' },
+    'strict': { type: 'boolean', negatable: true },
+    'allow-nested': { type: 'boolean', default: false },
+    'lock-timeout': { type: 'string' },
+    'lockfile': { type: 'string' },
+    'install-links': { type: 'boolean', default: false },
+    'restore-lockfile': { type: 'boolean', default: false },
+    'cwd': { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    'json': { type: 'boolean', default: false },
+    'watch': { type: 'boolean', default: false },
+    'force': { type: 'boolean', default: false },
+    'dir': { type: 'string' },
+    'output': { type: 'string' },
+};
+
+const USAGE = `
+Usage: resolve-local-dependencies [pkg...] [options]
+       resolve-local-dependencies relink [pkg...] [--force]
+       resolve-local-dependencies status [--json]
+       resolve-local-dependencies verify [pkg...] [--json]
+       resolve-local-dependencies vendor [--dir <dir>] [--output <file>]
+       resolve-local-dependencies unvendor [--dir <dir>]
+
+Commands:
+  (none) [pkg...]    Replace the symlinked local dependencies with copies
+                     (only the named ones when packages are given)
+  relink [pkg...]    Replace the copies made by this tool with the original symlinks
+                     (all recorded copies when no package is named)
+  status             Report each local dependency as up-to-date, stale, modified-in-place,
+                     linked, unmanaged or missing
+  verify [pkg...]    Check each copy against its source: package name and version, main and
+                     exports files, leftover symlinks and differing files; exits with code 1
+                     on any problem
+  vendor             Copy the local dependencies into a directory of the project (vendor by
+                     default) and point the package.json specs there
+  unvendor           Restore the specs changed by vendor and remove the vendor directory
 
 Options:
   -h, --help         Show this help message
-  --silent           Suppress non-error output
+  -v, --version      Print the version
+  --cwd <dir>        Run in dir instead of the current directory
+  --silent           Suppress all log output, errors included (the output of --dry-run,
+                     --json, status and verify is still printed)
+  -q, --quiet        Only print warnings and errors
+  --verbose          Also print debug messages: skipped installs, timings, the packages found
+  --log-format <format>
+                     text (default), or json to print one JSON event per line
   --no-install       Skip npm install after unlinking
   --dev              Use development mode (include devDependencies)
+  --include <glob>   Also copy files matching glob, even if the package ignores them (repeatable)
+  --ignore <glob>    Leave files matching glob out of each copy (repeatable)
+  --only <pattern>   Only process the dependencies whose name matches pattern (repeatable)
+  --exclude <pattern>
+                     Leave out the dependencies whose name matches pattern (repeatable)
+  --mode <mode>      How to place each dependency: copy (default) copies the files npm would
+                     publish; pack runs npm pack, including prepack/prepare builds, and
+                     extracts the tarball
+  --symlinks <policy>
+                     How to copy symlinks inside a package: preserve (default) keeps the links
+                     pointing inside the package and copies what the others point to;
+                     dereference copies what every link points to; skip leaves links out
+  --copy-strategy <strategy>
+                     How to copy files: copy (default) copies them byte by byte; reflink makes
+                     copy-on-write clones, or plain copies where the filesystem cannot; hardlink
+                     links them to the source, so that edits in node_modules edit the source
+  --dedupe           Remove from each copy's node_modules every dependency the project
+                     satisfies, not only its peer dependencies
+  --package-manager <name>
+                     Install with npm, pnpm, yarn or bun (detected from the packageManager
+                     field or the lockfile by default)
+  --no-recursive     Do not replace the file: dependencies of copied dependencies
+  --workspaces       Also process the local dependencies of every npm workspace
+  --materialize-workspaces
+                     With --workspaces, also replace the symlinked workspace packages with copies
+  --scan             Also replace the packages linked anywhere in node_modules to a directory
+                     outside the project, declared or not (npm link, nested file: specs)
+  --scan-path <dir>  With --scan, also replace the links into dir, inside the project (repeatable)
+  --concurrency <n>  Copy and install up to n dependencies at once (default 4)
+  --strict           Exit with code 1 when a dependency is missing or fails to copy, pack or
+                     install (default in CI; turn off with --no-strict)
+  --allow-nested     Also run when started by the install of a copy in another run, from the
+                     postinstall script of a local package (skipped by default)
+  --lock-timeout <s> Seconds to wait for another run changing the same node_modules to finish
+                     (default 600)
+  --lockfile <which> Once done, describe the copies as copies instead of links in
+                     package-lock.json and node_modules/.package-lock.json (package-lock),
+                     or in node_modules/.package-lock.json only (hidden). npm only keeps
+                     the copies with install-links=true in .npmrc
+  --install-links    With --lockfile, add install-links=true to .npmrc when it is not set.
+                     npm then installs every file: dependency of the project as a copy;
+                     --restore-lockfile and relink remove it again
+  --restore-lockfile Describe the local dependencies as links in the lockfiles again, leaving
+                     the copies in node_modules as they are (relink does it by itself)
+  --dry-run          Print what would be done without changing anything
+  --json             Print the report of the run, the plan of --dry-run or the result of
+                     status or verify as JSON; only warnings and errors are logged besides,
+                     to stderr
+  --watch            Keep watching the sources and sync changes into the copies
+  --force            With relink, relink copies even when they were modified
+  --dir <dir>        With vendor and unvendor, the vendor directory (default vendor)
+  --output <file>    With vendor, write the rewritten package.json to file instead of
+                     editing package.json
 `;
-    // Always show help regardless of --silent
-    log(usage.trim(), 'log', false);
-    process.exit(0);
-    return;
+
+// Whether we run on a CI service, which sets CI
+function isCI() {
+    return Boolean(process.env.CI) && process.env.CI !== 'false';
 }
 
-const silently = args.includes('--silent');
-const install = args.includes('--no-install');
-const dev = args.includes('--dev');
+// Reports a usage error, which is printed even with --silent
+function fail(message) {
+    log(`${message}\nRun resolve-local-dependencies --help for the list of options.`, 'error', false);
+    process.exit(1);
+}
 
+let parsed;
 try {
-    unlinkLocalDependencies({ silently, install, dev });
-    log('Local dependencies unlinked successfully.', 'log', silently);
-    process.exit(0);
+    parsed = parseArgs(process.argv.slice(2), OPTIONS, COMMANDS);
 } catch (error) {
-    log(`Error unlinking local dependencies: ${error.message}`, 'error', silently);
-    process.exit(1);
+    fail(error.message);
+    return;
+}
+const { command, options, positionals } = parsed;
+const { silent, logFormat } = options;
+
+// Help and version are handled before anything else, and shown regardless of --silent
+if (options.help) {
+    log(USAGE.trim(), 'log', false);
+    process.exit(0);
+    return;
+}
+if (options.version) {
+    log(require('../package.json').version, 'log', false);
+    process.exit(0);
+    return;
 }
+
+if (['status', 'vendor', 'unvendor'].includes(command) && positionals.length) {
+    fail(`Unexpected argument ${positionals[0]} for ${command}`);
+    return;
+}
+
+const concurrency = options.concurrency === undefined ? undefined : Number(options.concurrency);
+if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+    fail(`Invalid --concurrency "${options.concurrency}", expected a positive integer`);
+    return;
+}
+
+const lockTimeout = options.lockTimeout === undefined ? undefined : Number(options.lockTimeout) * 1000;
+if (lockTimeout !== undefined && !(Number.isFinite(lockTimeout) && lockTimeout >= 0)) {
+    fail(`Invalid --lock-timeout "${options.lockTimeout}", expected a number of seconds`);
+    return;
+}
+
+if (options.quiet && options.verbose) {
+    fail('--quiet and --verbose cannot be used together');
+    return;
+}
+if (!LOG_FORMATS.includes(logFormat)) {
+    fail(`Invalid --log-format "${logFormat}", expected one of: ${LOG_FORMATS.join(', ')}`);
+    return;
+}
+if (options.json && ['relink', 'vendor', 'unvendor'].includes(command)) {
+    fail(`--json cannot be used with ${command}`);
+    return;
+}
+if (options.json && (options.restoreLockfile || options.watch)) {
+    fail(`--json cannot be used with ${options.watch ? '--watch' : '--restore-lockfile'}`);
+    return;
+}
+if (options.json && logFormat === 'json' && !command && !options.dryRun) {
+    fail('--json and --log-format json cannot be used together, the report is the last event of the log');
+    return;
+}
+// With --json, standard output is left to the result
+const logLevel = options.verbose ? 'debug' : options.quiet || options.json ? 'warn' : 'info';
+
+// Messages of the CLI itself follow the log level and format of the run. In JSON every
+// event goes to stdout, so that the output can be piped as a whole; with --json every
+// message goes to stderr instead, the run included, so that stdout holds the result only.
+const toLog = level => line => log(line, options.json ? 'error' : logFormat === 'json' ? 'log' : level, false);
+const logOutput = { error: toLog('error'), warn: toLog('warn'), info: toLog('log'), debug: toLog('log') };
+const logger = createLogger({ level: silent ? 'silent' : logLevel, format: logFormat, output: logOutput });
+
+if (options.cwd !== undefined) {
+    const cwd = path.resolve(options.cwd);
+    if (!fs.existsSync(cwd) || !fs.statSync(cwd).isDirectory()) {
+        fail(`--cwd: ${cwd} is not a directory`);
+        return;
+    }
+    process.chdir(cwd);
+}
+
+const { workspaces } = options;
+// A failure on CI should fail the build
+const strict = options.strict === undefined ? isCI() : options.strict;
+
+if (command === 'relink') {
+    try {
+        const { refused, missing } = relinkLocalDependencies({
+            packages: positionals,
+            force: options.force,
+            silent,
+            logLevel,
+            logFormat,
+            workspaces,
+            scan: options.scan,
+            lockTimeout,
+        });
+        if (refused.length || missing.length) {
+            logger.error('result', 'Some local dependencies could not be relinked.', { ok: false });
+            process.exit(1);
+        } else {
+            logger.info('result', 'Local dependencies relinked successfully.', { ok: true });
+            process.exit(0);
+        }
+    } catch (error) {
+        logger.error('error', `Error relinking local dependencies: ${error.message}`, { error: error.message });
+        process.exit(1);
+    }
+    return;
+}
+
+if (command === 'status') {
+    try {
+        const statuses = statusLocalDependencies({ workspaces, scan: options.scan });
+        // The report is the output of the command, so it is printed even with --silent
+        log(options.json ? JSON.stringify(statuses, null, 2) : formatStatus(statuses), 'log', false);
+        process.exit(0);
+    } catch (error) {
+        logger.error('error', `Error checking local dependencies: ${error.message}`, { error: error.message });
+        process.exit(1);
+    }
+    return;
+}
+
+const { include, ignore, materializeWorkspaces } = options;
+
+if (command === 'verify') {
+    try {
+        const result = verifyLocalDependencies({ packages: positionals, workspaces, materializeWorkspaces, scan: options.scan });
+        // The result is the output of the command, so it is printed even with --silent
+        log(options.json ? JSON.stringify(result, null, 2) : formatVerify(result), 'log', false);
+        process.exit(result.ok ? 0 : 1);
+    } catch (error) {
+        logger.error('error', `Error verifying local dependencies: ${error.message}`, { error: error.message });
+        process.exit(1);
+    }
+    return;
+}
+
+if (command === 'vendor') {
+    try {
+        const { vendored, manifest } = vendorLocalDependencies({
+            dir: options.dir,
+            output: options.output,
+            silent,
+            logLevel,
+            logFormat,
+            dev: options.dev,
+            include,
+            ignore,
+            mode: options.mode,
+            symlinks: options.symlinks,
+            copyStrategy: options.copyStrategy,
+        });
+        logger.info('result', `Vendored ${vendored.length} local dependencies, see ${path.relative(process.cwd(), manifest)}.`, { ok: true });
+        process.exit(0);
+    } catch (error) {
+        logger.error('error', `Error vendoring local dependencies: ${error.message}`, { error: error.message });
+        process.exit(1);
+    }
+    return;
+}
+
+if (command === 'unvendor') {
+    try {
+        const { skipped } = unvendorLocalDependencies({ dir: options.dir, silent, logLevel, logFormat });
+        if (skipped.length) {
+            logger.error('result', 'Some specs were changed since they were vendored and were left as they are.', { ok: false });
+            process.exit(1);
+        } else {
+            logger.info('result', 'Local dependencies unvendored successfully.', { ok: true });
+            process.exit(0);
+        }
+    } catch (error) {
+        logger.error('error', `Error unvendoring local dependencies: ${error.message}`, { error: error.message });
+        process.exit(1);
+    }
+    return;
+}
+
+if (options.restoreLockfile) {
+    try {
+        const { restored } = restoreLockfile({
+            packages: positionals,
+            silent,
+            logLevel,
+            logFormat,
+            workspaces,
+            scan: options.scan,
+            lockTimeout,
+        });
+        logger.info('result', `Restored the lockfile entries of ${restored.length} local dependencies.`, { ok: true, restored });
+        process.exit(0);
+    } catch (error) {
+        logger.error('error', `Error restoring the lockfile: ${error.message}`, { error: error.message });
+        process.exit(1);
+    }
+    return;
+}
+
+const runOptions = {
+    silent,
+    logLevel,
+    logFormat,
+    ...(options.json && { logger: logOutput }),
+    noInstall: !options.install,
+    dev: options.dev,
+    include,
+    ignore,
+    recursive: options.recursive,
+    workspaces,
+    materializeWorkspaces,
+    scan: options.scan,
+    scanPaths: options.scanPath,
+    mode: options.mode,
+    symlinks: options.symlinks,
+    copyStrategy: options.copyStrategy,
+    dedupe: options.dedupe,
+    packageManager: options.packageManager,
+    packages: positionals,
+    only: options.only,
+    exclude: options.exclude,
+    strict,
+    allowNested: options.allowNested,
+    lockTimeout,
+    lockfile: options.lockfile,
+    installLinks: options.installLinks,
+};
+
+if (options.dryRun) {
+    try {
+        const plan = unlinkLocalDependencies({ ...runOptions, dryRun: true });
+        // The plan is the output of a dry run, so it is printed even with --silent
+        log(options.json ? JSON.stringify(plan, null, 2) : formatPlan(plan), 'log', false);
+        process.exit(0);
+    } catch (error) {
+        logger.error('error', `Error unlinking local dependencies: ${error.message}`, { error: error.message });
+        process.exit(1);
+    }
+    return;
+}
+
+resolveLocalDependencies({ ...runOptions, concurrency })
+    .then(report => {
+        // The run that started this one reports on it
+        if (report.nested) {
+            process.exit(0);
+            return;
+        }
+        if (options.json) {
+            // The report is the output of the run, so it is printed even with --silent
+            log(JSON.stringify(report, null, 2), 'log', false);
+        } else {
+            logger.info('report', formatReport(report), { ok: report.ok, dependencies: report.dependencies });
+        }
+        if (!report.ok && strict) {
+            logger.error('result', 'Some local dependencies could not be unlinked.', { ok: false });
+            process.exit(1);
+            return;
+        }
+        if (report.ok) {
+            logger.info('result', 'Local dependencies unlinked successfully.', { ok: true });
+        } else {
+            logger.warn('result', 'Some local dependencies could not be unlinked, see the summary above.', { ok: false });
+        }
+
+        if (options.watch) {
+            const watcher = watchLocalDependencies({
+                silent,
+                logLevel,
+                logFormat,
+                include,
+                ignore,
+                symlinks: options.symlinks,
+                copyStrategy: options.copyStrategy,
+                noInstall: runOptions.noInstall,
+                dev: options.dev,
+                recursive: options.recursive,
+                mode: options.mode,
+                dedupe: options.dedupe,
+                packageManager: options.packageManager,
+                workspaces,
+                materializeWorkspaces,
+                packages: positionals,
+                only: options.only,
+                exclude: options.exclude,
+            });
+            logger.info('watch', 'Watching local dependencies for changes (press Ctrl+C to stop)');
+            process.on('SIGINT', () => {
+                watcher.close();
+                process.exit(0);
+            });
+            return;
+        }
+
+        process.exit(0);
+    })
+    .catch(error => {
+        logger.error('error', `Error unlinking local dependencies: ${error.message}`, { error: error.message });
+        process.exit(1);
+    });
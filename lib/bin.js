@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Lists the commands a package declares in its `bin` field, as npm reads it: a string is a
+ * single command named after the package, without its scope. Names are reduced to a file
+ * name and files must stay inside the package.
+ * @param {Object} pkg - Parsed package.json.
+ * @returns {Array<{ name: string, file: string }>}
+ */
+function binEntries(pkg) {
+    const bin = typeof pkg.bin === 'string'
+        ? { [String(pkg.name).replace(/^@[^/]+\//, '')]: pkg.bin }
+        : pkg.bin || {};
+    return Object.entries(bin)
+        .map(([name, file]) => ({ name: path.basename(String(name)), file: path.normalize(String(file)) }))
+        .filter(({ name, file }) => name && !name.startsWith('.') && !path.isAbsolute(file) && !file.startsWith('..'));
+}
+
+const isInside = (file, dir) => file === dir || file.startsWith(`${dir}${path.sep}`);
+
+/**
+ * Makes a file executable. A file with other hard links, such as one placed by the hardlink
+ * copy strategy, shares its mode with the source: it is replaced with a file of its own first.
+ */
+function makeExecutable(file) {
+    const { mode, nlink } = fs.statSync(file);
+    const executable = (mode | 0o111) & 0o7777;
+    if (executable === (mode & 0o7777)) return;
+    if (nlink > 1) {
+        const own = `${file}.rld-unlinked`;
+        fs.copyFileSync(file, own);
+        fs.renameSync(own, file);
+    }
+    fs.chmodSync(file, executable);
+}
+
+/**
+ * Points the `.bin` links of a package at its copy. The package manager made them through the
+ * symlink the copy replaced, or straight into the source, which breaks once the source moves.
+ * Every command of the `bin` field is linked again, relative to the `.bin` directory, and its
+ * file made executable (see makeExecutable); links of this package to commands it no longer declares are removed.
+ * Links to other packages are left alone. On Windows, where `.bin` holds command shims that go
+ * through node_modules, nothing is done.
+ * @param {{ name: string, src: string, dest: string }} dependency - Copied package.
+ * @returns {{ linked: string[], removed: string[], warnings: string[] }} Commands linked and removed,
+ *   and the ones that could not be linked.
+ */
+function linkBins({ name, src, dest }) {
+    const result = { linked: [], removed: [], warnings: [] };
+    const manifest = path.join(dest, 'package.json');
+    if (process.platform === 'win32' || !fs.existsSync(manifest)) return result;
+
+    const bins = binEntries(JSON.parse(fs.readFileSync(manifest, 'utf8')));
+    const binDir = path.join(path.resolve(dest, ...name.split('/').map(() => '..')), '.bin');
+    const owned = [dest, src, ...(fs.existsSync(src) ? [fs.realpathSync(src)] : [])];
+
+    // Whether a .bin entry is a link of this package, and so can be replaced or removed
+    const ownLink = link => {
+        const stat = fs.lstatSync(link, { throwIfNoEntry: false });
+        if (!stat || !stat.isSymbolicLink()) return false;
+        const target = path.resolve(binDir, fs.readlinkSync(link));
+        return owned.some(dir => isInside(target, dir));
+    };
+
+    if (fs.existsSync(binDir)) {
+        fs.readdirSync(binDir)
+            .filter(command => !bins.some(bin => bin.name === command) && ownLink(path.join(binDir, command)))
+            .forEach(command => {
+                fs.rmSync(path.join(binDir, command), { force: true });
+                result.removed.push(command);
+            });
+    }
+
+    bins.forEach(({ name: command, file }) => {
+        const target = path.join(dest, file);
+        const link = path.join(binDir, command);
+        if (!fs.existsSync(target)) {
+            result.warnings.push(`bin ${command} points to ${file}, which is not in the copy`);
+            return;
+        }
+        if (fs.lstatSync(link, { throwIfNoEntry: false }) && !ownLink(link)) {
+            result.warnings.push(`bin ${command} is already linked to another package, leaving it`);
+            return;
+        }
+
+        fs.mkdirSync(binDir, { recursive: true });
+        fs.rmSync(link, { force: true });
+        fs.symlinkSync(path.relative(binDir, target), link);
+        makeExecutable(target);
+        result.linked.push(command);
+    });
+
+    return result;
+}
+
+module.exports = { binEntries, linkBins };
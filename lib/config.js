@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./glob');
+const { SYMLINK_POLICIES } = require('./symlinks');
+
+// Looked up in the project root, in this order; the package.json key comes last
+const CONFIG_FILES = ['.resolve-local-dependencies.js', '.resolve-local-dependencies.json'];
+const PACKAGE_JSON_KEY = 'resolveLocalDependencies';
+
+const MODES = ['copy', 'pack'];
+const COPY_STRATEGIES = ['copy', 'reflink', 'hardlink'];
+// Which lockfiles describe the copies: package-lock.json with the hidden lockfile, or the hidden one only
+const LOCKFILE_MODES = ['package-lock', 'hidden'];
+
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Checks per setting, each returning an error message or null
+const CHECKS = {
+    boolean: value => (typeof value === 'boolean' ? null : `must be true or false, got ${JSON.stringify(value)}`),
+    string: value => (typeof value === 'string' ? null : `must be a string, got ${JSON.stringify(value)}`),
+    globs: value => (isStringArray(value) ? null : `must be an array of strings, got ${JSON.stringify(value)}`),
+    mode: value => (MODES.includes(value) ? null : `must be one of ${MODES.join(', ')}, got ${JSON.stringify(value)}`),
+    symlinks: value => (SYMLINK_POLICIES.includes(value)
+        ? null
+        : `must be one of ${SYMLINK_POLICIES.join(', ')}, got ${JSON.stringify(value)}`),
+    copyStrategy: value => (COPY_STRATEGIES.includes(value)
+        ? null
+        : `must be one of ${COPY_STRATEGIES.join(', ')}, got ${JSON.stringify(value)}`),
+    lockfile: value => (LOCKFILE_MODES.includes(value)
+        ? null
+        : `must be one of ${LOCKFILE_MODES.join(', ')}, got ${JSON.stringify(value)}`),
+};
+
+const PACKAGE_SETTINGS = {
+    dev: CHECKS.boolean,
+    install: CHECKS.boolean,
+    mode: CHECKS.mode,
+    symlinks: CHECKS.symlinks,
+    copyStrategy: CHECKS.copyStrategy,
+    dedupe: CHECKS.boolean,
+    include: CHECKS.globs,
+    ignore: CHECKS.globs,
+};
+
+const TOP_LEVEL_SETTINGS = {
+    ...PACKAGE_SETTINGS,
+    recursive: CHECKS.boolean,
+    workspaces: CHECKS.boolean,
+    materializeWorkspaces: CHECKS.boolean,
+    scan: CHECKS.boolean,
+    scanPaths: CHECKS.globs,
+    lockfile: CHECKS.lockfile,
+    installLinks: CHECKS.boolean,
+    packageManager: CHECKS.string,
+    includePackages: CHECKS.globs,
+    excludePackages: CHECKS.globs,
+};
+
+function checkSettings(settings, allowed, where, errors) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        errors.push(`"${where}" must be an object`);
+        return;
+    }
+    Object.entries(settings).forEach(([key, value]) => {
+        const name = where ? `${where}.${key}` : key;
+        if (!allowed[key]) {
+            errors.push(`unknown setting "${name}", expected one of: ${Object.keys(allowed).join(', ')}`);
+            return;
+        }
+        const error = allowed[key](value);
+        if (error) errors.push(`"${name}" ${error}`);
+    });
+}
+
+/**
+ * Checks a configuration and reports every problem at once.
+ * @param {Object} config - Parsed configuration.
+ * @param {string} source - Where it was read from, for the error message.
+ * @throws {Error} Listing the invalid settings.
+ */
+function validateConfig(config, source) {
+    const errors = [];
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        errors.push('the configuration must be an object');
+    } else {
+        const { packages, ...settings } = config;
+        checkSettings(settings, TOP_LEVEL_SETTINGS, '', errors);
+        if (packages !== undefined && (!packages || typeof packages !== 'object' || Array.isArray(packages))) {
+            errors.push('"packages" must map package names or patterns to settings');
+        } else if (packages) {
+            Object.entries(packages).forEach(([pattern, overrides]) => {
+                checkSettings(overrides, PACKAGE_SETTINGS, `packages["${pattern}"]`, errors);
+            });
+        }
+    }
+
+    if (errors.length) {
+        throw new Error(`Invalid configuration in ${source}:\n  - ${errors.join('\n  - ')}`);
+    }
+}
+
+/**
+ * Loads the configuration of a project from `.resolve-local-dependencies.js`,
+ * `.resolve-local-dependencies.json` or the `resolveLocalDependencies` key of its
+ * package.json, whichever is found first, and validates it.
+ * @param {string} root - Project root.
+ * @returns {{ config: Object, source: string|null }} The configuration, empty when there
+ *   is none, and the file it came from.
+ * @throws {Error} When the configuration cannot be read or is invalid.
+ */
+function loadConfig(root) {
+    let config = null;
+    let source = null;
+
+    const file = CONFIG_FILES.find(name => fs.existsSync(path.join(root, name)));
+    if (file) {
+        const filePath = path.join(root, file);
+        source = file;
+        try {
+            if (file.endsWith('.js')) {
+                // Pick up edits when loaded again in the same process
+                delete require.cache[require.resolve(filePath)];
+                config = require(filePath);
+            } else {
+                config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            }
+        } catch (error) {
+            throw new Error(`Could not load ${file}: ${error.message}`);
+        }
+    } else {
+        const pkg = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+        if (pkg[PACKAGE_JSON_KEY] !== undefined) {
+            config = pkg[PACKAGE_JSON_KEY];
+            source = `package.json#${PACKAGE_JSON_KEY}`;
+        }
+    }
+
+    if (!source) return { config: {}, source: null };
+    validateConfig(config, source);
+    return { config, source };
+}
+
+const matchesAny = (patterns, name) => patterns.some(pattern => globToRegExp(pattern).test(name));
+
+/**
+ * Tells whether a dependency is processed at all: it must match `includePackages`
+ * when given, and must not match `excludePackages`.
+ * @param {Object} config
+ * @param {string} name - Package name.
+ * @returns {boolean}
+ */
+function isPackageSelected({ includePackages, excludePackages = [] }, name) {
+    if (includePackages && !matchesAny(includePackages, name)) return false;
+    return !matchesAny(excludePackages, name);
+}
+
+// Options a flag of the run sets, that per-package settings can set too
+const PACKAGE_FLAGS = ['dev', 'noInstall', 'mode', 'symlinks', 'copyStrategy', 'dedupe'];
+
+/**
+ * Applies the per-package settings of a configuration to the options of a run.
+ * Every `packages` entry whose name or pattern matches applies, in order; their
+ * settings win over the global ones but not over the flags given to the run (see
+ * mergeOptions), and their globs add to the global ones.
+ * @param {Object} options - Options of the run, as merged by mergeOptions.
+ * @param {Object} config
+ * @param {string} name - Package name.
+ * @returns {Object} Options for this package.
+ */
+function packageOptions(options, { packages = {} }, name) {
+    const { explicit = [] } = options;
+    return Object.entries(packages)
+        .filter(([pattern]) => pattern === name || globToRegExp(pattern).test(name))
+        .reduce((merged, [, overrides]) => {
+            const setting = (key, value) => (value === undefined || explicit.includes(key) ? merged[key] : value);
+            return {
+                ...merged,
+                dev: setting('dev', overrides.dev),
+                noInstall: setting('noInstall', overrides.install === undefined ? undefined : !overrides.install),
+                mode: setting('mode', overrides.mode),
+                symlinks: setting('symlinks', overrides.symlinks),
+                copyStrategy: setting('copyStrategy', overrides.copyStrategy),
+                dedupe: setting('dedupe', overrides.dedupe),
+                include: [...merged.include, ...(overrides.include || [])],
+                ignore: [...merged.ignore, ...(overrides.ignore || [])],
+            };
+        }, options);
+}
+
+/**
+ * Merges the top-level settings of a configuration with the options of a run.
+ * Flags can only turn settings on (`dev`, `dedupe`, `workspaces`, `scan`) or off (`install`,
+ * `recursive`), an explicit mode, copy strategy, lockfile mode or package manager wins, and globs and
+ * paths add up.
+ * @param {Object} options - Options given to the run; unset ones are undefined.
+ * @param {Object} config
+ * @returns {Object} Options with every setting filled in, and in `explicit` the names of the
+ *   options given that per-package settings must not override.
+ */
+function mergeOptions(options, config) {
+    return {
+        ...options,
+        dev: Boolean(options.dev || config.dev),
+        noInstall: Boolean(options.noInstall || config.install === false),
+        include: [...(config.include || []), ...(options.include || [])],
+        ignore: [...(config.ignore || []), ...(options.ignore || [])],
+        recursive: options.recursive !== false && config.recursive !== false,
+        workspaces: Boolean(options.workspaces || config.workspaces),
+        materializeWorkspaces: Boolean(options.materializeWorkspaces || config.materializeWorkspaces),
+        mode: options.mode || config.mode || 'copy',
+        symlinks: options.symlinks || config.symlinks || 'preserve',
+        copyStrategy: options.copyStrategy || config.copyStrategy || 'copy',
+        dedupe: Boolean(options.dedupe || config.dedupe),
+        scan: Boolean(options.scan || config.scan),
+        scanPaths: [...(config.scanPaths || []), ...(options.scanPaths || [])],
+        lockfile: options.lockfile || config.lockfile || null,
+        installLinks: Boolean(options.installLinks || config.installLinks),
+        packageManager: options.packageManager || config.packageManager,
+        explicit: PACKAGE_FLAGS.filter(key => options[key]),
+    };
+}
+
+module.exports = {
+    MODES,
+    COPY_STRATEGIES,
+    LOCKFILE_MODES,
+    loadConfig,
+    validateConfig,
+    isPackageSelected,
+    packageOptions,
+    mergeOptions,
+};
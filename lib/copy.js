@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { packList } = require('./packlist');
+const { collectLocalDependencies, DEPENDENCY_CATEGORIES } = require('./dependencies');
+const { formatLocalSpec } = require('./specifiers');
+const { resolveSymlink } = require('./symlinks');
+
+// Errors of a filesystem that cannot clone or link a file, for which a plain copy is made instead
+const UNSUPPORTED_ERRORS = ['ENOTSUP', 'EOPNOTSUPP', 'ENOSYS', 'EINVAL', 'EXDEV', 'EPERM', 'EMLINK'];
+
+/**
+ * The strategy for one file of a copy. Copies get their package.json rewritten and installed
+ * in, so it is never shared with the source.
+ */
+function fileStrategy(file, strategy) {
+    return strategy === 'hardlink' && file === 'package.json' ? 'copy' : strategy;
+}
+
+/**
+ * Places one file with a strategy: a plain copy, a copy-on-write clone or a hard link to
+ * the source. A clone or link the filesystem does not support is made a plain copy instead.
+ * @returns {string} The strategy used.
+ */
+function placeFileSync(srcPath, destPath, strategy) {
+    if (strategy !== 'copy') {
+        try {
+            if (strategy === 'hardlink') fs.linkSync(srcPath, destPath);
+            else fs.copyFileSync(srcPath, destPath, fs.constants.COPYFILE_FICLONE_FORCE);
+            return strategy;
+        } catch (error) {
+            if (!UNSUPPORTED_ERRORS.includes(error.code)) throw error;
+        }
+    }
+    fs.copyFileSync(srcPath, destPath);
+    return 'copy';
+}
+
+/**
+ * Same as placeFileSync, with promises and streaming the plain copy.
+ * @returns {Promise<string>}
+ */
+async function placeFile(srcPath, destPath, strategy) {
+    if (strategy !== 'copy') {
+        try {
+            if (strategy === 'hardlink') await fs.promises.link(srcPath, destPath);
+            else await fs.promises.copyFile(srcPath, destPath, fs.constants.COPYFILE_FICLONE_FORCE);
+            return strategy;
+        } catch (error) {
+            if (!UNSUPPORTED_ERRORS.includes(error.code)) throw error;
+        }
+    }
+    await pipeline(fs.createReadStream(srcPath), fs.createWriteStream(destPath));
+    return 'copy';
+}
+
+/**
+ * Copies the files npm would publish for the package in src to dest.
+ * @param {string} src - Source directory path.
+ * @param {string} dest - Destination directory path.
+ * @param {Object} [options]
+ * @param {string[]} [options.include] - Extra globs to copy even when ignored.
+ * @param {string[]} [options.ignore] - Extra globs to leave out.
+ * @param {'preserve'|'dereference'|'skip'} [options.symlinks='preserve'] - What to do with symlinks (see resolveSymlink).
+ * @param {'copy'|'reflink'|'hardlink'} [options.strategy='copy'] - How files are copied (see copyFilesSync).
+ * @param {(message: string) => void} [options.onWarning] - Called for files left out or copied unexpectedly.
+ * @returns {{ files: string[], strategy: string }} The copied files, relative to dest, and the strategy used.
+ */
+function copyPackageSync(src, dest, { include, ignore, symlinks = 'preserve', strategy = 'copy', onWarning } = {}) {
+    if (!fs.existsSync(dest)) {
+        fs.mkdirSync(dest, { recursive: true });
+    }
+
+    const files = packList(src, { include, ignore, symlinks, onWarning });
+    return { files, strategy: copyFilesSync(src, dest, files, { symlinks, strategy }) };
+}
+
+/**
+ * Finds the target to recreate a file as a symlink with, when it is a link the policy preserves.
+ * @returns {string|null}
+ */
+function preservedLinkTarget(src, file, symlinks) {
+    if (!fs.lstatSync(path.join(src, file)).isSymbolicLink()) return null;
+    const link = resolveSymlink(src, file, symlinks);
+    return link.action === 'link' ? link.target : null;
+}
+
+/**
+ * Copies the given files from src to dest, creating directories as needed. Files keep
+ * their mode and timestamps, so that scripts stay executable, and symlinks the policy
+ * preserves are recreated as links.
+ * Files are copied byte by byte, cloned copy-on-write (`reflink`) or hard linked to the
+ * source (`hardlink`), whose edits then show in the copy and the other way around. Once
+ * the filesystem turns a clone or link down, the remaining files are copied byte by byte.
+ * @param {string} src - Source directory path.
+ * @param {string} dest - Destination directory path.
+ * @param {string[]} files - Paths relative to src.
+ * @param {Object} [options]
+ * @param {'preserve'|'dereference'|'skip'} [options.symlinks='preserve']
+ * @param {'copy'|'reflink'|'hardlink'} [options.strategy='copy']
+ * @returns {string} The strategy used: the one given, or `copy` after a fallback.
+ */
+function copyFilesSync(src, dest, files, { symlinks = 'preserve', strategy = 'copy' } = {}) {
+    let used = strategy;
+    files.forEach(file => {
+        const srcPath = path.join(src, file);
+        const destPath = path.join(dest, file);
+        const destDir = path.dirname(destPath);
+
+        if (!fs.existsSync(destDir)) {
+            fs.mkdirSync(destDir, { recursive: true });
+        }
+
+        const linkTarget = preservedLinkTarget(src, file, symlinks);
+        if (linkTarget !== null) {
+            fs.rmSync(destPath, { recursive: true, force: true });
+            fs.symlinkSync(linkTarget, destPath, fs.statSync(srcPath).isDirectory() ? 'dir' : 'file');
+            return;
+        }
+
+        // Writing through a symlink or hard link left by an earlier copy would change its target instead
+        const existing = fs.lstatSync(destPath, { throwIfNoEntry: false });
+        if (existing && !existing.isDirectory()) fs.rmSync(destPath);
+        const placed = placeFileSync(srcPath, destPath, fileStrategy(file, used));
+        if (placed === 'hardlink') return;
+        if (placed !== fileStrategy(file, used)) used = placed;
+        const { mode, atime, mtime } = fs.statSync(srcPath);
+        fs.chmodSync(destPath, mode & 0o7777);
+        fs.utimesSync(destPath, atime, mtime);
+    });
+    return used;
+}
+
+/**
+ * Same as copyPackageSync, streaming the files.
+ * @returns {Promise<{ files: string[], strategy: string }>} The copied files, relative to dest, and the strategy used.
+ */
+async function copyPackage(src, dest, { include, ignore, symlinks = 'preserve', strategy = 'copy', onWarning } = {}) {
+    await fs.promises.mkdir(dest, { recursive: true });
+
+    const files = packList(src, { include, ignore, symlinks, onWarning });
+    return { files, strategy: await copyFiles(src, dest, files, { symlinks, strategy }) };
+}
+
+/**
+ * Same as copyFilesSync, streaming each file so that large packages do not block
+ * the event loop.
+ * @returns {Promise<string>} The strategy used.
+ */
+async function copyFiles(src, dest, files, { symlinks = 'preserve', strategy = 'copy' } = {}) {
+    let used = strategy;
+    for (const file of files) {
+        const srcPath = path.join(src, file);
+        const destPath = path.join(dest, file);
+
+        await fs.promises.mkdir(path.dirname(destPath), { recursive: true });
+
+        const linkTarget = preservedLinkTarget(src, file, symlinks);
+        if (linkTarget !== null) {
+            await fs.promises.rm(destPath, { recursive: true, force: true });
+            const isDirectory = (await fs.promises.stat(srcPath)).isDirectory();
+            await fs.promises.symlink(linkTarget, destPath, isDirectory ? 'dir' : 'file');
+            continue;
+        }
+
+        const existing = await fs.promises.lstat(destPath).catch(() => null);
+        if (existing && !existing.isDirectory()) await fs.promises.rm(destPath);
+        const placed = await placeFile(srcPath, destPath, fileStrategy(file, used));
+        if (placed === 'hardlink') continue;
+        if (placed !== fileStrategy(file, used)) used = placed;
+        const { mode, atime, mtime } = await fs.promises.stat(srcPath);
+        await fs.promises.chmod(destPath, mode & 0o7777);
+        await fs.promises.utimes(destPath, atime, mtime);
+    }
+    return used;
+}
+
+/**
+ * Lists the local dependencies a copied package declares itself, resolved
+ * against its original source directory rather than its copy. Tarballs have
+ * no source directory to resolve against, so their specs are left alone.
+ */
+function findNestedDependencies({ src, dest, type }, dev) {
+    if (type === 'tarball' || !fs.existsSync(path.join(src, 'package.json'))) return [];
+
+    const categories = dev
+        ? ['dependencies', 'optionalDependencies', 'devDependencies']
+        : ['dependencies', 'optionalDependencies'];
+    return collectLocalDependencies(src, { nodeModulesDir: path.join(dest, 'node_modules'), categories });
+}
+
+/**
+ * Points the nested local specs of a copy at absolute source paths, since the
+ * relative ones no longer resolve from inside node_modules.
+ */
+function pinNestedDependencies({ dest }, nested) {
+    const pkg = JSON.parse(fs.readFileSync(path.join(dest, 'package.json'), 'utf8'));
+
+    nested.forEach(child => {
+        DEPENDENCY_CATEGORIES.forEach(category => {
+            if (pkg[category] && pkg[category][child.name]) pkg[category][child.name] = formatLocalSpec(child);
+        });
+    });
+
+    fs.writeFileSync(path.join(dest, 'package.json'), `${JSON.stringify(pkg, null, 2)}\n`);
+}
+
+module.exports = {
+    copyPackageSync,
+    copyFilesSync,
+    copyPackage,
+    copyFiles,
+    findNestedDependencies,
+    pinNestedDependencies,
+};
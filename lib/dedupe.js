@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { parseRange, satisfies } = require('./semver');
+
+/**
+ * Finds the package Node would load for a name from a copy, once the copy's own node_modules
+ * does not hold it: the one in the node_modules of the closest directory above the copy.
+ * @param {string} dest - Where the copy lives.
+ * @param {string} name - Package name.
+ * @returns {{ dir: string, version: string }|null} Null when the host does not provide it.
+ */
+function findHostPackage(dest, name) {
+    let dir = path.dirname(dest);
+    for (;;) {
+        if (path.basename(dir) !== 'node_modules') {
+            const manifest = path.join(dir, 'node_modules', name, 'package.json');
+            if (fs.existsSync(manifest)) {
+                return { dir: path.dirname(manifest), version: JSON.parse(fs.readFileSync(manifest, 'utf8')).version };
+            }
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+/**
+ * Removes a package from the node_modules of a copy, with the `.bin` links leading into it.
+ */
+function prunePackage(nodeModules, name) {
+    const target = path.join(nodeModules, name);
+    const binDir = path.join(nodeModules, '.bin');
+    if (fs.existsSync(binDir)) {
+        fs.readdirSync(binDir).forEach(bin => {
+            const link = path.join(binDir, bin);
+            if (!fs.lstatSync(link).isSymbolicLink()) return;
+            const resolved = path.resolve(binDir, fs.readlinkSync(link));
+            if (resolved.startsWith(`${target}${path.sep}`)) fs.rmSync(link, { force: true });
+        });
+    }
+    fs.rmSync(target, { recursive: true, force: true });
+}
+
+/**
+ * Keeps a copy from loading its own instance of packages the host provides. The packages it
+ * lists in `peerDependencies` are removed from its node_modules when the host has a version
+ * satisfying their range, so that both share one instance (one React, for hooks to work).
+ * Peers the host lacks, unless marked optional, and peers it has in another version are reported.
+ * With `dedupe`, the same is done for every dependency of the copy the host satisfies.
+ * @param {string} dir - Directory of the copy, which may be staged elsewhere than dest.
+ * @param {string} dest - Where the copy lives, which decides what the host provides.
+ * @param {Object} [options]
+ * @param {boolean} [options.dedupe=false] - Also remove the dependencies the host satisfies.
+ * @param {boolean} [options.dev=false] - Whether devDependencies were installed too.
+ * @returns {{ removed: Array<{ name: string, version: string }>, warnings: string[] }} Packages removed
+ *   from the copy, with the version of the host, and problems with its peers.
+ */
+function dedupeCopy(dir, dest, { dedupe = false, dev = false } = {}) {
+    const removed = [];
+    const warnings = [];
+    const manifestPath = path.join(dir, 'package.json');
+    if (!fs.existsSync(manifestPath)) return { removed, warnings };
+
+    const pkg = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const nodeModules = path.join(dir, 'node_modules');
+    const peers = Object.entries(pkg.peerDependencies || {});
+    const optionalPeers = pkg.peerDependenciesMeta || {};
+    const dependencies = dedupe
+        ? ['dependencies', 'optionalDependencies', ...(dev ? ['devDependencies'] : [])]
+            .flatMap(category => Object.entries(pkg[category] || {}))
+            .filter(([name]) => !peers.some(([peer]) => peer === name))
+        : [];
+
+    const dedupeOne = ([name, range], isPeer) => {
+        // Tags, URLs and local specs cannot be compared with a version
+        if (!parseRange(range)) return;
+        const host = findHostPackage(dest, name);
+        if (!host) {
+            if (isPeer && !(optionalPeers[name] && optionalPeers[name].optional)) {
+                warnings.push(`peer ${name}@${range} is not installed in the host`);
+            }
+            return;
+        }
+        if (!satisfies(host.version, range)) {
+            if (isPeer) warnings.push(`peer ${name}@${range} conflicts with ${name}@${host.version} of the host`);
+            return;
+        }
+        if (!fs.existsSync(path.join(nodeModules, name))) return;
+        prunePackage(nodeModules, name);
+        removed.push({ name, version: host.version });
+    };
+
+    peers.forEach(peer => dedupeOne(peer, true));
+    dependencies.forEach(dependency => dedupeOne(dependency, false));
+    return { removed, warnings };
+}
+
+module.exports = { findHostPackage, dedupeCopy };
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const { findWorkspaces } = require('./workspaces');
+const { parseLocalSpec } = require('./specifiers');
+const { scanNodeModules } = require('./scan');
+
+const DEPENDENCY_CATEGORIES = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * Reads the local dependencies declared in a project's package.json: `file:` and `link:`
+ * specs, and `npm:` aliases of them (see parseLocalSpec).
+ * @param {string} projectRoot - Directory holding the package.json; relative specs resolve against it.
+ * @param {Object} [options]
+ * @param {string} [options.nodeModulesDir] - Where the dependencies are installed. Defaults to projectRoot/node_modules.
+ * @param {string[]} [options.categories] - Dependency fields to read. Defaults to all of them.
+ * @returns {Array<{ name: string, category: string, spec: string, protocol: string, type: string, alias?: string,
+ *   relativePath: string, src: string, dest: string }>}
+ *   One entry per local dependency, with the field declaring it, the kind of spec, its source directory
+ *   or tarball and its location in node_modules. When several fields declare a name, the last one wins.
+ */
+function collectLocalDependencies(projectRoot, {
+    nodeModulesDir = path.join(projectRoot, 'node_modules'),
+    categories = DEPENDENCY_CATEGORIES,
+} = {}) {
+    const pkgJsonPath = path.join(projectRoot, 'package.json');
+
+    const pkg = JSON.parse(fs.readFileSync(pkgJsonPath, 'utf8'));
+    const declared = new Map();
+    categories.forEach(category => {
+        Object.entries(pkg[category] || {}).forEach(([name, spec]) => declared.set(name, { category, spec }));
+    });
+
+    return [...declared]
+        .map(([name, { category, spec }]) => ({ name, category, spec, local: parseLocalSpec(spec, projectRoot) }))
+        .filter(({ local }) => local)
+        .map(({ name, category, spec, local }) => ({
+            name,
+            category,
+            spec,
+            ...local,
+            dest: path.join(nodeModulesDir, name),
+        }));
+}
+
+/**
+ * Collects the local dependencies of a project and, in workspaces mode, of every workspace.
+ * A workspace's dependency resolves to the workspace's own node_modules when installed
+ * there and to the root node_modules when hoisted. Dependencies sharing a destination are
+ * returned once.
+ * @param {string} projectRoot - Project (or monorepo) root.
+ * @param {Object} [options]
+ * @param {boolean} [options.workspaces=false] - If true, also collect the dependencies of every workspace.
+ * @param {boolean} [options.materializeWorkspaces=false] - If true, also return the workspace
+ *   packages themselves, which npm symlinks into the root node_modules.
+ * @param {boolean} [options.scan=false] - If true, also return the local packages linked anywhere in
+ *   node_modules without being declared (see scanNodeModules).
+ * @param {string[]} [options.scanPaths=[]] - With scan, directories of the project whose packages count as local.
+ * @returns {Array<Object>} Entries as returned by collectLocalDependencies. Workspace dependencies
+ *   also carry the relative path of their workspace; workspace packages have the category `workspaces`,
+ *   and the packages found by a scan the category `undeclared`.
+ */
+function collectProjectDependencies(projectRoot, {
+    workspaces = false,
+    materializeWorkspaces = false,
+    scan = false,
+    scanPaths = [],
+} = {}) {
+    const dependencies = collectLocalDependencies(projectRoot);
+
+    if (workspaces) {
+        const rootModulesDir = path.join(projectRoot, 'node_modules');
+        const found = findWorkspaces(projectRoot);
+
+        found.forEach(workspace => {
+            collectLocalDependencies(workspace.dir).forEach(dependency => {
+                const hoisted = path.join(rootModulesDir, dependency.name);
+                const dest = !fs.existsSync(dependency.dest) && fs.existsSync(hoisted) ? hoisted : dependency.dest;
+                dependencies.push({ ...dependency, dest, workspace: workspace.relativePath });
+            });
+        });
+
+        if (materializeWorkspaces) {
+            found.filter(workspace => workspace.name).forEach(workspace => {
+                dependencies.push({
+                    name: workspace.name,
+                    category: 'workspaces',
+                    spec: workspace.relativePath,
+                    protocol: 'workspace',
+                    type: 'directory',
+                    relativePath: workspace.relativePath,
+                    src: workspace.dir,
+                    dest: path.join(rootModulesDir, workspace.name),
+                });
+            });
+        }
+    }
+
+    // Declared dependencies come first, so a scan only adds the others
+    if (scan) {
+        dependencies.push(...scanNodeModules(projectRoot, { paths: scanPaths }));
+    }
+
+    const destinations = new Set();
+    return dependencies.filter(({ dest }) => {
+        if (destinations.has(dest)) return false;
+        destinations.add(dest);
+        return true;
+    });
+}
+
+module.exports = { collectLocalDependencies, collectProjectDependencies, DEPENDENCY_CATEGORIES };
@@ -0,0 +1,100 @@
+/**
+ * Escapes a string so it can be embedded in a regular expression literally.
+ * @param {string} text - Text to escape.
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Translates a glob pattern into regular expression source.
+ * Supports `*`, `**`, `?`, `[...]` character classes and `{a,b}` alternatives.
+ * @param {string} glob - Glob pattern using `/` as separator.
+ * @returns {string}
+ */
+function globSource(glob) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*') {
+            const isGlobstar = glob[i + 1] === '*'
+                && (i === 0 || glob[i - 1] === '/')
+                && (i + 2 === glob.length || glob[i + 2] === '/');
+
+            if (isGlobstar && glob[i + 2] === '/') {
+                // `**/` matches zero or more leading directories
+                source += '(?:.*/)?';
+                i += 2;
+            } else if (isGlobstar) {
+                source += '.*';
+                i += 1;
+            } else {
+                while (glob[i + 1] === '*') i++;
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 2);
+            if (end === -1) {
+                source += '\\[';
+                continue;
+            }
+            let charClass = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+            if (charClass[0] === '!') charClass = `^${charClass.slice(1)}`;
+            source += `[${charClass}]`;
+            i = end;
+        } else if (char === '{') {
+            const end = glob.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+                continue;
+            }
+            const alternatives = glob.slice(i + 1, end).split(',').map(globSource);
+            source += `(?:${alternatives.join('|')})`;
+            i = end;
+        } else if (char === '\\' && i + 1 < glob.length) {
+            source += escapeRegExp(glob[++i]);
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+
+    return source;
+}
+
+/**
+ * Compiles a glob pattern into an anchored regular expression.
+ * @param {string} glob - Glob pattern using `/` as separator.
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    return new RegExp(`^${globSource(glob)}$`);
+}
+
+/**
+ * Tells whether a glob could match the given directory or anything inside it.
+ * Used to avoid walking directories that cannot contain a match.
+ * @param {string} glob - Glob pattern relative to the same root as dir.
+ * @param {string} dir - Directory path using `/` as separator.
+ * @returns {boolean}
+ */
+function mayMatchInside(glob, dir) {
+    const globSegments = glob.split('/');
+    const dirSegments = dir.split('/');
+
+    for (let i = 0; i < dirSegments.length; i++) {
+        const segment = globSegments[i];
+        // The whole glob matched an ancestor directory of dir
+        if (segment === undefined) return true;
+        if (segment === '**') return true;
+        if (!globToRegExp(segment).test(dirSegments[i])) return false;
+    }
+
+    return true;
+}
+
+module.exports = { globToRegExp, mayMatchInside };
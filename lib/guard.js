@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STATE_DIR } = require('./manifest');
+
+// Set for the installs a run starts, so that a run started by their postinstall scripts can tell
+const NESTED_RUN_ENV = 'RESOLVE_LOCAL_DEPENDENCIES_PARENT';
+// Held in the state directory of the project's node_modules while a run changes it
+const LOCK_FILE = 'run.lock';
+const DEFAULT_LOCK_TIMEOUT = 10 * 60 * 1000;
+const LOCK_POLL_INTERVAL = 200;
+// A lock still empty after this long belongs to a run that died while taking it
+const EMPTY_LOCK_GRACE = 10 * 1000;
+// Whether a run on another machine sharing the filesystem is alive cannot be checked
+const FOREIGN_LOCK_MAX_AGE = 60 * 60 * 1000;
+
+/**
+ * Tells whether this run was started by the install of a copy in another run, such as by
+ * the postinstall script of a local package running this tool again.
+ * @param {Object} [env=process.env]
+ * @returns {string|null} Name of the package whose install started this run, or null.
+ */
+function nestedRunParent(env = process.env) {
+    return env[NESTED_RUN_ENV] || null;
+}
+
+/**
+ * Environment for the install of a copy, marking the runs it starts as nested.
+ * @param {string} name - Package being installed.
+ * @returns {Object}
+ */
+function nestedRunEnv(name) {
+    return { ...process.env, [NESTED_RUN_ENV]: name };
+}
+
+function lockPath(projectRoot) {
+    return path.join(projectRoot, 'node_modules', STATE_DIR, LOCK_FILE);
+}
+
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // The process exists but belongs to someone else
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Reads the lock and tells whether the run holding it is gone: its process no longer
+ * exists, or the lock was never written, or it was taken on another machine long ago.
+ * @returns {{ content: string, holder: Object|null, stale: boolean }|null} Null when there is no lock.
+ */
+function inspectLock(file) {
+    let content;
+    let stat;
+    try {
+        content = fs.readFileSync(file, 'utf8');
+        stat = fs.statSync(file);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    let holder = null;
+    try {
+        holder = JSON.parse(content);
+    } catch {
+        // Being written, or cut short by a crash
+    }
+    const age = Date.now() - stat.mtimeMs;
+    if (!holder) return { content, holder, stale: age > EMPTY_LOCK_GRACE };
+    if (holder.hostname !== os.hostname()) return { content, holder, stale: age > FOREIGN_LOCK_MAX_AGE };
+    return { content, holder, stale: !isAlive(holder.pid) };
+}
+
+/**
+ * Removes a stale lock. It is moved aside first, so that of several runs finding it stale only
+ * one removes it; when what was moved is no longer the stale lock, another run took the lock in
+ * the meantime and it is put back.
+ */
+function breakLock(file, { content }) {
+    const aside = `${file}.${crypto.randomBytes(4).toString('hex')}`;
+    try {
+        fs.renameSync(file, aside);
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+    }
+    try {
+        if (fs.readFileSync(aside, 'utf8') !== content) fs.linkSync(aside, file);
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+    } finally {
+        fs.rmSync(aside, { force: true });
+    }
+}
+
+/**
+ * Tries once to take the lock, removing it first when stale.
+ * @returns {Object|null} Null when taken, otherwise the holder of the lock, as read from it.
+ */
+function attemptLock(file, content, logger) {
+    try {
+        fs.writeFileSync(file, content, { flag: 'wx' });
+        return null;
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+    }
+
+    const lock = inspectLock(file);
+    if (!lock) return attemptLock(file, content, logger);
+    if (!lock.stale) return lock.holder || {};
+    const owner = lock.holder ? `pid ${lock.holder.pid} on ${lock.holder.hostname}` : 'a run that died while taking it';
+    logger.warn('lock', `[LOCK] Removed a stale lock left by ${owner}`, { path: file, holder: lock.holder });
+    breakLock(file, lock);
+    return attemptLock(file, content, logger);
+}
+
+function describeHolder({ pid, startedAt }) {
+    return pid ? `the run of pid ${pid}, started at ${startedAt},` : 'another run';
+}
+
+/**
+ * Prepares taking the lock of a project, for acquireLock and acquireLockAsync.
+ * @returns {Object|null} Null when the project has no node_modules to guard.
+ */
+function startLocking(projectRoot, { timeout = DEFAULT_LOCK_TIMEOUT, logger }) {
+    if (!Number.isFinite(timeout) || timeout < 0) {
+        throw new Error(`lockTimeout must be a number of milliseconds, got ${timeout}`);
+    }
+    if (!fs.existsSync(path.join(projectRoot, 'node_modules'))) return null;
+
+    const file = lockPath(projectRoot);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const content = `${JSON.stringify({
+        pid: process.pid,
+        hostname: os.hostname(),
+        startedAt: new Date().toISOString(),
+        token: crypto.randomBytes(4).toString('hex'),
+    })}\n`;
+    const deadline = Date.now() + timeout;
+    let waitingFor = null;
+
+    return {
+        /**
+         * @returns {boolean} Whether the lock was taken; false to try again later.
+         * @throws {Error} Once the timeout is over.
+         */
+        attempt() {
+            const holder = attemptLock(file, content, logger);
+            if (!holder) return true;
+            if (Date.now() >= deadline) {
+                throw new Error(`Timed out waiting for ${describeHolder(holder)} to finish with node_modules (lock ${file})`);
+            }
+            if (waitingFor !== holder.token) {
+                waitingFor = holder.token;
+                logger.info('lock', `[LOCK] Waiting for ${describeHolder(holder)} to finish with node_modules`, { path: file, holder });
+            }
+            return false;
+        },
+        release() {
+            try {
+                if (fs.readFileSync(file, 'utf8') === content) fs.rmSync(file);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        },
+    };
+}
+
+/**
+ * Takes the lock serializing the runs that change the node_modules of a project, waiting for
+ * the run holding it to finish. Locks left by runs that are gone are removed.
+ * @param {string} projectRoot
+ * @param {Object} options
+ * @param {number} [options.timeout=600000] - Milliseconds to wait before giving up.
+ * @param {Object} options.logger - Logger of the run.
+ * @returns {() => void} Releases the lock.
+ * @throws {Error} When the lock is still held after the timeout.
+ */
+function acquireLock(projectRoot, options) {
+    const lock = startLocking(projectRoot, options);
+    if (!lock) return () => {};
+    const pause = new Int32Array(new SharedArrayBuffer(4));
+    while (!lock.attempt()) Atomics.wait(pause, 0, 0, LOCK_POLL_INTERVAL);
+    return lock.release;
+}
+
+/**
+ * Same as acquireLock, waiting without blocking the event loop.
+ * @returns {Promise<() => void>}
+ */
+async function acquireLockAsync(projectRoot, options) {
+    const lock = startLocking(projectRoot, options);
+    if (!lock) return () => {};
+    while (!lock.attempt()) await new Promise(resolve => setTimeout(resolve, LOCK_POLL_INTERVAL));
+    return lock.release;
+}
+
+module.exports = {
+    NESTED_RUN_ENV,
+    DEFAULT_LOCK_TIMEOUT,
+    nestedRunParent,
+    nestedRunEnv,
+    lockPath,
+    acquireLock,
+    acquireLockAsync,
+};
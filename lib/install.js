@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const childProcess = require('child_process');
+const { spawnAsync } = require('../utils/spawn');
+const { installCommand } = require('./package-manager');
+const { nestedRunEnv } = require('./guard');
+
+/**
+ * Decides whether a copy needs an install and builds the command for it.
+ * @returns {{ command: string, args: string[] }|null} Null when the install is skipped.
+ */
+function prepareInstall(dest, { packageManager, dev, refresh, name }, logger) {
+    const pkgPath = path.join(dest, 'package.json');
+    if (!fs.existsSync(pkgPath)) {
+        logger.info('skip', `[SKIP] No package.json in ${name}`, { package: name });
+        return null;
+    }
+
+    // Avoid reinstall if node_modules already exists, unless package.json changed
+    const nmPath = path.join(dest, 'node_modules');
+    if (!refresh && fs.existsSync(nmPath)) {
+        logger.debug('skip', `[SKIP] Dependencies already present for ${name}`, { package: name });
+        return null;
+    }
+
+    const { command, args } = installCommand(packageManager, { dev });
+    if (packageManager.name === 'yarn' && packageManager.major >= 2) {
+        // Otherwise Yarn 2+ treats the copy as part of the host project
+        const lockfile = path.join(dest, 'yarn.lock');
+        if (!fs.existsSync(lockfile)) fs.writeFileSync(lockfile, '');
+    }
+
+    logger.info('install', `[INSTALL] Running ${command} ${args.join(' ')} in ${name}`, { package: name, command: [command, ...args] });
+    return { command, args };
+}
+
+/**
+ * Explains why an install failed, for the report.
+ */
+function describeFailure({ command }, result) {
+    return result.error ? result.error.message : `${command} install exited with code ${result.status}`;
+}
+
+/**
+ * Logs the output of the package manager and the outcome of the install.
+ * @returns {{ status: 'succeeded'|'failed', error?: string }}
+ */
+function finishInstall(install, result, name, logger, started) {
+    const output = `${result.stdout || ''}${result.stderr || ''}`.trim();
+    if (output) logger.info('output', output, { package: name });
+    const durationMs = Date.now() - started;
+    if (result.status !== 0) {
+        const error = describeFailure(install, result);
+        logger.error('error', `[ERROR] Failed to install dependencies for ${name}`, { package: name, error, durationMs });
+        return { status: 'failed', error };
+    }
+    logger.debug('installed', `[INSTALL] Installed the dependencies of ${name}`, { package: name, durationMs });
+    return { status: 'succeeded' };
+}
+
+/**
+ * Installs the dependencies of a copy with the package manager of the host project.
+ * The output of the package manager is captured and logged once it exits. Runs of this
+ * tool started by the install, from the postinstall script of the copy, know they are nested.
+ * @param {string} dest - Copied package.
+ * @param {Object} options
+ * @param {{ name: string, major?: number }} [options.packageManager] - Result of resolvePackageManager. Defaults to npm.
+ * @param {boolean} [options.dev=true] - Whether devDependencies are installed too.
+ * @param {Object} options.logger - Logger of the run (see createLogger).
+ * @param {boolean} [options.refresh=false] - Install even when node_modules is already present.
+ * @param {string} [options.name] - Package name for the messages. Defaults to the name of dest, which
+ *   differs while the copy is staged.
+ * @returns {{ status: 'succeeded'|'failed'|'skipped', error?: string }}
+ */
+function installDependencies(dest, {
+    packageManager = { name: 'npm' },
+    dev = true,
+    refresh = false,
+    name = path.basename(dest),
+    logger,
+}) {
+    const install = prepareInstall(dest, { packageManager, dev, refresh, name }, logger);
+    if (!install) return { status: 'skipped' };
+
+    const started = Date.now();
+    const result = childProcess.spawnSync(install.command, install.args, {
+        cwd: dest,
+        env: nestedRunEnv(name),
+        encoding: 'utf8',
+        maxBuffer: 64 * 1024 * 1024,
+        shell: process.platform === 'win32'
+    });
+    return finishInstall(install, result, name, logger, started);
+}
+
+/**
+ * Same as installDependencies, without blocking the event loop. With a log group as the
+ * logger, the output stays next to the other messages of the package.
+ * @param {string} dest - Copied package.
+ * @param {Object} options - As for installDependencies.
+ * @returns {Promise<{ status: 'succeeded'|'failed'|'skipped', error?: string }>}
+ */
+async function installDependenciesAsync(dest, {
+    packageManager = { name: 'npm' },
+    dev = true,
+    refresh = false,
+    name = path.basename(dest),
+    logger,
+}) {
+    const install = prepareInstall(dest, { packageManager, dev, refresh, name }, logger);
+    if (!install) return { status: 'skipped' };
+
+    const started = Date.now();
+    const result = await spawnAsync(install.command, install.args, {
+        cwd: dest,
+        env: nestedRunEnv(name),
+        shell: process.platform === 'win32'
+    });
+    return finishInstall(install, result, name, logger, started);
+}
+
+module.exports = { installDependencies, installDependenciesAsync };
@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const { loggerFromOptions } = require('../utils/log');
+const { collectProjectDependencies } = require('./dependencies');
+const { loadConfig } = require('./config');
+const { readCopyRecord } = require('./manifest');
+const { acquireLock } = require('./guard');
+
+const PACKAGE_LOCK = 'package-lock.json';
+// npm's record of what it installed, trusted as long as no package folder is newer
+const HIDDEN_LOCKFILE = 'node_modules/.package-lock.json';
+// Where an entry sits in the tree; carried over both ways
+const TREE_FLAGS = ['dev', 'optional', 'devOptional', 'peer', 'extraneous'];
+// Fields of a link target that an installed package entry does not have
+const LINK_TARGET_ONLY = ['name', 'resolved', 'link', 'devDependencies'];
+// Fields of a package.json that npm carries into the entry of an installed package
+const MANIFEST_FIELDS = ['name', 'version', 'license', 'dependencies', 'optionalDependencies', 'peerDependencies', 'engines'];
+const NPMRC = '.npmrc';
+// Without it npm takes the entries of copies of file: dependencies for invalid, and installs links again
+const INSTALL_LINKS = 'install-links=true';
+const NPMRC_NOTE = '# Added by resolve-local-dependencies --lockfile, removed by --restore-lockfile';
+
+const toPosix = file => file.split(path.sep).join('/');
+const pick = (object, keys) => Object.fromEntries(keys.filter(key => key in object).map(key => [key, object[key]]));
+
+/**
+ * Reads a lockfile with the indentation it was written with.
+ * @returns {{ lock: Object, indent: string }|null} Null when there is no such file.
+ */
+function readLockfile(file) {
+    if (!fs.existsSync(file)) return null;
+    const content = fs.readFileSync(file, 'utf8');
+    let lock;
+    try {
+        lock = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Could not parse ${file}: ${error.message}`);
+    }
+    const indent = (/^\{\r?\n([ \t]+)"/.exec(content) || [])[1] || '  ';
+    return { lock, indent };
+}
+
+function writeLockfile(file, { lock, indent }) {
+    // In the order npm writes them, for entries added back
+    const packages = Object.fromEntries(Object.entries(lock.packages).sort(([a], [b]) => a.localeCompare(b, 'en')));
+    fs.writeFileSync(file, `${JSON.stringify({ ...lock, packages }, null, indent)}\n`);
+}
+
+/**
+ * Lists the lockfiles of a project, by their path relative to it.
+ * @param {string|null} mode - Lockfile mode of the run, or null for every lockfile.
+ */
+function lockfilesFor(mode) {
+    return mode === 'hidden' ? [HIDDEN_LOCKFILE] : [PACKAGE_LOCK, HIDDEN_LOCKFILE];
+}
+
+/**
+ * Entry describing a copy of a linked directory, the way npm writes a `file:` dependency it
+ * installed as a copy (`install-links`): the fields of the link target, resolved to it. The
+ * hidden lockfile has no entries outside node_modules: the package.json of the source stands in.
+ */
+function describeCopy(link, target, { name, src }) {
+    const source = target || pick(JSON.parse(fs.readFileSync(path.join(src, 'package.json'), 'utf8')), MANIFEST_FIELDS);
+    const fields = Object.fromEntries(Object.entries(source).filter(([key]) => !LINK_TARGET_ONLY.includes(key)));
+    return {
+        // Only kept by npm when the package is installed under another name
+        ...(source.name && source.name !== name ? { name: source.name } : {}),
+        ...('version' in fields ? { version: fields.version } : {}),
+        resolved: `file:${link.resolved}`,
+        ...fields,
+        ...pick(link, TREE_FLAGS),
+    };
+}
+
+/**
+ * Tells whether an entry describes a copy of a local directory, as describeCopy writes them.
+ */
+function isDirectoryCopy(projectRoot, entry) {
+    if (entry.link || typeof entry.resolved !== 'string' || !entry.resolved.startsWith('file:')) return false;
+    const stat = fs.statSync(path.resolve(projectRoot, entry.resolved.slice('file:'.length)), { throwIfNoEntry: false });
+    return Boolean(stat && stat.isDirectory());
+}
+
+/**
+ * Reads the install-links setting of the .npmrc of a project.
+ * @returns {string|null} Its last value, or null when it is not set there.
+ */
+function readInstallLinks(projectRoot) {
+    const file = path.join(projectRoot, NPMRC);
+    const content = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    const setting = content.split(/\r?\n/).map(line => /^\s*install-links\s*=\s*(.*?)\s*$/.exec(line)).filter(Boolean).pop();
+    return setting ? setting[1] : null;
+}
+
+/**
+ * Makes sure npm accepts the entries of the copies, which it only does with install-links.
+ * When allowed, sets it in the .npmrc of the project, unless it is set already, with a warning
+ * since npm then installs every `file:` dependency of the project as a copy. Otherwise, or
+ * when .npmrc sets another value, which is left as it is, only warns.
+ * @param {string} projectRoot
+ * @param {boolean} allowed - Whether the run may change .npmrc (the installLinks option).
+ * @param {Object} logger
+ */
+function enableInstallLinks(projectRoot, allowed, logger) {
+    const file = path.join(projectRoot, NPMRC);
+    const setting = readInstallLinks(projectRoot);
+    if (setting === 'true') return;
+    if (setting !== null) {
+        logger.warn('lockfile', `[WARN] ${NPMRC} sets install-links=${setting}, npm will take the copies for invalid`, { path: file });
+        return;
+    }
+    if (!allowed) {
+        logger.warn('lockfile', `[WARN] npm takes the copies for invalid and puts the symlinks back without ${INSTALL_LINKS}: set it in ${NPMRC}, or pass --install-links`, {
+            path: file,
+        });
+        return;
+    }
+    const content = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    const separator = content && !content.endsWith('\n') ? '\n' : '';
+    fs.writeFileSync(file, `${content}${separator}${NPMRC_NOTE}\n${INSTALL_LINKS}\n`);
+    logger.warn('lockfile', `[WARN] ${NPMRC}: added ${INSTALL_LINKS}, npm now installs every file: dependency of the project as a copy, until --restore-lockfile or relink removes it`, {
+        path: file,
+    });
+}
+
+/**
+ * Removes the install-links setting enableInstallLinks added, and the .npmrc it created.
+ */
+function disableInstallLinks(projectRoot, logger) {
+    const file = path.join(projectRoot, NPMRC);
+    if (!fs.existsSync(file)) return;
+    const content = fs.readFileSync(file, 'utf8');
+    const rest = content.replace(`${NPMRC_NOTE}\n${INSTALL_LINKS}\n`, '');
+    if (rest === content) return;
+    if (rest.trim()) {
+        fs.writeFileSync(file, rest);
+    } else {
+        fs.rmSync(file);
+    }
+    logger.info('lockfile', `[LOCKFILE] ${NPMRC}: removed ${INSTALL_LINKS}`, { path: file });
+}
+
+/**
+ * Rewrites the entries of the given dependencies in the lockfiles of a project with
+ * transform, skipping the lockfiles that do not exist.
+ * @param {(entry: Object, lock: Object, dependency: Object) => Object|null} transform - Returns the new
+ *   entry, or null to leave it as it is.
+ * @returns {Map<string, string[]>} Names of the dependencies changed, by lockfile.
+ */
+function rewriteEntries(projectRoot, files, dependencies, transform, logger) {
+    const changed = new Map();
+    files.forEach(relativeFile => {
+        const file = path.join(projectRoot, relativeFile);
+        const lockfile = readLockfile(file);
+        if (!lockfile) return;
+        const { lock } = lockfile;
+        if (!lock.packages) {
+            logger.warn('lockfile', `[WARN] ${relativeFile} has lockfileVersion ${lock.lockfileVersion}, only 2 and later are supported`, {
+                path: file,
+            });
+            return;
+        }
+
+        const names = [];
+        dependencies.forEach(dependency => {
+            const key = toPosix(path.relative(projectRoot, dependency.dest));
+            const entry = lock.packages[key] && transform(lock.packages[key], lock, dependency);
+            if (!entry) return;
+            lock.packages[key] = entry;
+            names.push(dependency.name);
+        });
+        if (!names.length) return;
+        writeLockfile(file, lockfile);
+        changed.set(relativeFile, names);
+    });
+    return changed;
+}
+
+/**
+ * Points the lockfile entries of the dependencies that are now copies made by this tool at
+ * the copies, so that npm stops describing them as links and putting the symlinks back. Only
+ * the entries of top-level dependencies that npm installed as links are changed; the target
+ * entry of each link is kept. The hidden lockfile is written last, to stay newer than the
+ * packages it describes. npm only accepts such entries with install-links, which is set in the
+ * .npmrc of the project when allowed (see enableInstallLinks).
+ * @param {string} projectRoot
+ * @param {Array<Object>} dependencies - Dependencies of the run, as returned by prepareRun.
+ * @param {Object} options
+ * @param {'package-lock'|'hidden'} options.lockfile - Which lockfiles to update.
+ * @param {boolean} [options.installLinks=false] - Whether to set install-links in .npmrc when it is not set.
+ * @param {Object} options.logger - Logger of the run.
+ * @returns {string[]} Names of the dependencies whose entries changed.
+ */
+function updateLockfileEntries(projectRoot, dependencies, { lockfile, installLinks = false, logger }) {
+    const copies = dependencies.filter(dependency => {
+        const stat = fs.lstatSync(dependency.dest, { throwIfNoEntry: false });
+        return stat && !stat.isSymbolicLink() && readCopyRecord(dependency);
+    });
+    const changed = rewriteEntries(projectRoot, lockfilesFor(lockfile), copies, (entry, lock, dependency) => {
+        if (!entry.link || typeof entry.resolved !== 'string') return null;
+        return describeCopy(entry, lock.packages[entry.resolved], dependency);
+    }, logger);
+
+    changed.forEach((names, file) => {
+        logger.info('lockfile', `[LOCKFILE] ${file}: ${names.join(', ')} now described as copies`, { path: file, packages: names });
+    });
+    const npmLockfile = lockfilesFor(lockfile).some(file => fs.existsSync(path.join(projectRoot, file)));
+    if (copies.length && npmLockfile) enableInstallLinks(projectRoot, installLinks, logger);
+    return [...new Set([...changed.values()].flat())];
+}
+
+/**
+ * Puts back the link entries that updateLockfileEntries replaced, in every lockfile of the
+ * project: those that describe a copy of the source of their dependency, whether the tool or
+ * npm wrote them. Once no lockfile describes copies of directories, the install-links setting
+ * the tool added is removed.
+ * @param {string} projectRoot
+ * @param {Array<Object>} dependencies - Local dependencies whose entries to restore.
+ * @param {Object} options
+ * @param {Object} options.logger
+ * @returns {string[]} Names of the dependencies whose entries were restored.
+ */
+function restoreLockfileEntries(projectRoot, dependencies, { logger }) {
+    const directories = dependencies.filter(({ type }) => type !== 'tarball');
+    const changed = rewriteEntries(projectRoot, lockfilesFor(null), directories, (entry, lock, dependency) => {
+        if (!isDirectoryCopy(projectRoot, entry)) return null;
+        const target = entry.resolved.slice('file:'.length);
+        if (path.resolve(projectRoot, target) !== dependency.src) return null;
+        if (lock.packages[target]) {
+            // npm marks the target of a link it no longer has as extraneous
+            delete lock.packages[target].extraneous;
+        } else if (lock.packages['']) {
+            // or drops it, when it rewrote package-lock.json; the hidden lockfile never has one
+            lock.packages[target] = Object.fromEntries(Object.entries(entry).filter(([key]) => !['resolved', ...TREE_FLAGS].includes(key)));
+        }
+        return { resolved: target, link: true, ...pick(entry, TREE_FLAGS) };
+    }, logger);
+
+    changed.forEach((names, file) => {
+        logger.info('lockfile', `[LOCKFILE] ${file}: ${names.join(', ')} described as links again`, { path: file, packages: names });
+    });
+    const copiesLeft = lockfilesFor(null).some(file => {
+        const lockfile = readLockfile(path.join(projectRoot, file));
+        return lockfile && Object.values(lockfile.lock.packages || {}).some(entry => isDirectoryCopy(projectRoot, entry));
+    });
+    if (!copiesLeft) disableInstallLinks(projectRoot, logger);
+    return [...new Set([...changed.values()].flat())];
+}
+
+/**
+ * Restore the lockfile entries of the local dependencies that a run with the `lockfile` option
+ * pointed at copies, so that package-lock.json describes them as links again, for instance
+ * before committing it. The copies in node_modules are left as they are; relinkLocalDependencies
+ * restores the entries of the copies it relinks by itself.
+ * @param {Object} options
+ * @param {string[]} [options.packages=[]] - Names of the dependencies to restore. Defaults to every one.
+ * @param {boolean} [options.silent=false] - Suppress console output.
+ * @param {string} [options.logLevel='info'] - As for unlinkLocalDependencies, and so are logFormat, logger and onEvent.
+ * @param {boolean} [options.workspaces=false] - If true, also restore the entries of the local dependencies of
+ *   npm workspaces and of the workspace packages. Also on when the project configuration sets it.
+ * @param {boolean} [options.scan=false] - If true, also restore the entries of the copies made from the links a
+ *   scan found. Also on when the project configuration sets it.
+ * @param {number} [options.lockTimeout=600000] - Milliseconds to wait for another run changing node_modules to finish.
+ * @returns {{ restored: string[] }} Names of the dependencies whose entries were restored.
+ * @throws {Error} When a package given is not a local dependency of the project.
+ */
+function restoreLockfile({
+    packages = [],
+    silent = false,
+    logLevel,
+    logFormat,
+    logger: output,
+    onEvent,
+    workspaces = false,
+    scan = false,
+    lockTimeout,
+} = {}) {
+    const logger = loggerFromOptions({ silent, logLevel, logFormat, logger: output, onEvent });
+    const projectRoot = process.cwd();
+    const { config } = loadConfig(projectRoot);
+    const all = workspaces || Boolean(config.workspaces);
+    const dependencies = collectProjectDependencies(projectRoot, {
+        workspaces: all,
+        materializeWorkspaces: all,
+        scan: scan || Boolean(config.scan),
+        scanPaths: config.scanPaths,
+    });
+    const unknown = packages.filter(name => !dependencies.some(dependency => dependency.name === name));
+    if (unknown.length) {
+        throw new Error(`Not a local dependency of this project: ${unknown.join(', ')}`);
+    }
+
+    const release = acquireLock(projectRoot, { timeout: lockTimeout, logger });
+    try {
+        const selected = dependencies.filter(({ name }) => !packages.length || packages.includes(name));
+        return { restored: restoreLockfileEntries(projectRoot, selected, { logger }) };
+    } finally {
+        release();
+    }
+}
+
+module.exports = {
+    restoreLockfile,
+    updateLockfileEntries,
+    restoreLockfileEntries,
+};
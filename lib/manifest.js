@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { packList } = require('./packlist');
+
+// Directory inside node_modules holding one record per replaced symlink
+const STATE_DIR = '.resolve-local-dependencies';
+
+/**
+ * Returns where the record of a copied dependency is stored: in the state
+ * directory of the node_modules the copy lives in, named after the package.
+ * @param {{ name: string, dest: string }} dependency
+ * @returns {string}
+ */
+function recordPath({ name, dest }) {
+    const nodeModulesDir = path.resolve(dest, ...name.split('/').map(() => '..'));
+    return path.join(nodeModulesDir, STATE_DIR, `${name}.json`);
+}
+
+/**
+ * Describes a file by size, modification time and SHA-256 of its content. A preserved
+ * symlink to a directory is hashed by its target instead.
+ * @param {string} file - Absolute path.
+ * @returns {{ size: number, mtimeMs: number, hash: string }}
+ */
+function describeFile(file) {
+    const stat = fs.statSync(file);
+    const content = stat.isDirectory() ? `symlink:${fs.readlinkSync(file)}` : fs.readFileSync(file);
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    return { size: stat.size, mtimeMs: stat.mtimeMs, hash };
+}
+
+/**
+ * Tells whether a file still matches its description. Size and modification time
+ * settle most cases; the hash decides when only the timestamp moved.
+ */
+function isUnchanged(file, description) {
+    const { size, mtimeMs } = fs.statSync(file);
+    if (size !== description.size) return false;
+    if (mtimeMs === description.mtimeMs) return true;
+    return describeFile(file).hash === description.hash;
+}
+
+/**
+ * Records that a symlink was replaced with a copy, with the size, modification time and
+ * content hash of every file, both in the copy and in the source it was copied from.
+ * For a tarball spec the source is the tarball itself, recorded under its file name.
+ * @param {{ name: string, src: string, dest: string, type?: string }} dependency
+ * @param {Object} details
+ * @param {string} details.linkTarget - Target of the replaced symlink, as read from the link.
+ * @param {string[]} details.files - Files of the copy, relative to dest.
+ * @param {string[]} [details.include=[]] - Extra include globs the copy was made with.
+ * @param {string[]} [details.ignore=[]] - Extra ignore globs the copy was made with.
+ * @param {'copy'|'pack'} [details.mode='copy'] - How the copy was made.
+ * @param {string} [details.symlinks='preserve'] - Symlink policy the copy was made with.
+ * @param {string} [details.replacedAt] - When the symlink was replaced. Defaults to now.
+ * @param {boolean} [details.undeclared] - Whether a scan found the symlink, so that later scans find the copy.
+ *   Defaults to whether the dependency is undeclared.
+ */
+function writeCopyRecord(dependency, {
+    linkTarget,
+    files,
+    include = [],
+    ignore = [],
+    mode = 'copy',
+    symlinks = 'preserve',
+    replacedAt,
+    undeclared = dependency.category === 'undeclared',
+}) {
+    const { name, src, dest } = dependency;
+    const record = {
+        name,
+        source: src,
+        linkTarget,
+        undeclared,
+        replacedAt: replacedAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        include,
+        ignore,
+        mode,
+        symlinks,
+        files: {},
+        sources: {},
+    };
+
+    if (dependency.type === 'tarball') {
+        record.sources[path.basename(src)] = describeFile(src);
+    }
+    files.forEach(file => {
+        record.files[file] = describeFile(path.join(dest, file));
+        if (dependency.type === 'tarball') return;
+        // Packed files may be build output that only ever existed in the tarball
+        if (fs.existsSync(path.join(src, file))) {
+            record.sources[file] = describeFile(path.join(src, file));
+        }
+    });
+
+    const file = recordPath(dependency);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(record, null, 2)}\n`);
+}
+
+/**
+ * Picks the options of a run that a record keeps, so that later updates copy the same files.
+ * @param {Object} options - Options of the run for the package.
+ * @returns {{ include: string[], ignore: string[], mode: string, symlinks: string }}
+ */
+function recordedOptions({ include, ignore, mode, symlinks }) {
+    return { include, ignore, mode, symlinks };
+}
+
+/**
+ * Reads the record of a copied dependency.
+ * @param {{ name: string, dest: string }} dependency
+ * @returns {Object|null} The record, or null when the dependency was not replaced by this tool.
+ */
+function readCopyRecord(dependency) {
+    const file = recordPath(dependency);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Deletes the record of a copied dependency.
+ * @param {{ name: string, dest: string }} dependency
+ */
+function removeCopyRecord(dependency) {
+    fs.rmSync(recordPath(dependency), { force: true });
+}
+
+/**
+ * Tells whether a file of a copy is a hard link to the file of its source.
+ */
+function isSharedWithSource(file, sourceFile) {
+    const stat = fs.statSync(file);
+    try {
+        const source = fs.statSync(sourceFile);
+        return source.ino === stat.ino && source.dev === stat.dev;
+    } catch {
+        // Gone from the source, or the source is a tarball
+        return false;
+    }
+}
+
+/**
+ * Lists the changes made to a copy since it was recorded. Installed node_modules
+ * and other files npm would not publish are not considered, and neither are the
+ * edits of files hard linked to the source, which are changes of the source.
+ * @param {{ src: string, dest: string }} dependency
+ * @param {Object} record - Record returned by readCopyRecord.
+ * @returns {Array<{ file: string, change: 'modified'|'deleted'|'added' }>}
+ */
+function findModifications({ src, dest }, record) {
+    const changes = [];
+
+    Object.entries(record.files).forEach(([file, description]) => {
+        const filePath = path.join(dest, file);
+        if (!fs.existsSync(filePath)) {
+            changes.push({ file, change: 'deleted' });
+        } else if (!isUnchanged(filePath, description) && !isSharedWithSource(filePath, path.join(src, file))) {
+            changes.push({ file, change: 'modified' });
+        }
+    });
+
+    packList(dest)
+        .filter(file => !record.files[file])
+        .forEach(file => changes.push({ file, change: 'added' }));
+
+    return changes;
+}
+
+/**
+ * Compares the current source of a copy with the source it was copied from.
+ * @param {{ src: string, type?: string }} dependency
+ * @param {Object} record - Record returned by readCopyRecord.
+ * @returns {{ added: string[], changed: string[], removed: string[] }} Files relative to the source,
+ *   or the tarball's file name for a tarball spec.
+ */
+function findSourceChanges({ src, type }, record) {
+    const recorded = record.sources || {};
+
+    if (type === 'tarball') {
+        const name = path.basename(src);
+        const exists = fs.existsSync(src);
+        return {
+            added: exists && !recorded[name] ? [name] : [],
+            changed: exists && recorded[name] && !isUnchanged(src, recorded[name]) ? [name] : [],
+            removed: Object.keys(recorded).filter(file => file !== name || !exists),
+        };
+    }
+
+    const current = packList(src, { include: record.include, ignore: record.ignore, symlinks: record.symlinks });
+
+    return {
+        added: current.filter(file => !recorded[file]),
+        changed: current.filter(file => recorded[file] && !isUnchanged(path.join(src, file), recorded[file])),
+        removed: Object.keys(recorded).filter(file => !current.includes(file)),
+    };
+}
+
+module.exports = {
+    STATE_DIR,
+    writeCopyRecord,
+    recordedOptions,
+    readCopyRecord,
+    removeCopyRecord,
+    findModifications,
+    findSourceChanges,
+};
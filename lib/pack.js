@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const { spawnAsync } = require('../utils/spawn');
+const { extractTarball } = require('./tar');
+
+function createPackDirectory() {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resolve-local-dependencies-'));
+    return { tmpDir, cleanup: () => fs.rmSync(tmpDir, { recursive: true, force: true }) };
+}
+
+function spawnOptions(src) {
+    return {
+        cwd: src,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        shell: process.platform === 'win32'
+    };
+}
+
+/**
+ * Turns the result of npm pack into the path of the tarball it wrote.
+ */
+function readPackResult(result, { tmpDir, cleanup }) {
+    if (result.status !== 0) {
+        cleanup();
+        const output = `${result.stderr || ''}${result.stdout || ''}`.trim().split(/\r?\n/).slice(-5).join('\n');
+        const reason = result.error ? result.error.message : `npm pack exited with code ${result.status}`;
+        throw new Error(output ? `${reason}:\n${output}` : reason);
+    }
+
+    const tarball = fs.readdirSync(tmpDir).find(file => file.endsWith('.tgz'));
+    if (!tarball) {
+        cleanup();
+        throw new Error('npm pack did not produce a tarball');
+    }
+
+    return { tarball: path.join(tmpDir, tarball), cleanup };
+}
+
+/**
+ * Runs `npm pack` for the package in src, which also runs its prepack,
+ * prepare and postpack scripts, and writes the tarball to a temporary directory.
+ * @param {string} src - Package directory.
+ * @returns {{ tarball: string, cleanup: () => void }} Path of the tarball and a
+ *   function removing its temporary directory.
+ * @throws {Error} When npm pack fails, with the end of its output.
+ */
+function packPackage(src) {
+    const dir = createPackDirectory();
+    const result = childProcess.spawnSync('npm', ['pack', '--pack-destination', dir.tmpDir], spawnOptions(src));
+    return readPackResult(result, dir);
+}
+
+/**
+ * Same as packPackage, without blocking the event loop.
+ * @param {string} src - Package directory.
+ * @returns {Promise<{ tarball: string, cleanup: () => void }>}
+ */
+async function packPackageAsync(src) {
+    const dir = createPackDirectory();
+    const result = await spawnAsync('npm', ['pack', '--pack-destination', dir.tmpDir], spawnOptions(src));
+    return readPackResult(result, dir);
+}
+
+/**
+ * Extracts a packed dependency into dest and removes the tarball.
+ * @param {{ tarball: string, cleanup: () => void }} packed
+ * @param {string} dest
+ * @returns {string[]} The extracted files, relative to dest.
+ */
+function extractPacked(packed, dest) {
+    try {
+        return extractTarball(packed.tarball, dest);
+    } finally {
+        packed.cleanup();
+    }
+}
+
+module.exports = { packPackage, packPackageAsync, extractPacked };
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+
+// Lockfiles identifying each package manager, checked in this order
+const LOCKFILES = [
+    ['pnpm-lock.yaml', 'pnpm'],
+    ['yarn.lock', 'yarn'],
+    ['bun.lock', 'bun'],
+    ['bun.lockb', 'bun'],
+    ['package-lock.json', 'npm'],
+    ['npm-shrinkwrap.json', 'npm'],
+];
+
+const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn', 'bun'];
+
+/**
+ * Parses a package manager given as `name` or `name@version`, as in the
+ * `packageManager` field of package.json.
+ * @param {string} value
+ * @returns {{ name: string, major?: number }}
+ */
+function parsePackageManager(value) {
+    const [name, version = ''] = value.trim().split('@');
+    if (!PACKAGE_MANAGERS.includes(name)) {
+        throw new Error(`Unsupported package manager "${value}", expected one of: ${PACKAGE_MANAGERS.join(', ')}`);
+    }
+    const major = parseInt(version, 10);
+    return Number.isNaN(major) ? { name } : { name, major };
+}
+
+/**
+ * Tells Yarn 2+ apart from Yarn 1 without running it: only the former writes
+ * `.yarnrc.yml` and a `__metadata` section in yarn.lock.
+ */
+function detectYarnMajor(root) {
+    if (fs.existsSync(path.join(root, '.yarnrc.yml'))) return 2;
+    const lockfile = path.join(root, 'yarn.lock');
+    if (fs.existsSync(lockfile) && fs.readFileSync(lockfile, 'utf8').includes('__metadata:')) return 2;
+    return 1;
+}
+
+/**
+ * Works out which package manager a project uses: the `packageManager` field of its
+ * package.json wins, then its lockfile. Defaults to npm.
+ * @param {string} root - Project root.
+ * @returns {{ name: string, major?: number }}
+ */
+function detectPackageManager(root) {
+    const pkg = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+    let manager = null;
+
+    if (typeof pkg.packageManager === 'string') {
+        manager = parsePackageManager(pkg.packageManager);
+    } else {
+        const found = LOCKFILES.find(([lockfile]) => fs.existsSync(path.join(root, lockfile)));
+        manager = { name: found ? found[1] : 'npm' };
+    }
+
+    if (manager.name === 'yarn' && manager.major === undefined) {
+        manager.major = detectYarnMajor(root);
+    }
+    return manager;
+}
+
+/**
+ * Picks the package manager for the installs of a run and checks it can do them.
+ * @param {string|undefined} override - Package manager requested by the user, as `name` or `name@version`.
+ * @param {string} root - Project root, used for detection when there is no override.
+ * @param {Object} [options]
+ * @param {boolean} [options.dev=false] - Whether devDependencies are installed too.
+ * @returns {{ name: string, major?: number }}
+ * @throws {Error} When the package manager is unknown or cannot do the requested install.
+ */
+function resolvePackageManager(override, root, { dev = false } = {}) {
+    const manager = override ? parsePackageManager(override) : detectPackageManager(root);
+    if (manager.name === 'yarn' && manager.major === undefined) {
+        manager.major = detectYarnMajor(root);
+    }
+
+    // Fail before anything is touched rather than at the first install
+    installCommand(manager, { dev });
+    return manager;
+}
+
+/**
+ * Builds the install command for a copied dependency.
+ * @param {{ name: string, major?: number }} manager - Result of resolvePackageManager.
+ * @param {Object} [options]
+ * @param {boolean} [options.dev=false] - Whether devDependencies are installed too.
+ * @returns {{ command: string, args: string[] }}
+ * @throws {Error} When the package manager cannot do the requested install.
+ */
+function installCommand(manager, { dev = false } = {}) {
+    switch (manager.name) {
+    case 'pnpm':
+        // The copy sits inside the host project, which may be a pnpm workspace
+        return { command: 'pnpm', args: ['install', '--ignore-workspace', ...(dev ? [] : ['--prod'])] };
+    case 'yarn':
+        if (manager.major >= 2) {
+            if (!dev) {
+                throw new Error('Yarn 2+ cannot install production dependencies only; use --dev or another package manager');
+            }
+            return { command: 'yarn', args: ['install'] };
+        }
+        return { command: 'yarn', args: ['install', '--no-lockfile', ...(dev ? [] : ['--production'])] };
+    case 'bun':
+        return { command: 'bun', args: ['install', ...(dev ? [] : ['--production'])] };
+    default:
+        return { command: 'npm', args: ['install', '--no-audit', '--no-fund', ...(dev ? [] : ['--production'])] };
+    }
+}
+
+module.exports = { PACKAGE_MANAGERS, detectPackageManager, resolvePackageManager, installCommand };
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp, mayMatchInside } = require('./glob');
+const { resolveSymlink, specialFileKind } = require('./symlinks');
+
+// Files npm never publishes, written as ignore rules
+const ALWAYS_IGNORED = [
+    '.git',
+    'CVS',
+    '.svn',
+    '.hg',
+    '.lock-wscript',
+    '.wafpickle-*',
+    '.*.swp',
+    '.DS_Store',
+    '._*',
+    'npm-debug.log',
+    '.npmrc',
+    'node_modules',
+    'config.gypi',
+    '*.orig',
+    '.npmignore',
+    '.gitignore',
+    '/package-lock.json',
+    '/yarn.lock',
+    '/pnpm-lock.yaml',
+];
+
+// Files npm always publishes from the package root, whatever the rules say
+const ALWAYS_INCLUDED = /^(package\.json|(readme|license|licence)(\..*)?)$/i;
+
+/**
+ * Parses a single gitignore-style line into a rule.
+ * @param {string} line - Raw line, e.g. `dist/`, `!keep.js` or `/build`.
+ * @returns {{ negate: boolean, dirOnly: boolean, glob: string, regex: RegExp }|null}
+ *   Null for blank lines and comments.
+ */
+function parseRule(line) {
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) return null;
+
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1);
+    if (pattern.startsWith('\\#') || pattern.startsWith('\\!')) pattern = pattern.slice(1);
+
+    const dirOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    if (!pattern) return null;
+
+    // Patterns containing a slash are relative to their base, others match at any depth
+    const glob = pattern.includes('/')
+        ? pattern.replace(/^\.?\//, '')
+        : `**/${pattern}`;
+
+    return { negate, dirOnly, glob, regex: globToRegExp(glob) };
+}
+
+/**
+ * Parses gitignore-style content into a list of rules.
+ * @param {string} content - File content.
+ * @returns {Array<Object>}
+ */
+function parseRules(content) {
+    return content.split(/\r?\n/).map(parseRule).filter(Boolean);
+}
+
+function matches(rule, relPath, isDir) {
+    return (!rule.dirOnly || isDir) && rule.regex.test(relPath);
+}
+
+/**
+ * Returns the path relative to a rule set's base directory, or null when outside it.
+ */
+function relativeTo(base, relPath) {
+    if (!base) return relPath;
+    return relPath.startsWith(`${base}/`) ? relPath.slice(base.length + 1) : null;
+}
+
+function normalizeEntry(entry) {
+    return path.posix.normalize(String(entry).replace(/\\/g, '/'))
+        .replace(/^(\.\/|\/)+/, '')
+        .replace(/\/+$/, '');
+}
+
+/**
+ * Parses an entry of the `files` field. Entries starting with `!` exclude what they match the
+ * way an ignore rule does, the others are globs relative to the package root.
+ * @param {string} entry
+ * @returns {{ negate: boolean, dirOnly: boolean, glob: string, regex: RegExp }|null}
+ */
+function parseFilesEntry(entry) {
+    if (String(entry).startsWith('!')) {
+        const rule = parseRule(normalizeEntry(String(entry).slice(1)));
+        return rule && { ...rule, negate: true };
+    }
+    const glob = normalizeEntry(entry);
+    return glob ? { negate: false, dirOnly: false, glob, regex: globToRegExp(glob) } : null;
+}
+
+function readManifest(dir, entries) {
+    if (!entries.includes('package.json')) return {};
+    return JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+}
+
+/**
+ * Lists the files npm would publish for the package in root.
+ *
+ * Follows the rules of `npm pack`: the `files` whitelist and its `!` entries, `.npmignore` (or
+ * `.gitignore` when a directory has no `.npmignore`) with negations, the files
+ * npm always includes (package.json, README, LICENSE, `main` and `bin`) and the
+ * ones it always excludes (`.git`, `node_modules`, lockfiles, ...). When `files`
+ * is set, the root ignore files are not consulted, as in npm.
+ *
+ * Symlinks are handled according to the policy (see resolveSymlink): preserved links are
+ * listed like files, followed ones like what they point to, and links leading back to a
+ * directory being walked are left out. Sockets, FIFOs and devices are left out too.
+ *
+ * @param {string} root - Package directory.
+ * @param {Object} [options]
+ * @param {string[]} [options.include=[]] - Extra globs to always include, even when ignored.
+ * @param {string[]} [options.ignore=[]] - Extra globs to exclude.
+ * @param {'preserve'|'dereference'|'skip'} [options.symlinks='preserve'] - Symlink policy.
+ * @param {(message: string) => void} [options.onWarning] - Called for every published path that is
+ *   left out or handled in a way the user may not expect.
+ * @returns {string[]} Sorted file paths relative to root, using `/` as separator.
+ */
+function packList(root, { include = [], ignore = [], symlinks = 'preserve', onWarning = () => {} } = {}) {
+    const rootEntries = fs.readdirSync(root);
+    const manifest = readManifest(root, rootEntries);
+
+    const mandatory = new Set(rootEntries.filter(entry => ALWAYS_INCLUDED.test(entry)));
+    if (manifest.main) mandatory.add(normalizeEntry(manifest.main));
+    if (typeof manifest.bin === 'string') mandatory.add(normalizeEntry(manifest.bin));
+    if (manifest.bin && typeof manifest.bin === 'object') {
+        Object.values(manifest.bin).forEach(bin => mandatory.add(normalizeEntry(bin)));
+    }
+
+    const whitelist = Array.isArray(manifest.files) ? manifest.files.map(parseFilesEntry).filter(Boolean) : null;
+    const includeRules = include.map(parseRule).filter(Boolean);
+    const ignoreRules = ignore.map(parseRule).filter(Boolean);
+    const defaultRules = ALWAYS_IGNORED.map(parseRule);
+
+    const files = [];
+
+    /**
+     * Works out how an entry is listed: as a directory to walk, as a file, or not at all
+     * (skip), with a warning to report when it would have been published.
+     */
+    function inspect(relPath) {
+        const entryAbs = path.join(root, relPath);
+        let stat = fs.lstatSync(entryAbs);
+        let warning;
+
+        if (stat.isSymbolicLink()) {
+            const link = resolveSymlink(root, relPath, symlinks);
+            if (link.action !== 'follow') return { isDir: false, skip: link.action === 'skip', warning: link.warning };
+            warning = link.warning;
+            stat = fs.statSync(entryAbs);
+        }
+
+        const special = specialFileKind(stat);
+        if (special) return { isDir: false, skip: true, warning: `${relPath} is a ${special}, leaving it out` };
+        return { isDir: stat.isDirectory(), skip: false, warning };
+    }
+
+    function walk(dirRel, ruleSets, state, ancestors) {
+        const dirAbs = path.join(root, dirRel);
+        const entries = dirRel ? fs.readdirSync(dirAbs) : rootEntries;
+
+        // A directory's .npmignore takes precedence over its .gitignore
+        const ignoreFile = ['.npmignore', '.gitignore'].find(name => entries.includes(name));
+        if (ignoreFile && !(whitelist && !dirRel)) {
+            const content = fs.readFileSync(path.join(dirAbs, ignoreFile), 'utf8');
+            ruleSets = [...ruleSets, { base: dirRel, rules: parseRules(content) }];
+        }
+
+        entries.forEach(entry => {
+            const relPath = dirRel ? `${dirRel}/${entry}` : entry;
+            const { isDir, skip, warning } = inspect(relPath);
+            const list = () => {
+                if (warning) onWarning(warning);
+                if (!skip) files.push(relPath);
+            };
+
+            if (!isDir && mandatory.has(relPath)) {
+                list();
+                return;
+            }
+
+            const forced = state.forced || includeRules.some(rule => matches(rule, relPath, isDir));
+            const dropped = state.dropped
+                || ignoreRules.some(rule => matches(rule, relPath, isDir))
+                || defaultRules.some(rule => matches(rule, relPath, isDir));
+            // The last matching entry of files wins, so a `!` entry excludes from the ones before it
+            const whitelisted = (whitelist || []).reduce(
+                (listed, item) => (matches(item, relPath, isDir) ? !item.negate : listed), state.whitelisted);
+
+            // The last matching rule wins; deeper ignore files override shallower ones
+            let excluded = state.excluded;
+            ruleSets.forEach(({ base, rules }) => {
+                const localPath = relativeTo(base, relPath);
+                if (localPath === null) return;
+                rules.forEach(rule => {
+                    if (matches(rule, localPath, isDir)) excluded = !rule.negate;
+                });
+            });
+
+            const included = forced || (!dropped && whitelisted && !excluded);
+            if (!isDir) {
+                if (included) list();
+                return;
+            }
+
+            // Only walk directories that may still contain a published file
+            const mayReinclude = !dropped
+                && (whitelisted || whitelist.some(item => !item.negate && mayMatchInside(item.glob, relPath)))
+                && (!excluded || ruleSets.some(({ base, rules }) => {
+                    const localPath = relativeTo(base, relPath);
+                    return localPath !== null && rules.some(rule => rule.negate && mayMatchInside(rule.glob, localPath));
+                }));
+            // Globs matching at any depth do not pull in always-ignored directories such as node_modules
+            const mayForce = includeRules.some(rule => (!dropped || !rule.glob.startsWith('**/'))
+                && mayMatchInside(rule.glob, relPath));
+            const hasMandatory = [...mandatory].some(file => file.startsWith(`${relPath}/`));
+
+            if (included || mayReinclude || mayForce || hasMandatory) {
+                const realDir = fs.realpathSync(path.join(root, relPath));
+                if (ancestors.includes(realDir)) {
+                    onWarning(`${relPath} is a symlink loop, leaving it out`);
+                    return;
+                }
+                if (warning) onWarning(warning);
+                walk(relPath, ruleSets, { forced, dropped, whitelisted, excluded }, [...ancestors, realDir]);
+            }
+        });
+    }
+
+    walk('', [], { forced: false, dropped: false, whitelisted: whitelist === null, excluded: false }, [fs.realpathSync(root)]);
+    return files.sort();
+}
+
+module.exports = { packList };
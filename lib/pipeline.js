@@ -0,0 +1,494 @@
+const fs = require('fs');
+const path = require('path');
+const { createPlanEntry, measurePackage, measureFiles, measureTarball } = require('./plan');
+const { startReportEntry, trackSteps, recordStrategy, logDuration } = require('./report');
+const { writeCopyRecord, recordedOptions, readCopyRecord } = require('./manifest');
+const { checkCopy } = require('./status');
+const { packPackage, packPackageAsync, extractPacked } = require('./pack');
+const { describeSpec } = require('./specifiers');
+const { copyPackageSync, copyFilesSync, copyPackage, copyFiles, findNestedDependencies, pinNestedDependencies } = require('./copy');
+const { installDependencies, installDependenciesAsync } = require('./install');
+const { dedupeCopy } = require('./dedupe');
+const { linkBins } = require('./bin');
+const { stagingPath, swapIntoPlace, swapIntoPlaceAsync, swapFilesIntoPlace } = require('./staging');
+const { isPackageSelected, packageOptions } = require('./config');
+const { labelDependency, describeChain } = require('./run');
+
+// The steps the pipeline yields as [name, ...args], with the version each runner carries out
+const SYNC_STEPS = {
+    copyPackage: copyPackageSync,
+    copyFiles: copyFilesSync,
+    install: installDependencies,
+    pack: packPackage,
+    swap: swapIntoPlace,
+};
+const ASYNC_STEPS = {
+    copyPackage,
+    copyFiles,
+    install: installDependenciesAsync,
+    pack: packPackageAsync,
+    swap: swapIntoPlaceAsync,
+};
+
+/**
+ * Runs a pipeline routine to the end, carrying out the steps it yields synchronously.
+ * An error thrown by a step is thrown back into the routine where it yielded it.
+ * @param {Generator} routine
+ * @returns {*} What the routine returns.
+ */
+function runSync(routine) {
+    let state = routine.next();
+    while (!state.done) {
+        const [step, ...args] = state.value;
+        let result;
+        try {
+            result = SYNC_STEPS[step](...args);
+        } catch (error) {
+            state = routine.throw(error);
+            continue;
+        }
+        state = routine.next(result);
+    }
+    return state.value;
+}
+
+/**
+ * Same as runSync, carrying out the steps without blocking the event loop.
+ * @returns {Promise<*>}
+ */
+async function runAsync(routine) {
+    let state = routine.next();
+    while (!state.done) {
+        const [step, ...args] = state.value;
+        let result;
+        try {
+            result = await ASYNC_STEPS[step](...args);
+        } catch (error) {
+            state = routine.throw(error);
+            continue;
+        }
+        state = routine.next(result);
+    }
+    return state.value;
+}
+
+/**
+ * Gets the tarball to extract for a dependency: a tarball spec is used as it is, anything
+ * else is packed with npm pack, running its prepack and prepare builds. Failures are logged,
+ * recorded on the report entry and reported as null so that one broken build does not stop
+ * the other dependencies.
+ * @returns {Generator} Routine returning `{ tarball, cleanup }`, or null when packing failed.
+ */
+function* obtainTarball(dependency, logger, entry) {
+    const { name, src, type } = dependency;
+    if (type === 'tarball') {
+        return { tarball: src, cleanup: () => {} };
+    }
+
+    logger.info('pack', `[PACK] Running npm pack in ${src}`, { package: name, source: src });
+    try {
+        return yield ['pack', src];
+    } catch (error) {
+        logger.error('error', `[ERROR] Failed to pack ${name}: ${error.message}`, { package: name, error: error.message });
+        entry.error = error.message;
+        return null;
+    }
+}
+
+/**
+ * Records the result of an install on a report entry.
+ */
+function recordInstall(entry, { status, error }) {
+    entry.install = status;
+    if (error) entry.error = error;
+}
+
+/**
+ * Removes from a copy the packages the host provides (see dedupeCopy), logging what was done
+ * and recording it on the report entry.
+ * @param {string} dir - Directory of the copy, staged or in place.
+ */
+function dedupeDependency(dir, dependency, { logger, dedupe, dev }, chain, entry) {
+    const { removed, warnings } = dedupeCopy(dir, dependency.dest, { dedupe, dev });
+    const label = describeChain(chain);
+    warnings.forEach(warning => logger.warn('warning', `[WARN] ${label}: ${warning}`, { package: label }));
+    removed.forEach(({ name, version }) => {
+        logger.info('dedupe', `[DEDUPE] ${label}: using ${name}@${version} from the host`, { package: label, removed: name, version });
+    });
+    entry.deduped.push(...removed.map(({ name }) => name));
+}
+
+/**
+ * Points the `.bin` links of a copy at it (see linkBins), logging what was done.
+ */
+function linkDependencyBins(dependency, { logger }, chain) {
+    const { linked, removed, warnings } = linkBins(dependency);
+    const label = describeChain(chain);
+    if (linked.length) logger.info('bin', `[BIN] ${label}: linked ${linked.join(', ')}`, { package: label, linked });
+    if (removed.length) logger.info('bin', `[BIN] ${label}: removed stale ${removed.join(', ')}`, { package: label, removed });
+    warnings.forEach(warning => logger.warn('warning', `[WARN] ${label}: ${warning}`, { package: label }));
+}
+
+/**
+ * Runs the work for one dependency. Outside of dry-run mode it is timed, and an error
+ * is logged and recorded on its report entry instead of stopping the other dependencies.
+ * @param {Generator} routine
+ */
+function* runStep(entry, { logger, dryRun }, label, routine) {
+    if (dryRun) {
+        yield* routine;
+        return;
+    }
+    yield* trackSteps(entry, routine, error => {
+        logger.error('error', `[ERROR] Failed to copy ${label}: ${error.message}`, { package: label, error: error.message });
+    });
+    logDuration(entry, logger, label);
+}
+
+/**
+ * Builds the copy of a dependency in a staging directory next to its destination, or extracts
+ * its tarball there for tarball specs and in pack mode, installs it and swaps it in with a rename.
+ * Whatever fails, the destination is left as it was: the staging directory is removed and the
+ * error rethrown. In strict mode a failed install counts as a failure too.
+ * @param {{ name: string, src: string, dest: string }} dependency
+ * @param {Array<Object>} nested - Local dependencies it declares, whose specs are pinned in the copy.
+ * @param {Object} options - Options of the run, with the settings for this package applied.
+ * @param {Array<Object>} chain - Dependencies leading to this one, itself included.
+ * @param {Object} entry - Report entry of this dependency.
+ * @returns {Generator} Routine returning the files placed, relative to the destination, or null
+ *   when packing failed.
+ */
+function* stageDependency(dependency, nested, options, chain, entry) {
+    const { logger, noInstall, dev, include, ignore, symlinks, copyStrategy, mode, packageManager, strict } = options;
+    const { name, src, dest, type } = dependency;
+    const staging = stagingPath(dest);
+
+    try {
+        let files;
+        if (type === 'tarball' || mode === 'pack') {
+            const packed = yield* obtainTarball(dependency, logger, entry);
+            if (!packed) {
+                entry.actions.push('pack-failed');
+                return null;
+            }
+            files = extractPacked(packed, staging);
+        } else {
+            const onWarning = message => {
+                logger.warn('warning', `[WARN] ${describeChain(chain)}: ${message}`, { package: describeChain(chain) });
+            };
+            const copied = yield ['copyPackage', src, staging, { include, ignore, symlinks, strategy: copyStrategy, onWarning }];
+            files = copied.files;
+            recordStrategy(entry, copied.strategy, logger, describeChain(chain));
+        }
+        Object.assign(entry, measureFiles(staging, files));
+
+        if (nested.length) {
+            pinNestedDependencies({ dest: staging }, nested);
+        }
+        if (!noInstall) {
+            recordInstall(entry, yield ['install', staging, { packageManager, dev, logger, name }]);
+            if (strict && entry.install === 'failed') throw new Error(entry.error);
+        }
+        dedupeDependency(staging, dependency, options, chain, entry);
+
+        yield ['swap', staging, dest];
+        return files;
+    } catch (error) {
+        entry.actions.push('rollback');
+        logger.warn('rollback', `[ROLLBACK] ${describeChain(chain)}: discarded the staged copy, the original is left in place`, {
+            package: describeChain(chain),
+            destination: dest,
+        });
+        throw error;
+    } finally {
+        fs.rmSync(staging, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Replaces whatever is at the destination of a local dependency with a copy (see stageDependency)
+ * and records it, then does the same for the `file:` dependencies it declares, at any depth, one
+ * after the other. In dry-run mode nothing is touched and the planned actions are recorded instead;
+ * otherwise the entry records what was done.
+ * @param {{ name: string, src: string, dest: string }} dependency
+ * @param {Object} options - Options of the run, with the settings for this package applied.
+ * @param {Array<Object>} chain - Dependencies leading to this one, itself included.
+ * @param {Object} context
+ * @param {Map<string, string>} context.seen - Sources copied so far, with the chain that copied them first.
+ * @param {Array<Object>} context.plan - Plan entries, one per dependency met.
+ * @param {string} context.projectRoot - Root the plan paths are relative to.
+ * @param {Object} context.options - Options of the run, before per-package settings.
+ * @param {Object} context.config - Project configuration.
+ * @param {Object} entry - Plan or report entry of this dependency.
+ * @returns {Generator} Routine returning the files placed for this dependency, relative to its
+ *   destination, null when packing failed and the destination was left untouched, or undefined in
+ *   dry-run mode.
+ */
+function* materializeDependency(dependency, options, chain, context, entry) {
+    const { noInstall, dev, include, ignore, symlinks, recursive, mode, dryRun } = options;
+    const { src, dest, type } = dependency;
+
+    const nested = recursive ? findNestedDependencies(dependency, dev) : [];
+    let files;
+    if (dryRun) {
+        if (type === 'tarball') {
+            Object.assign(entry, measureTarball(src));
+        } else {
+            if (mode === 'pack') entry.actions.push('pack');
+            Object.assign(entry, measurePackage(src, { include, ignore, symlinks }));
+        }
+        if (!noInstall && (type === 'tarball' || fs.existsSync(path.join(src, 'package.json')))) {
+            entry.actions.push('install');
+        }
+    } else {
+        const existing = fs.lstatSync(dest, { throwIfNoEntry: false });
+        // Nested copies replace what the install of their parent put there, if anything
+        const linkTarget = existing && existing.isSymbolicLink() ? fs.readlinkSync(dest) : null;
+        files = yield* stageDependency(dependency, nested, options, chain, entry);
+        if (!files) return null;
+        linkDependencyBins(dependency, options, chain);
+        // Lets later runs update the copy, and relink restore the symlink
+        writeCopyRecord(dependency, { linkTarget, files, ...recordedOptions(options) });
+    }
+    context.seen.set(src, describeChain(chain));
+
+    yield* processNested(nested, options, chain, context, false);
+    return files;
+}
+
+/**
+ * Handles the `file:` dependencies a copy declares, in its own node_modules. A new copy gets
+ * copies of all of them; an existing one, when refreshing, gets its recorded nested copies
+ * brought up to date and the others replaced with copies.
+ * @param {Array<Object>} nested - Result of findNestedDependencies for the copy.
+ * @param {Object} options - Options of the run, with the settings for the copy applied.
+ * @param {Array<Object>} chain - Dependencies leading to the copy, itself included.
+ * @param {Object} context - Shared state of the run (see materializeDependency).
+ * @param {boolean} refresh - Whether the copy already existed.
+ * @returns {Generator}
+ */
+function* processNested(nested, options, chain, context, refresh) {
+    const { logger, dryRun } = options;
+    const { seen, plan, projectRoot, config } = context;
+
+    for (const child of nested) {
+        const childChain = [...chain, child];
+        const label = describeChain(childChain);
+        const childEntry = createPlanEntry(child, projectRoot, describeChain(chain));
+        if (!dryRun) startReportEntry(childEntry);
+        plan.push(childEntry);
+
+        // A → B → A: let B resolve A from the ancestor copy instead of copying forever
+        const cycleStart = chain.findIndex(ancestor => ancestor.src === child.src);
+        if (cycleStart !== -1) {
+            childEntry.actions.push('skip-cycle');
+            logger.warn('cycle', `[CYCLE] ${describeChain(childChain.slice(cycleStart))}: using the copy higher up the tree`, {
+                package: label,
+            });
+            if (!dryRun) fs.rmSync(child.dest, { recursive: true, force: true });
+            continue;
+        }
+
+        if (!isPackageSelected(config, child.name)) {
+            childEntry.actions.push('skip-excluded');
+            logger.info('skip', `[SKIP] ${label} is excluded by the configuration`, { package: label });
+            continue;
+        }
+
+        const childOptions = packageOptions(context.options, config, child.name);
+        const existing = fs.lstatSync(child.dest, { throwIfNoEntry: false });
+        if (refresh && existing && !existing.isSymbolicLink() && readCopyRecord(child)) {
+            yield* runStep(childEntry, options, label, refreshCopy(child, childOptions, childChain, context, childEntry));
+            continue;
+        }
+
+        if (seen.has(child.src)) {
+            logger.info('shared', `[SHARED] ${label}: also required by ${seen.get(child.src)}`, {
+                package: label,
+                source: child.src,
+            });
+        }
+
+        childEntry.actions.push('replace');
+        logger.info('nested', `[NESTED] ${label}: copying from ${child.src} (${describeSpec(child)})`, {
+            package: label,
+            source: child.src,
+            destination: child.dest,
+        });
+        yield* runStep(childEntry, options, label, materializeDependency(child, childOptions, childChain, context, childEntry));
+    }
+}
+
+/**
+ * Brings a recorded copy up to date with its source, copying only the files
+ * that changed. Tarballs are extracted again as a whole, and so is the package in
+ * pack mode, since built files may depend on any source file. Reinstalls when
+ * package.json changed. The new files are staged next to the copy and moved in once
+ * complete; whatever fails after that, the files they replaced are put back and the
+ * record is left as it was, so that the next run tries again.
+ * @param {{ name: string, src: string, dest: string }} dependency
+ * @param {{ record: Object, sourceChanges: Object }} check - Result of checkCopy.
+ * @param {Object} options - Options of the run, with the settings for this package applied.
+ * @param {Array<Object>} chain - Dependencies leading to this one, itself included.
+ * @param {Object} entry - Report entry of the dependency.
+ * @returns {Generator} Routine returning false when packing failed and the copy was left untouched.
+ */
+function* updateCopy(dependency, { record, sourceChanges }, options, chain, entry) {
+    const { logger, noInstall, dev, recursive, mode, symlinks, copyStrategy, packageManager } = options;
+    const { src, dest, type } = dependency;
+    const { added, changed, removed } = sourceChanges;
+    // A new tarball may bring a new package.json
+    const manifestChanged = type === 'tarball' || [...added, ...changed].includes('package.json');
+    const staging = stagingPath(dest);
+    let swap = null;
+
+    try {
+        let files;
+        let placed;
+        let dropped;
+        if (type === 'tarball' || mode === 'pack') {
+            const packed = yield* obtainTarball(dependency, logger, entry);
+            if (!packed) return false;
+            files = extractPacked(packed, staging);
+            placed = files;
+            dropped = Object.keys(record.files).filter(file => !files.includes(file));
+        } else {
+            placed = [...added, ...changed];
+            const strategy = yield ['copyFiles', src, staging, placed, { symlinks, strategy: copyStrategy }];
+            recordStrategy(entry, strategy, logger, describeChain(chain));
+            files = [...Object.keys(record.files).filter(file => !removed.includes(file)), ...added].sort();
+            dropped = removed;
+        }
+        swap = swapFilesIntoPlace(staging, dest, placed, dropped);
+        Object.assign(entry, measureFiles(dest, placed));
+
+        // Extracting a tarball always restores the unpinned package.json
+        if (manifestChanged || mode === 'pack') {
+            const nested = recursive ? findNestedDependencies(dependency, dev) : [];
+            if (nested.length) {
+                pinNestedDependencies(dependency, nested);
+            }
+        }
+        if (manifestChanged && !noInstall) {
+            recordInstall(entry, yield ['install', dest, { packageManager, dev, logger, refresh: true }]);
+        }
+        if (manifestChanged) {
+            dedupeDependency(dest, dependency, options, chain, entry);
+            linkDependencyBins(dependency, options, chain);
+        }
+
+        writeCopyRecord(dependency, { ...record, files, mode, symlinks });
+        swap.discard();
+        return true;
+    } catch (error) {
+        if (swap) swap.restore();
+        entry.actions.push('rollback');
+        logger.warn('rollback', `[ROLLBACK] ${describeChain(chain)}: discarded the update, the copy is left as it was`, {
+            package: describeChain(chain),
+            destination: dest,
+        });
+        throw error;
+    } finally {
+        fs.rmSync(staging, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Handles a dependency that is already a copy: copies made by this tool are
+ * brought up to date with their source, unless edited in place, and so are the
+ * nested copies they hold; other copies are left alone.
+ * @param {Object} dependency
+ * @param {Object} options - Options of the run, with the settings for this package applied.
+ * @param {Array<Object>} chain - Dependencies leading to this one, itself included.
+ * @param {Object} context - Shared state of the run (see materializeDependency).
+ * @param {Object} entry - Plan or report entry of this dependency.
+ * @returns {Generator}
+ */
+function* refreshCopy(dependency, options, chain, context, entry) {
+    const { logger, dryRun, recursive, dev } = options;
+    const pkgName = chain.length > 1 ? describeChain(chain) : labelDependency(dependency);
+    const check = checkCopy(dependency);
+    const fields = { package: pkgName, destination: dependency.dest };
+
+    if (check.status === 'unmanaged') {
+        entry.actions.push('skip-not-symlink');
+        if (dependency.type === 'tarball') {
+            logger.info('skip', `[SKIP] ${pkgName} is not a symlink, its tarball was already extracted`, fields);
+        } else {
+            logger.info('skip', `[SKIP] ${pkgName} is not a symlink`, fields);
+        }
+        return;
+    }
+
+    if (check.status === 'up-to-date') {
+        entry.actions.push('skip-up-to-date');
+        logger.debug('skip', `[SKIP] ${pkgName} is up to date`, fields);
+    } else if (check.status === 'modified-in-place') {
+        entry.actions.push('skip-modified');
+        logger.warn('warning', `[WARN] ${pkgName} was modified in place, not updating it (see the status command)`, fields);
+    } else {
+        const { added, changed, removed } = check.sourceChanges;
+        entry.actions.push('update');
+        logger.info('update', `[UPDATE] ${pkgName}: ${added.length} added, ${changed.length} changed, ${removed.length} removed`, {
+            ...fields,
+            source: dependency.src,
+            added,
+            changed,
+            removed,
+        });
+        if (!dryRun && !(yield* updateCopy(dependency, check, options, chain, entry))) {
+            entry.actions.push('pack-failed');
+            return;
+        }
+    }
+    context.seen.set(dependency.src, describeChain(chain));
+
+    const nested = recursive ? findNestedDependencies(dependency, dev) : [];
+    yield* processNested(nested, options, chain, context, true);
+}
+
+/**
+ * Handles one top-level local dependency of the project: skips it when excluded or missing,
+ * refreshes it when it is already a copy, and otherwise replaces its symlink with a copy,
+ * nested dependencies included.
+ * @param {Object} dependency - Dependency returned by prepareRun.
+ * @param {Object} context - Shared state of the run (see materializeDependency), whose options
+ *   hold the logger for this dependency.
+ * @param {Object} entry - Plan or report entry of this dependency.
+ * @returns {Generator}
+ */
+function* processDependency(dependency, context, entry) {
+    const { options, config } = context;
+    const { logger } = options;
+    const { relativePath, dest } = dependency;
+    const pkgName = labelDependency(dependency);
+
+    if (!isPackageSelected(config, dependency.name)) {
+        entry.actions.push('skip-excluded');
+        logger.info('skip', `[SKIP] ${pkgName} is excluded by the configuration`, { package: pkgName });
+        return;
+    }
+
+    const own = packageOptions(options, config, dependency.name);
+
+    if (!fs.existsSync(dest)) {
+        entry.actions.push('missing');
+        logger.warn('missing', `[WARN] ${pkgName} not found in node_modules`, { package: pkgName, destination: dest });
+        return;
+    }
+
+    if (!fs.lstatSync(dest).isSymbolicLink()) {
+        yield* runStep(entry, options, pkgName, refreshCopy(dependency, own, [dependency], context, entry));
+        return;
+    }
+
+    entry.actions.push('replace');
+    logger.info('replace', `[REPLACE] ${pkgName}: replacing symlink with copy from ${relativePath} (${describeSpec(dependency)})`, {
+        package: pkgName,
+        source: dependency.src,
+        destination: dest,
+    });
+    yield* runStep(entry, options, pkgName, materializeDependency(dependency, own, [dependency], context, entry));
+}
+
+module.exports = { runSync, runAsync, processDependency, updateCopy };
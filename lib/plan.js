@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const { packList } = require('./packlist');
+const { readTarball } = require('./tar');
+
+/**
+ * Describes a dependency for the dry-run plan, with paths relative to the project root.
+ * @param {Object} dependency - Dependency as collected from package.json.
+ * @param {string} projectRoot - Root the paths are made relative to.
+ * @param {string|null} parent - Chain of packages that require this one, for nested dependencies.
+ * @returns {Object} Entry whose `actions` are filled in by the caller.
+ */
+function createPlanEntry({ name, workspace, category, spec, src, dest }, projectRoot, parent) {
+    const relative = target => path.relative(projectRoot, target).split(path.sep).join('/');
+    return {
+        name,
+        workspace,
+        category,
+        spec,
+        source: relative(src),
+        destination: relative(dest),
+        parent,
+        actions: [],
+    };
+}
+
+/**
+ * Counts the files a copy of src would hold and their total size in bytes.
+ * @param {string} src - Package directory.
+ * @param {Object} listOptions - Options forwarded to packList.
+ * @returns {{ files: number, bytes: number }}
+ */
+function measurePackage(src, listOptions) {
+    return measureFiles(src, packList(src, listOptions));
+}
+
+/**
+ * Counts the given files and their total size in bytes.
+ * @param {string} dir - Directory the files are relative to.
+ * @param {string[]} files
+ * @returns {{ files: number, bytes: number }}
+ */
+function measureFiles(dir, files) {
+    const bytes = files.reduce((total, file) => {
+        const stat = fs.statSync(path.join(dir, file));
+        // Preserved symlinks to directories take no space of their own
+        return total + (stat.isDirectory() ? 0 : stat.size);
+    }, 0);
+    return { files: files.length, bytes };
+}
+
+/**
+ * Counts the files a tarball holds and their total size in bytes.
+ * @param {string} tarball - Path of the tarball.
+ * @returns {{ files: number, bytes: number }}
+ */
+function measureTarball(tarball) {
+    const files = readTarball(tarball).filter(({ type }) => type === '0' || type === '7');
+    return { files: files.length, bytes: files.reduce((total, { body }) => total + body.length, 0) };
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'kB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1000 && unit < units.length - 1) {
+        value /= 1000;
+        unit++;
+    }
+    return `${unit ? value.toFixed(1) : value} ${units[unit]}`;
+}
+
+/**
+ * Renders a dry-run plan as human-readable text, one line per dependency.
+ * @param {{ dependencies: Array<Object> }} plan - Plan returned by unlinkLocalDependencies.
+ * @returns {string}
+ */
+function formatPlan({ dependencies }) {
+    if (!dependencies.length) return 'Dry run: no local dependencies found.';
+
+    const lines = dependencies.map(entry => {
+        const name = [entry.parent, entry.name].filter(Boolean).join(' > ');
+        const where = entry.workspace ? ` (${entry.workspace})` : '';
+        const size = entry.files === undefined ? '' : `, ${entry.files} files, ${formatBytes(entry.bytes)}`;
+        return `  ${entry.actions.join('+')}: ${name}${where} [${entry.category}] ${entry.source} -> ${entry.destination}${size}`;
+    });
+
+    return [`Dry run: ${dependencies.length} local dependencies, nothing was changed.`, ...lines].join('\n');
+}
+
+module.exports = { createPlanEntry, measurePackage, measureFiles, measureTarball, formatBytes, formatPlan };
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const { loggerFromOptions } = require('../utils/log');
+const { collectProjectDependencies } = require('./dependencies');
+const { loadConfig } = require('./config');
+const { readCopyRecord, removeCopyRecord, findModifications } = require('./manifest');
+const { acquireLock } = require('./guard');
+const { restoreLockfileEntries } = require('./lockfile');
+
+/**
+ * Relink local dependencies by replacing the copies made by unlinkLocalDependencies
+ * with the symlinks they replaced. A copy modified after it was made is left alone
+ * unless forced, so local edits are not lost. Lockfile entries that describe the relinked
+ * copies, as written by the `lockfile` option, describe links again.
+ * @param {Object} options
+ * @param {string[]} [options.packages=[]] - Names of the packages to relink. Defaults to every recorded copy.
+ * @param {boolean} [options.force=false] - If true, relink copies even when they were modified.
+ * @param {boolean} [options.silent=false] - Suppress console output.
+ * @param {string} [options.logLevel='info'] - As for unlinkLocalDependencies, and so are logFormat, logger and onEvent.
+ * @param {boolean} [options.workspaces=false] - If true, also relink the copies made for npm workspaces.
+ *   Also on when the project configuration sets it.
+ * @param {boolean} [options.scan=false] - If true, also relink the copies made from the links a scan found.
+ *   Also on when the project configuration sets it.
+ * @param {number} [options.lockTimeout=600000] - Milliseconds to wait for another run changing node_modules to finish.
+ * @returns {{ relinked: string[], refused: string[], missing: string[] }} Names of the relinked packages,
+ *   of the modified copies left alone and of the requested packages without a recorded copy.
+ */
+function relinkLocalDependencies({
+    packages = [],
+    force = false,
+    silent = false,
+    logLevel,
+    logFormat,
+    logger: output,
+    onEvent,
+    workspaces = false,
+    scan = false,
+    lockTimeout,
+} = {}) {
+    const logger = loggerFromOptions({ silent, logLevel, logFormat, logger: output, onEvent });
+    const result = { relinked: [], refused: [], missing: [] };
+    const found = new Set();
+    const projectRoot = process.cwd();
+    const { config } = loadConfig(projectRoot);
+    const all = workspaces || Boolean(config.workspaces);
+
+    const relinked = [];
+    const release = acquireLock(projectRoot, { timeout: lockTimeout, logger });
+    try {
+        collectProjectDependencies(projectRoot, {
+            workspaces: all,
+            materializeWorkspaces: all,
+            scan: scan || Boolean(config.scan),
+            scanPaths: config.scanPaths,
+        })
+            .filter(({ name }) => !packages.length || packages.includes(name))
+            .forEach(dependency => {
+                const { name, dest } = dependency;
+                const record = readCopyRecord(dependency);
+                if (!record) return;
+                found.add(name);
+
+                if (!fs.existsSync(dest) || fs.lstatSync(dest).isSymbolicLink()) {
+                    logger.info('skip', `[SKIP] ${name} is no longer a copy`, { package: name, destination: dest });
+                    removeCopyRecord(dependency);
+                    return;
+                }
+
+                const changes = findModifications(dependency, record);
+                if (changes.length && !force) {
+                    const files = changes.map(({ file, change }) => `${file} (${change})`).join(', ');
+                    logger.error('refuse', `[REFUSE] ${name} was modified after it was copied: ${files}. Use --force to relink anyway.`, {
+                        package: name,
+                        destination: dest,
+                        modified: changes,
+                    });
+                    result.refused.push(name);
+                    return;
+                }
+
+                fs.rmSync(dest, { recursive: true, force: true });
+                fs.symlinkSync(record.linkTarget, dest, 'junction');
+                removeCopyRecord(dependency);
+                logger.info('relink', `[RELINK] ${name}: restored symlink to ${record.linkTarget}`, {
+                    package: name,
+                    destination: dest,
+                    linkTarget: record.linkTarget,
+                });
+                result.relinked.push(name);
+                relinked.push(dependency);
+            });
+
+        restoreLockfileEntries(projectRoot, relinked, { logger });
+    } finally {
+        release();
+    }
+
+    packages.filter(name => !found.has(name)).forEach(name => {
+        logger.warn('missing', `[WARN] ${name} has no recorded copy to relink`, { package: name });
+        result.missing.push(name);
+    });
+
+    return result;
+}
+
+module.exports = { relinkLocalDependencies };
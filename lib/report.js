@@ -0,0 +1,112 @@
+const { formatBytes } = require('./plan');
+
+/**
+ * Adds the fields a run fills in to a plan entry, turning it into a report entry:
+ * `files` and `bytes` copied, the copy `strategy` used (null when nothing was copied or a
+ * tarball was extracted), `install` status ('succeeded', 'failed', 'skipped' or
+ * null when not run), the packages `deduped` from its node_modules, `error` message and
+ * `durationMs`, nested dependencies included.
+ * @param {Object} entry - Result of createPlanEntry.
+ * @returns {Object} The same entry.
+ */
+function startReportEntry(entry) {
+    return Object.assign(entry, { files: 0, bytes: 0, strategy: null, install: null, deduped: [], error: null, durationMs: 0 });
+}
+
+/**
+ * Runs the work for a report entry, timing it. An error is recorded on the entry and
+ * passed to onError instead of being thrown, so that the other dependencies still run.
+ * @param {Object} entry - Report entry.
+ * @param {Generator} routine - Pipeline routine doing the work (see runSync).
+ * @param {(error: Error) => void} onError
+ * @returns {Generator}
+ */
+function* trackSteps(entry, routine, onError) {
+    const started = Date.now();
+    try {
+        yield* routine;
+    } catch (error) {
+        entry.error = error.message;
+        onError(error);
+    } finally {
+        entry.durationMs = Date.now() - started;
+    }
+}
+
+/**
+ * Whether a report entry counts as a failure for --strict: the dependency is missing,
+ * or could not be copied, packed or installed.
+ */
+function isFailure(entry) {
+    return Boolean(entry.error) || entry.actions.includes('missing');
+}
+
+/**
+ * Records the copy strategy used for a dependency on its report entry, warning that the
+ * files of a hard-linked copy are those of its source.
+ * @param {Object} entry - Report entry.
+ * @param {string} strategy - Strategy returned by copyPackageSync or copyFilesSync.
+ * @param {Object} logger - Logger of the run.
+ * @param {string} label - Name of the dependency in the message.
+ */
+function recordStrategy(entry, strategy, logger, label) {
+    entry.strategy = strategy;
+    if (strategy !== 'hardlink') return;
+    logger.warn('warning', `[WARN] ${label}: files are hard links to the source, editing them in node_modules edits the source`, {
+        package: label,
+        strategy,
+    });
+}
+
+function formatDuration(ms) {
+    return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Logs how long the work for a report entry took, at the debug level.
+ * @param {Object} entry - Report entry, once its step is done.
+ * @param {Object} logger - Logger of the run.
+ * @param {string} label - Name of the dependency in the message.
+ */
+function logDuration({ files, bytes, durationMs }, logger, label) {
+    logger.debug('done', `[DONE] ${label} in ${formatDuration(durationMs)}`, { package: label, files, bytes, durationMs });
+}
+
+/**
+ * Renders the report of a run as a summary table, followed by the errors and the packages a scan
+ * found without them being declared.
+ * @param {{ dependencies: Array<Object> }} report - Report returned by unlinkLocalDependencies.
+ * @returns {string}
+ */
+function formatReport({ dependencies }) {
+    if (!dependencies.length) return 'Summary: no local dependencies found.';
+
+    const copied = entry => entry.actions.includes('replace') || entry.actions.includes('update');
+    const rows = dependencies.map(entry => [
+        [entry.parent, entry.name].filter(Boolean).join(' > ') + (entry.workspace ? ` (${entry.workspace})` : ''),
+        entry.actions.join('+'),
+        copied(entry) ? String(entry.files) : '-',
+        copied(entry) ? formatBytes(entry.bytes) : '-',
+        entry.strategy || '-',
+        entry.install || '-',
+        copied(entry) ? formatDuration(entry.durationMs) : '-',
+    ]);
+    const table = [['Package', 'Action', 'Files', 'Size', 'Strategy', 'Install', 'Time'], ...rows];
+    const widths = table[0].map((_, column) => Math.max(...table.map(row => row[column].length)));
+    const lines = table.map(row => `  ${row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()}`);
+
+    const failures = dependencies.filter(isFailure);
+    const errors = failures.map(entry => `  ${entry.name}: ${entry.error || 'not found in node_modules'}`);
+    const undeclared = dependencies
+        .filter(entry => entry.category === 'undeclared')
+        .map(entry => `  ${entry.name}: ${entry.destination} -> ${entry.source}`);
+    const heading = `Summary: ${dependencies.length} local dependencies, ${failures.length} failed.`;
+    return [
+        heading,
+        ...lines,
+        ...(errors.length ? ['Failures:', ...errors] : []),
+        ...(undeclared.length ? ['Not declared in package.json:', ...undeclared] : []),
+    ].join('\n');
+}
+
+module.exports = { startReportEntry, trackSteps, isFailure, recordStrategy, logDuration, formatReport };
@@ -0,0 +1,107 @@
+const path = require('path');
+const { loggerFromOptions, createLogGroup } = require('../utils/log');
+const { createPlanEntry } = require('./plan');
+const { startReportEntry, isFailure } = require('./report');
+const { cleanupStaging } = require('./staging');
+const { prepareRun, logRun, skipNestedRun } = require('./run');
+const { runAsync, processDependency } = require('./pipeline');
+const { acquireLockAsync } = require('./guard');
+const { updateLockfileEntries } = require('./lockfile');
+const { unlinkLocalDependencies } = require('./unlink');
+
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Runs worker on every item, at most limit at a time. Once a worker fails no new
+ * one is started; the ones running are awaited and the first error is thrown.
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    let failure = null;
+
+    const runner = async () => {
+        while (!failure && next < items.length) {
+            const item = items[next++];
+            try {
+                await worker(item);
+            } catch (error) {
+                failure = failure || error;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runner));
+    if (failure) throw failure;
+}
+
+/**
+ * Async version of unlinkLocalDependencies, running the same pipeline: copies with streams and
+ * installs up to `concurrency` dependencies at once. The events of each top-level dependency,
+ * nested ones included, are printed and passed to onEvent together once it is done.
+ * @param {Object} options - Same as unlinkLocalDependencies.
+ * @param {number} [options.concurrency=4] - How many top-level dependencies are processed at once.
+ * @returns {Promise<{ dryRun: boolean, ok?: boolean, nested?: boolean, dependencies: Array<Object> }>} The plan or the report,
+ *   as for unlinkLocalDependencies, with the entries in the same order.
+ */
+async function resolveLocalDependencies({
+    silent = false,
+    logLevel,
+    logFormat,
+    logger: output,
+    onEvent,
+    dryRun = false,
+    concurrency = DEFAULT_CONCURRENCY,
+    allowNested = false,
+    lockTimeout,
+    ...runOptions
+} = {}) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(`concurrency must be a positive integer, got ${concurrency}`);
+    }
+    const logOptions = { silent, logLevel, logFormat, logger: output, onEvent };
+    if (dryRun) {
+        // Nothing to wait for when nothing is touched
+        return unlinkLocalDependencies({ ...runOptions, ...logOptions, dryRun });
+    }
+
+    const runLogger = loggerFromOptions(logOptions);
+    if (skipNestedRun(runLogger, allowNested)) {
+        return { dryRun: false, ok: true, nested: true, dependencies: [] };
+    }
+    const { projectRoot, config, options, dependencies } = prepareRun(runOptions);
+    logRun(runLogger, projectRoot, options, dependencies);
+    const seen = new Map();
+    // Each top-level dependency is followed by its nested ones, whichever task finishes first
+    const tasks = dependencies.map(dependency => ({
+        dependency,
+        entries: [startReportEntry(createPlanEntry(dependency, projectRoot, null))],
+    }));
+
+    const release = await acquireLockAsync(projectRoot, { timeout: lockTimeout, logger: runLogger });
+    try {
+        const leftovers = cleanupStaging(dependencies.map(({ dest }) => path.dirname(dest)));
+        leftovers.forEach(leftover => {
+            runLogger.info('cleanup', `[CLEANUP] Cleaned up ${path.relative(projectRoot, leftover)}, left by an interrupted run`, { path: leftover });
+        });
+
+        await runWithConcurrency(tasks, concurrency, async ({ dependency, entries }) => {
+            const logger = createLogGroup(runLogger);
+            const context = { seen, plan: entries, projectRoot, options: { ...options, logger }, config };
+            try {
+                await runAsync(processDependency(dependency, context, entries[0]));
+            } finally {
+                logger.flush();
+            }
+        });
+
+        if (options.lockfile) updateLockfileEntries(projectRoot, dependencies, { ...options, logger: runLogger });
+    } finally {
+        release();
+    }
+
+    const report = tasks.flatMap(({ entries }) => entries);
+    return { dryRun: false, ok: !report.some(isFailure), dependencies: report };
+}
+
+module.exports = { resolveLocalDependencies, DEFAULT_CONCURRENCY };
@@ -0,0 +1,123 @@
+const path = require('path');
+const { collectProjectDependencies } = require('./dependencies');
+const { resolvePackageManager } = require('./package-manager');
+const { MODES, COPY_STRATEGIES, LOCKFILE_MODES, loadConfig, mergeOptions, isPackageSelected } = require('./config');
+const { SYMLINK_POLICIES } = require('./symlinks');
+const { nestedRunParent } = require('./guard');
+
+/**
+ * Sets up a run of unlinkLocalDependencies or resolveLocalDependencies: merges the
+ * options with the project configuration, picks the package manager and lists the
+ * local dependencies of the project to process. Throws before anything is touched when
+ * the configuration or options are invalid.
+ * @param {Object} options - Options of unlinkLocalDependencies that affect what is done.
+ * @param {string[]} [options.packages=[]] - Only process the dependencies with these names.
+ * @param {string[]} [options.only=[]] - Only process the dependencies matching these patterns.
+ * @param {string[]} [options.exclude=[]] - Leave out the dependencies matching these patterns.
+ * @returns {{ projectRoot: string, config: Object, options: Object, dependencies: Array<Object> }}
+ */
+function prepareRun({ packages = [], only = [], exclude = [], ...options }) {
+    const projectRoot = process.cwd();
+    const { config } = loadConfig(projectRoot);
+    const merged = mergeOptions(options, config);
+
+    if (!MODES.includes(merged.mode)) {
+        throw new Error(`Unknown mode "${merged.mode}", expected one of: ${MODES.join(', ')}`);
+    }
+    if (!SYMLINK_POLICIES.includes(merged.symlinks)) {
+        throw new Error(`Unknown symlink policy "${merged.symlinks}", expected one of: ${SYMLINK_POLICIES.join(', ')}`);
+    }
+    if (!COPY_STRATEGIES.includes(merged.copyStrategy)) {
+        throw new Error(`Unknown copy strategy "${merged.copyStrategy}", expected one of: ${COPY_STRATEGIES.join(', ')}`);
+    }
+    if (merged.lockfile && !LOCKFILE_MODES.includes(merged.lockfile)) {
+        throw new Error(`Unknown lockfile mode "${merged.lockfile}", expected one of: ${LOCKFILE_MODES.join(', ')}`);
+    }
+
+    // Checked before anything is touched, so an unsupported combination fails early
+    const installs = !merged.noInstall
+        || (!merged.explicit.includes('noInstall') && Object.values(config.packages || {}).some(settings => settings.install));
+    const packageManager = installs ? resolvePackageManager(merged.packageManager, projectRoot, { dev: merged.dev }) : null;
+
+    const all = collectProjectDependencies(projectRoot, {
+        workspaces: merged.workspaces,
+        materializeWorkspaces: merged.materializeWorkspaces,
+        scan: merged.scan,
+        scanPaths: merged.scanPaths,
+    });
+
+    const unknown = packages.filter(name => !all.some(dependency => dependency.name === name));
+    if (unknown.length) {
+        throw new Error(`Not a local dependency of this project: ${unknown.join(', ')}`);
+    }
+
+    // Filters only pick top-level dependencies; the nested ones come along with them
+    const filters = {
+        includePackages: packages.length || only.length ? [...packages, ...only] : undefined,
+        excludePackages: exclude,
+    };
+    const dependencies = all.filter(dependency => isPackageSelected(filters, dependency.name));
+
+    return { projectRoot, config, options: { ...merged, packageManager }, dependencies };
+}
+
+/**
+ * Name of a dependency in log messages, with the workspace that declares it, or the package
+ * whose node_modules holds it when a scan found it there.
+ */
+function labelDependency(dependency) {
+    if (dependency.workspace) return `${dependency.name} (${dependency.workspace})`;
+    return dependency.via ? `${dependency.name} (in ${dependency.via})` : dependency.name;
+}
+
+/**
+ * Formats a chain of nested dependencies as `a > b > c`.
+ */
+function describeChain(chain) {
+    return chain.map(({ name }) => name).join(' > ');
+}
+
+/**
+ * Logs what a run is about to process: the packages a scan found without them being declared,
+ * and the whole list at the debug level.
+ * @param {Object} logger - Logger of the run.
+ * @param {string} projectRoot
+ * @param {Object} options - Options returned by prepareRun.
+ * @param {Array<Object>} dependencies - Dependencies returned by prepareRun.
+ */
+function logRun(logger, projectRoot, { packageManager }, dependencies) {
+    dependencies.filter(({ category }) => category === 'undeclared').forEach(dependency => {
+        const label = labelDependency(dependency);
+        const where = path.relative(projectRoot, dependency.dest).split(path.sep).join('/');
+        logger.info('scan', `[SCAN] ${label}: ${where} links to ${dependency.src}, which package.json does not declare`, {
+            package: label,
+            source: dependency.src,
+            destination: dependency.dest,
+        });
+    });
+    const installer = packageManager ? `, installing with ${packageManager.name}` : '';
+    logger.debug('run', `[RUN] ${dependencies.length} local dependencies in ${projectRoot}${installer}`, {
+        projectRoot,
+        packageManager: packageManager ? packageManager.name : null,
+        dependencies: dependencies.map(labelDependency),
+    });
+}
+
+/**
+ * Tells whether a run started by the install of a copy in another run (see nestedRunParent)
+ * stops there, logging why. Its project is then a copy in node_modules, against which the
+ * relative `file:` specs of the package do not resolve.
+ * @param {Object} logger - Logger of the run.
+ * @param {boolean} allowNested - Whether nested runs go on.
+ * @returns {boolean}
+ */
+function skipNestedRun(logger, allowNested) {
+    const parent = nestedRunParent();
+    if (!parent || allowNested) return false;
+    logger.info('skip', `[SKIP] Running inside the install of ${parent} by another run, nothing to do (--allow-nested to run anyway)`, {
+        package: parent,
+    });
+    return true;
+}
+
+module.exports = { prepareRun, labelDependency, describeChain, logRun, skipNestedRun };
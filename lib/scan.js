@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { readCopyRecord } = require('./manifest');
+
+const isInside = (file, dir) => file === dir || file.startsWith(`${dir}${path.sep}`);
+
+/**
+ * Finds the local packages linked anywhere in the node_modules of a project, declared or not:
+ * under scopes, and in the node_modules of other packages, as npm leaves them for nested `file:`
+ * specs or `npm link`. A symlink counts when its target resolves outside the project or inside
+ * one of `paths`; links are never followed further. Copies made from such links by an earlier
+ * run are found again through their records, so that they can be updated, relinked or checked.
+ * Entries starting with a dot (`.bin`, `.pnpm`, the state directory) are not searched.
+ * @param {string} projectRoot
+ * @param {Object} [options]
+ * @param {string[]} [options.paths=[]] - Directories, relative to the project, whose packages count
+ *   as local even inside the project.
+ * @returns {Array<{ name: string, category: 'undeclared', spec: string, protocol: 'link', type: 'directory',
+ *   relativePath: string, src: string, dest: string, via?: string }>} Entries shaped like those of
+ *   collectLocalDependencies; `via` names the package whose node_modules holds a nested one.
+ */
+function scanNodeModules(projectRoot, { paths = [] } = {}) {
+    const found = [];
+    const localDirs = paths.map(dir => path.resolve(projectRoot, dir));
+    const isLocal = target => !isInside(target, projectRoot) || localDirs.some(dir => isInside(target, dir));
+
+    const addFound = (name, dest, src, via) => {
+        const relativePath = path.relative(projectRoot, src).split(path.sep).join('/');
+        found.push({
+            name,
+            category: 'undeclared',
+            spec: `link:${relativePath}`,
+            protocol: 'link',
+            type: 'directory',
+            relativePath,
+            src,
+            dest,
+            ...(via ? { via } : {}),
+        });
+    };
+
+    function visit(nodeModules, name, via) {
+        const dest = path.join(nodeModules, name);
+        const stat = fs.lstatSync(dest);
+        if (stat.isSymbolicLink()) {
+            let target;
+            try {
+                target = fs.realpathSync(dest);
+            } catch {
+                // A dangling link has nothing to copy
+                return;
+            }
+            if (isLocal(target) && fs.statSync(target).isDirectory()) addFound(name, dest, target, via);
+            return;
+        }
+        if (!stat.isDirectory()) return;
+
+        const record = readCopyRecord({ name, dest });
+        if (record && record.undeclared) addFound(name, dest, record.source, via);
+        walk(path.join(dest, 'node_modules'), name);
+    }
+
+    function walk(nodeModules, via) {
+        if (!fs.existsSync(nodeModules)) return;
+        fs.readdirSync(nodeModules, { withFileTypes: true }).forEach(entry => {
+            if (entry.name.startsWith('.')) return;
+            if (entry.name.startsWith('@') && entry.isDirectory()) {
+                fs.readdirSync(path.join(nodeModules, entry.name))
+                    .filter(name => !name.startsWith('.'))
+                    .forEach(name => visit(nodeModules, `${entry.name}/${name}`, via));
+                return;
+            }
+            visit(nodeModules, entry.name, via);
+        });
+    }
+
+    walk(path.join(projectRoot, 'node_modules'), null);
+    return found;
+}
+
+module.exports = { scanNodeModules };
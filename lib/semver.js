@@ -0,0 +1,145 @@
+// A version as found in package.json: major.minor.patch, then an optional prerelease and build
+const VERSION = /^[v=]?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+// A possibly partial version in a range: `1`, `1.2`, `1.x`, `1.2.*` or `*`
+const PARTIAL = /^[v=]?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const COMPARATOR = /^(<=|>=|<|>|=|~>?|\^)?(.*)$/;
+
+const isWildcard = part => part === undefined || /^[xX*]$/.test(part);
+
+/**
+ * Parses a version such as `1.2.3` or `2.0.0-beta.1`.
+ * @param {string} version
+ * @returns {{ major: number, minor: number, patch: number, prerelease: Array<string|number> }|null}
+ *   Null when it is not a valid version.
+ */
+function parseVersion(version) {
+    const match = VERSION.exec(String(version).trim());
+    if (!match) return null;
+    const [, major, minor, patch, prerelease] = match;
+    return {
+        major: Number(major),
+        minor: Number(minor),
+        patch: Number(patch),
+        prerelease: prerelease ? prerelease.split('.').map(id => (/^\d+$/.test(id) ? Number(id) : id)) : [],
+    };
+}
+
+function compareIdentifiers(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    // Numeric identifiers have lower precedence than alphanumeric ones
+    if (typeof a === 'number') return -1;
+    if (typeof b === 'number') return 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Orders two parsed versions, following the precedence rules of semver.
+ * @returns {number} Negative when a comes first, positive when b does, 0 when they are equal.
+ */
+function compareVersions(a, b) {
+    const core = a.major - b.major || a.minor - b.minor || a.patch - b.patch;
+    if (core) return core;
+    // A prerelease comes before its release
+    if (!a.prerelease.length || !b.prerelease.length) return b.prerelease.length - a.prerelease.length;
+    for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+        if (a.prerelease[i] === undefined) return -1;
+        if (b.prerelease[i] === undefined) return 1;
+        const order = compareIdentifiers(a.prerelease[i], b.prerelease[i]);
+        if (order) return order;
+    }
+    return 0;
+}
+
+const version = (major, minor, patch, prerelease = []) => ({ major, minor, patch, prerelease });
+// The lowest version of a release line, below all of its prereleases: `2.0.0-0`
+const floor = (major, minor, patch) => version(major, minor, patch, [0]);
+
+/**
+ * Turns one comparator of a range into bounds that a version must all meet. Partial
+ * versions and `~`/`^` are expanded as npm does: `^1.2` is `>=1.2.0 <2.0.0-0`.
+ * @returns {Array<{ operator: string, version: Object }>|null} Null when it is not valid.
+ */
+function parseComparator(text) {
+    const [, operator = '', rest] = COMPARATOR.exec(text);
+    const match = PARTIAL.exec(rest);
+    if (!match) return null;
+
+    const [, majorPart, minorPart, patchPart, prereleasePart] = match;
+    const major = isWildcard(majorPart) ? null : Number(majorPart);
+    const minor = major === null || isWildcard(minorPart) ? null : Number(minorPart);
+    const patch = minor === null || isWildcard(patchPart) ? null : Number(patchPart);
+    const prerelease = patch !== null && prereleasePart ? parseVersion(`0.0.0-${prereleasePart}`).prerelease : [];
+    const exact = version(major || 0, minor || 0, patch || 0, prerelease);
+
+    if (major === null) return operator === '<' || operator === '>' ? [{ operator: '<', version: floor(0, 0, 0) }] : [];
+
+    if (operator === '^') {
+        let upper;
+        if (major > 0 || minor === null) upper = floor(major + 1, 0, 0);
+        else if (minor > 0 || patch === null) upper = floor(0, minor + 1, 0);
+        else upper = floor(0, 0, patch + 1);
+        return [{ operator: '>=', version: exact }, { operator: '<', version: upper }];
+    }
+    if (operator.startsWith('~')) {
+        const upper = minor === null ? floor(major + 1, 0, 0) : floor(major, minor + 1, 0);
+        return [{ operator: '>=', version: exact }, { operator: '<', version: upper }];
+    }
+
+    // The first version after the partial one: 1.2 ends at 1.3.0-0
+    const next = minor === null ? floor(major + 1, 0, 0) : floor(major, minor + 1, 0);
+    if (patch !== null) return [{ operator: operator || '=', version: exact }];
+    if (operator === '' || operator === '=') return [{ operator: '>=', version: exact }, { operator: '<', version: next }];
+    if (operator === '>') return [{ operator: '>=', version: version(next.major, next.minor, 0) }];
+    if (operator === '<=') return [{ operator: '<', version: next }];
+    return [{ operator, version: exact }];
+}
+
+/**
+ * Parses a range as written in package.json: comparators (`>=1.2.0 <2`), `^` and `~`, x-ranges
+ * (`1.x`, `*`), hyphen ranges (`1.0 - 2.0`) and alternatives joined with `||`.
+ * @param {string} range
+ * @returns {Array<Array<{ operator: string, version: Object }>>|null} One set of bounds per
+ *   alternative, or null when the range is not valid, e.g. a tag or a URL.
+ */
+function parseRange(range) {
+    const sets = String(range).split('||').map(alternative => {
+        const trimmed = alternative.trim();
+        const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(trimmed);
+        const comparators = hyphen
+            ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`]
+            : trimmed.replace(/(<=|>=|<|>|=|~>?|\^)\s+/g, '$1').split(/\s+/).filter(Boolean);
+        const bounds = comparators.map(parseComparator);
+        return bounds.includes(null) ? null : bounds.flat();
+    });
+    return sets.includes(null) ? null : sets;
+}
+
+function meets(parsed, { operator, version: bound }) {
+    const order = compareVersions(parsed, bound);
+    switch (operator) {
+    case '<': return order < 0;
+    case '<=': return order <= 0;
+    case '>': return order > 0;
+    case '>=': return order >= 0;
+    default: return order === 0;
+    }
+}
+
+/**
+ * Tells whether a version satisfies a range. As in npm, a prerelease only satisfies a range
+ * that names a prerelease of the same major.minor.patch.
+ * @param {string} version - Version, e.g. `18.2.0`.
+ * @param {string} range - Range, e.g. `^17.0.0 || ^18.0.0`.
+ * @returns {boolean} False when either is not valid.
+ */
+function satisfies(version, range) {
+    const parsed = parseVersion(version);
+    const sets = parseRange(range);
+    if (!parsed || !sets) return false;
+
+    return sets.some(bounds => bounds.every(bound => meets(parsed, bound))
+        && (!parsed.prerelease.length || bounds.some(({ version: bound }) => bound.prerelease.length
+            && bound.major === parsed.major && bound.minor === parsed.minor && bound.patch === parsed.patch)));
+}
+
+module.exports = { parseVersion, compareVersions, parseRange, satisfies };
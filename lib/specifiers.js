@@ -0,0 +1,82 @@
+const path = require('path');
+
+const TARBALL = /\.(tgz|tar\.gz|tar)$/i;
+
+/**
+ * Turns the path part of a local spec into a `/`-separated path: `file://` URLs
+ * lose their scheme and host, and Windows backslashes become slashes.
+ */
+function normalizeTarget(target) {
+    let normalized = target.trim();
+    if (normalized.startsWith('//')) {
+        // file://localhost/x, file:///x and file:///C:/x
+        normalized = decodeURIComponent(normalized.replace(/^\/\/(localhost)?/, ''));
+        if (/^\/[a-zA-Z]:\//.test(normalized)) normalized = normalized.slice(1);
+    }
+    normalized = normalized.replace(/\\/g, '/');
+    return /^[a-zA-Z]:\//.test(normalized) ? normalized : path.posix.normalize(normalized);
+}
+
+/**
+ * Parses a dependency spec pointing at the local filesystem:
+ *
+ * - `file:../dir` and `file:../pkg.tgz` (also `.tar.gz` and `.tar`)
+ * - `link:../dir`, as written by pnpm and Yarn
+ * - `file:///abs/dir` URLs and Windows-style paths such as `file:..\dir` or `file:C:\dir`
+ * - `npm:<name>@<local spec>` aliases of any of the above
+ *
+ * @param {string} spec - Spec as written in package.json.
+ * @param {string} baseDir - Directory relative paths resolve against.
+ * @returns {{ protocol: 'file'|'link', type: 'directory'|'tarball', relativePath: string, src: string,
+ *   alias?: string }|null} The parsed spec, or null when it does not point at a local path.
+ *   `alias` is the name of the aliased package.
+ */
+function parseLocalSpec(spec, baseDir) {
+    if (typeof spec !== 'string') return null;
+
+    if (spec.startsWith('npm:')) {
+        const target = spec.slice('npm:'.length);
+        // Skip the @ of a scoped name
+        const at = target.indexOf('@', 1);
+        if (at === -1) return null;
+        const local = parseLocalSpec(target.slice(at + 1), baseDir);
+        return local && { ...local, alias: target.slice(0, at) };
+    }
+
+    const match = /^(file|link):(.+)$/.exec(spec.trim());
+    if (!match) return null;
+
+    const [, protocol, rawTarget] = match;
+    const relativePath = normalizeTarget(rawTarget);
+    const absolute = path.posix.isAbsolute(relativePath) || /^[a-zA-Z]:\//.test(relativePath);
+    const src = absolute ? path.normalize(relativePath) : path.resolve(baseDir, relativePath);
+
+    // Decided by extension, as npm does; pnpm and Yarn only link directories
+    const isTarball = protocol === 'file' && TARBALL.test(relativePath);
+
+    return { protocol, type: isTarball ? 'tarball' : 'directory', relativePath, src };
+}
+
+/**
+ * Writes a local spec back, pointing at an absolute source path and keeping the
+ * protocol and alias of the original.
+ * @param {{ protocol: string, src: string, alias?: string }} dependency
+ * @returns {string}
+ */
+function formatLocalSpec({ protocol, src, alias }) {
+    const spec = `${protocol}:${src}`;
+    return alias ? `npm:${alias}@${spec}` : spec;
+}
+
+/**
+ * Describes the kind of a local spec for log messages, e.g. `file: tarball` or
+ * `npm alias of b, link: directory`.
+ * @param {{ protocol: string, type: string, alias?: string }} dependency
+ * @returns {string}
+ */
+function describeSpec({ protocol, type, alias }) {
+    const kind = `${protocol}: ${type}`;
+    return alias ? `npm alias of ${alias}, ${kind}` : kind;
+}
+
+module.exports = { parseLocalSpec, formatLocalSpec, describeSpec };
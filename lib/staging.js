@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// A package is built in a staging directory, and what it replaces is moved to a backup while
+// it is swapped in. The leading dot keeps package managers from taking either for a package.
+const STAGING_PREFIX = '.rld-staging-';
+const BACKUP_PREFIX = '.rld-backup-';
+const LEFTOVER = /^\.rld-(staging|backup)-(.+)-[0-9a-f]{8}$/;
+
+function siblingPath(dest, prefix) {
+    return path.join(path.dirname(dest), `${prefix}${path.basename(dest)}-${crypto.randomBytes(4).toString('hex')}`);
+}
+
+/**
+ * Picks the directory to build a package in before it replaces dest. It sits next to dest, so
+ * that it can be renamed into place and relative links made by an install in it still resolve.
+ * @param {string} dest - Destination of the package.
+ * @returns {string}
+ */
+function stagingPath(dest) {
+    return siblingPath(dest, STAGING_PREFIX);
+}
+
+/**
+ * Moves a staged package to its destination, replacing the symlink or directory there.
+ * That entry is renamed out of the way first, and put back if the staged package cannot be moved in.
+ * @param {string} staging - Result of stagingPath.
+ * @param {string} dest
+ */
+function swapIntoPlace(staging, dest) {
+    const backup = fs.lstatSync(dest, { throwIfNoEntry: false }) ? siblingPath(dest, BACKUP_PREFIX) : null;
+    if (backup) fs.renameSync(dest, backup);
+    try {
+        fs.renameSync(staging, dest);
+    } catch (error) {
+        if (backup) fs.renameSync(backup, dest);
+        throw error;
+    }
+    if (backup) fs.rmSync(backup, { recursive: true, force: true });
+}
+
+/**
+ * Same as swapIntoPlace, without blocking the event loop.
+ * @returns {Promise<void>}
+ */
+async function swapIntoPlaceAsync(staging, dest) {
+    const existing = await fs.promises.lstat(dest).catch(() => null);
+    const backup = existing ? siblingPath(dest, BACKUP_PREFIX) : null;
+    if (backup) await fs.promises.rename(dest, backup);
+    try {
+        await fs.promises.rename(staging, dest);
+    } catch (error) {
+        if (backup) await fs.promises.rename(backup, dest);
+        throw error;
+    }
+    if (backup) await fs.promises.rm(backup, { recursive: true, force: true });
+}
+
+/**
+ * Moves the files of a staged update into an existing copy, one rename each. The files they
+ * replace and the removed ones are moved to a backup next to the copy, until the update is
+ * either kept or undone.
+ * @param {string} staging - Directory holding the new files, at their paths in dest.
+ * @param {string} dest - The copy.
+ * @param {string[]} files - Files of the staging directory to move in.
+ * @param {string[]} removed - Files to take out of the copy.
+ * @returns {{ restore: () => void, discard: () => void }} restore puts the copy back as it was,
+ *   discard removes the backup.
+ */
+function swapFilesIntoPlace(staging, dest, files, removed) {
+    const backup = siblingPath(dest, BACKUP_PREFIX);
+    const saved = [];
+    const placed = [];
+
+    const restore = () => {
+        placed.forEach(file => fs.rmSync(path.join(dest, file), { recursive: true, force: true }));
+        saved.forEach(file => {
+            fs.mkdirSync(path.dirname(path.join(dest, file)), { recursive: true });
+            fs.renameSync(path.join(backup, file), path.join(dest, file));
+        });
+        fs.rmSync(backup, { recursive: true, force: true });
+    };
+
+    try {
+        [...files, ...removed].forEach(file => {
+            if (!fs.lstatSync(path.join(dest, file), { throwIfNoEntry: false })) return;
+            fs.mkdirSync(path.dirname(path.join(backup, file)), { recursive: true });
+            fs.renameSync(path.join(dest, file), path.join(backup, file));
+            saved.push(file);
+        });
+        files.forEach(file => {
+            fs.mkdirSync(path.dirname(path.join(dest, file)), { recursive: true });
+            fs.renameSync(path.join(staging, file), path.join(dest, file));
+            placed.push(file);
+        });
+    } catch (error) {
+        restore();
+        throw error;
+    }
+
+    return { restore, discard: () => fs.rmSync(backup, { recursive: true, force: true }) };
+}
+
+/**
+ * Cleans up after runs that were interrupted: removes the staging directories they left and
+ * puts back the entries they moved aside without replacing them.
+ * @param {string[]} dirs - Directories holding destinations, such as node_modules.
+ * @returns {string[]} Paths of the leftovers found.
+ */
+function cleanupStaging(dirs) {
+    const leftovers = [];
+    new Set(dirs).forEach(dir => {
+        if (!fs.existsSync(dir)) return;
+        fs.readdirSync(dir).forEach(entry => {
+            const match = LEFTOVER.exec(entry);
+            if (!match) return;
+
+            const leftover = path.join(dir, entry);
+            const original = path.join(dir, match[2]);
+            if (match[1] === 'backup' && !fs.lstatSync(original, { throwIfNoEntry: false })) {
+                fs.renameSync(leftover, original);
+            } else {
+                fs.rmSync(leftover, { recursive: true, force: true });
+            }
+            leftovers.push(leftover);
+        });
+    });
+    return leftovers;
+}
+
+module.exports = { stagingPath, swapIntoPlace, swapIntoPlaceAsync, swapFilesIntoPlace, cleanupStaging };
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const { collectProjectDependencies } = require('./dependencies');
+const { loadConfig, mergeOptions, packageOptions, isPackageSelected } = require('./config');
+const { readCopyRecord, findModifications, findSourceChanges } = require('./manifest');
+const { findNestedDependencies } = require('./copy');
+const { describeChain } = require('./run');
+
+/**
+ * Works out how a local dependency in node_modules relates to its source.
+ *
+ * - `missing`: nothing installed
+ * - `linked`: still a symlink
+ * - `unmanaged`: a copy this tool has no record of
+ * - `modified-in-place`: a recorded copy whose files were edited, added or deleted
+ * - `stale`: a recorded copy whose source changed since it was made
+ * - `up-to-date`: a recorded copy matching its source
+ *
+ * @param {{ src: string, dest: string, name: string }} dependency
+ * @returns {{ status: string, record?: Object, modifications?: Array<Object>, sourceChanges?: Object }}
+ */
+function checkCopy(dependency) {
+    const { dest } = dependency;
+    if (!fs.existsSync(dest)) return { status: 'missing' };
+    if (fs.lstatSync(dest).isSymbolicLink()) return { status: 'linked' };
+
+    const record = readCopyRecord(dependency);
+    if (!record) return { status: 'unmanaged' };
+
+    const modifications = findModifications(dependency, record);
+    const sourceChanges = findSourceChanges(dependency, record);
+    const stale = sourceChanges.added.length + sourceChanges.changed.length + sourceChanges.removed.length > 0;
+
+    let status = 'up-to-date';
+    if (modifications.length) status = 'modified-in-place';
+    else if (stale) status = 'stale';
+
+    return { status, record, modifications, sourceChanges };
+}
+
+/**
+ * Checks the copies a recorded copy holds for its own `file:` dependencies, at any depth.
+ * Cycles, resolved from the copy higher up the tree, and excluded packages are left out.
+ * @param {Array<Object>} chain - Dependencies leading to the copy, itself included.
+ * @returns {Array<Object>} The nested dependencies with their parent chain and the result of checkCopy.
+ */
+function checkNestedCopies(chain, options, config) {
+    if (!options.recursive) return [];
+    const parent = chain[chain.length - 1];
+    const { dev } = packageOptions(options, config, parent.name);
+    return findNestedDependencies(parent, dev)
+        .filter(child => !chain.some(({ src }) => src === child.src) && isPackageSelected(config, child.name))
+        .flatMap(child => {
+            const check = checkCopy(child);
+            const nested = check.record ? checkNestedCopies([...chain, child], options, config) : [];
+            return [{ dependency: child, parent: describeChain(chain), ...check }, ...nested];
+        });
+}
+
+/**
+ * Report the state of every local dependency in node_modules, followed by the copies
+ * made inside each copy for its own `file:` dependencies.
+ * @param {Object} options
+ * @param {boolean} [options.workspaces=false] - If true, also report the local dependencies of every npm workspace.
+ *   Also on when the project configuration sets it.
+ * @param {boolean} [options.scan=false] - If true, also report the local packages linked anywhere in node_modules
+ *   (see scanNodeModules), and the copies made from them. Also on when the project configuration sets it.
+ * @returns {Array<{ name: string, workspace?: string, parent?: string, status: string, modifications: Array<Object>,
+ *   sourceChanges: { added: string[], changed: string[], removed: string[] } }>} `parent` is the chain of
+ *   dependencies a nested copy is in, such as `lib-a > lib-b`.
+ */
+function statusLocalDependencies({ workspaces = false, scan = false } = {}) {
+    const noChanges = { added: [], changed: [], removed: [] };
+    const projectRoot = process.cwd();
+    const { config } = loadConfig(projectRoot);
+    const all = workspaces || Boolean(config.workspaces);
+    const options = mergeOptions({}, config);
+
+    return collectProjectDependencies(projectRoot, {
+        workspaces: all,
+        materializeWorkspaces: all,
+        scan: scan || Boolean(config.scan),
+        scanPaths: config.scanPaths,
+    })
+        .map(dependency => ({ dependency, ...checkCopy(dependency) }))
+        // Workspace packages are only of interest once they were materialized
+        .filter(({ dependency, status }) => dependency.category !== 'workspaces' || status !== 'linked')
+        .flatMap(check => [check, ...(check.record ? checkNestedCopies([check.dependency], options, config) : [])])
+        .map(({ dependency, parent, status, modifications = [], sourceChanges = noChanges }) => ({
+            name: dependency.name,
+            workspace: dependency.workspace,
+            parent,
+            status,
+            modifications,
+            sourceChanges,
+        }));
+}
+
+/**
+ * Renders the result of statusLocalDependencies as text, one line per dependency.
+ * @param {Array<Object>} statuses
+ * @returns {string}
+ */
+function formatStatus(statuses) {
+    if (!statuses.length) return 'No local dependencies found.';
+
+    const width = Math.max(...statuses.map(({ status }) => status.length));
+    return statuses.map(({ name, workspace, parent, status, modifications, sourceChanges }) => {
+        const label = parent ? `${parent} > ${name}` : name;
+        const where = workspace ? ` (${workspace})` : '';
+        const details = [
+            ...sourceChanges.added.map(file => `+${file}`),
+            ...sourceChanges.changed.map(file => `~${file}`),
+            ...sourceChanges.removed.map(file => `-${file}`),
+            ...modifications.map(({ file, change }) => `${file} ${change} in copy`),
+        ];
+        return `  ${status.padEnd(width)}  ${label}${where}${details.length ? `: ${details.join(', ')}` : ''}`;
+    }).join('\n');
+}
+
+module.exports = { checkCopy, statusLocalDependencies, formatStatus };
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+// How symlinks found inside a package are copied
+const SYMLINK_POLICIES = ['preserve', 'dereference', 'skip'];
+
+/**
+ * Decides what happens to a symlink found inside a package.
+ *
+ * - `link`: recreated as a relative link; with `preserve`, for links pointing inside the package
+ * - `follow`: replaced with what it points to; with `dereference`, and with `preserve` for links
+ *   pointing outside the package, which would not resolve from the copy
+ * - `skip`: left out; with `skip`, and for broken links
+ *
+ * @param {string} root - Package directory.
+ * @param {string} relPath - Path of the link, relative to root.
+ * @param {string} policy - One of SYMLINK_POLICIES.
+ * @returns {{ action: 'link'|'follow'|'skip', target?: string, warning?: string }} For `link`, the target
+ *   to create the link with; `warning` explains anything the user may not expect.
+ */
+function resolveSymlink(root, relPath, policy) {
+    let resolved;
+    try {
+        resolved = fs.realpathSync(path.join(root, relPath));
+    } catch {
+        return { action: 'skip', warning: `${relPath} is a broken symlink, leaving it out` };
+    }
+
+    if (policy === 'skip') return { action: 'skip', warning: `${relPath} is a symlink, leaving it out` };
+    if (policy === 'dereference') return { action: 'follow' };
+
+    const realRoot = fs.realpathSync(root);
+    if (resolved !== realRoot && !resolved.startsWith(`${realRoot}${path.sep}`)) {
+        return { action: 'follow', warning: `${relPath} links outside the package, copying what it points to` };
+    }
+    // Relative to where the link sits in the copy, which may differ from the source when a parent was followed
+    const target = path.relative(path.dirname(path.join(realRoot, relPath)), resolved) || '.';
+    return { action: 'link', target };
+}
+
+/**
+ * Names the kind of a file that cannot be copied: sockets, FIFOs and devices.
+ * @param {fs.Stats} stat
+ * @returns {string|null} Null for files, directories and symlinks.
+ */
+function specialFileKind(stat) {
+    if (stat.isSocket()) return 'socket';
+    if (stat.isFIFO()) return 'FIFO';
+    if (stat.isBlockDevice()) return 'block device';
+    if (stat.isCharacterDevice()) return 'character device';
+    return null;
+}
+
+module.exports = { SYMLINK_POLICIES, resolveSymlink, specialFileKind };
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const BLOCK_SIZE = 512;
+
+function readString(block, start, length) {
+    const end = block.indexOf(0, start);
+    return block.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+function readNumber(block, start, length) {
+    // Base-256 encoding, used for sizes that do not fit the octal field
+    if (block[start] & 0x80) {
+        let value = block[start] & 0x7f;
+        for (let i = start + 1; i < start + length; i++) value = value * 256 + block[i];
+        return value;
+    }
+    const text = readString(block, start, length).trim();
+    return text ? parseInt(text, 8) : 0;
+}
+
+function checksumMatches(block) {
+    let sum = 0;
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+        // The checksum field itself counts as spaces
+        sum += i >= 148 && i < 156 ? 0x20 : block[i];
+    }
+    return sum === readNumber(block, 148, 8);
+}
+
+/**
+ * Parses the records of a pax extended header, e.g. `30 path=some/long/name\n`.
+ */
+function parsePax(body) {
+    const attributes = {};
+    let offset = 0;
+    while (offset < body.length) {
+        const space = body.indexOf(0x20, offset);
+        const length = parseInt(body.toString('ascii', offset, space), 10);
+        if (space === -1 || !length) break;
+        const record = body.toString('utf8', space + 1, offset + length - 1);
+        const equals = record.indexOf('=');
+        attributes[record.slice(0, equals)] = record.slice(equals + 1);
+        offset += length;
+    }
+    return attributes;
+}
+
+/**
+ * Reads the entries of a tarball, gzipped or not. The top-level directory (`package/`
+ * in npm tarballs) is stripped from every path, as npm does when installing one.
+ * Entries whose path would escape the package are rejected.
+ * @param {string} tarball - Path of the .tgz or .tar file.
+ * @returns {Array<{ path: string, type: string, mode: number, body: Buffer }>} Entries in
+ *   archive order, with `/`-separated paths and the tar type flag ('0' file, '5' directory, ...).
+ */
+function readTarball(tarball) {
+    let data = fs.readFileSync(tarball);
+    if (data[0] === 0x1f && data[1] === 0x8b) {
+        data = zlib.gunzipSync(data);
+    }
+
+    const entries = [];
+    let pax = {};
+    let longName = null;
+    let offset = 0;
+
+    while (offset + BLOCK_SIZE <= data.length) {
+        const block = data.subarray(offset, offset + BLOCK_SIZE);
+        if (block.every(byte => byte === 0)) break;
+        if (!checksumMatches(block)) {
+            throw new Error(`Invalid tar header in ${tarball} at offset ${offset}`);
+        }
+
+        const size = readNumber(block, 124, 12);
+        const type = block[156] ? String.fromCharCode(block[156]) : '0';
+        const body = data.subarray(offset + BLOCK_SIZE, offset + BLOCK_SIZE + size);
+        offset += BLOCK_SIZE + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+        if (type === 'x') {
+            pax = parsePax(body);
+            continue;
+        }
+        if (type === 'L') {
+            longName = readString(body, 0, body.length);
+            continue;
+        }
+        if (type === 'g') continue;
+
+        const prefix = readString(block, 345, 155);
+        const headerName = readString(block, 0, 100);
+        const name = pax.path || longName || (prefix ? `${prefix}/${headerName}` : headerName);
+        pax = {};
+        longName = null;
+
+        const normalized = path.posix.normalize(name.replace(/\\/g, '/'));
+        if (normalized.split('/').includes('..') || path.posix.isAbsolute(normalized) || /^[a-zA-Z]:/.test(normalized)) {
+            throw new Error(`Refusing to extract ${name} outside of the package`);
+        }
+        const relPath = normalized.split('/').slice(1).join('/').replace(/\/+$/, '');
+        if (!relPath) continue;
+
+        entries.push({ path: relPath, type, mode: readNumber(block, 100, 8), body });
+    }
+
+    return entries;
+}
+
+/**
+ * Creates the directories of a path inside dest one level at a time. Anything else found
+ * in their place, such as a symlink left by an earlier copy, is removed first, so that
+ * nothing is written outside dest through it.
+ * @param {string} relDir - Directory relative to dest, with `/` as separator.
+ */
+function makeDirectories(dest, relDir) {
+    let dir = dest;
+    relDir.split('/').filter(part => part && part !== '.').forEach(part => {
+        dir = path.join(dir, part);
+        const stat = fs.lstatSync(dir, { throwIfNoEntry: false });
+        if (stat && stat.isDirectory()) return;
+        if (stat) fs.rmSync(dir, { force: true });
+        fs.mkdirSync(dir);
+    });
+}
+
+/**
+ * Extracts a tarball the way npm installs a package from one: see readTarball for
+ * how paths are handled. Only regular files and directories are written. When dest
+ * already exists, whatever is in the way of an entry is replaced rather than written
+ * through: symlinks are never followed.
+ * @param {string} tarball - Path of the .tgz or .tar file.
+ * @param {string} dest - Directory to extract into; created when missing.
+ * @returns {string[]} Extracted files, relative to dest with `/` as separator.
+ */
+function extractTarball(tarball, dest) {
+    const entries = readTarball(tarball);
+    fs.mkdirSync(dest, { recursive: true });
+    const files = [];
+
+    entries.forEach(({ path: relPath, type, mode, body }) => {
+        const target = path.join(dest, relPath);
+        if (type === '5') {
+            makeDirectories(dest, relPath);
+        } else if (type === '0' || type === '7') {
+            const fileMode = (mode & 0o777) | 0o644;
+            makeDirectories(dest, path.posix.dirname(relPath));
+            fs.rmSync(target, { recursive: true, force: true });
+            fs.writeFileSync(target, body, { mode: fileMode });
+            fs.chmodSync(target, fileMode);
+            files.push(relPath);
+        }
+        // Links and special entries are skipped, as npm does for packages
+    });
+
+    return files.sort();
+}
+
+module.exports = { readTarball, extractTarball };
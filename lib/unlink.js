@@ -0,0 +1,116 @@
+const path = require('path');
+const { loggerFromOptions } = require('../utils/log');
+const { createPlanEntry } = require('./plan');
+const { startReportEntry, isFailure } = require('./report');
+const { cleanupStaging } = require('./staging');
+const { prepareRun, logRun, skipNestedRun } = require('./run');
+const { runSync, processDependency } = require('./pipeline');
+const { acquireLock } = require('./guard');
+const { updateLockfileEntries } = require('./lockfile');
+
+/**
+ * Unlink local dependencies by replacing symlinks with actual copies.
+ * Each copy is built next to its destination and swapped in once complete, so that a failure
+ * leaves the symlink in place; what an interrupted run left behind is cleaned up first.
+ * The options are merged with the project configuration (see loadConfig): the options
+ * given win over its settings, global or per package.
+ * @param {Object} options
+ * @param {boolean} [options.silent=false] - Suppress console output, same as the 'silent' log level.
+ * @param {'silent'|'error'|'warn'|'info'|'debug'} [options.logLevel='info'] - Least important messages printed.
+ * @param {'text'|'json'} [options.logFormat='text'] - Print messages, or one JSON event per line.
+ * @param {Object} [options.logger] - Object whose error, warn, info and debug methods receive the output
+ *   instead of the console.
+ * @param {(event: Object) => void} [options.onEvent] - Called with every event of the run, whatever the log level:
+ *   its `type`, `level`, `message`, `time`, the `package` it is about, and details such as paths and durations.
+ * @param {boolean} [options.noInstall=false] - If true, skip the install step for each copied dependency.
+ * @param {boolean} [options.dev=false] - If true, install devDependencies for each copied dependency.
+ * @param {string[]} [options.include=[]] - Extra globs to copy even when the package's publish rules exclude them.
+ * @param {string[]} [options.ignore=[]] - Extra globs to leave out of each copy.
+ * @param {boolean} [options.recursive=true] - If true, also replace the `file:` dependencies of copied dependencies.
+ * @param {boolean} [options.workspaces=false] - If true, also process the local dependencies of every npm workspace.
+ * @param {boolean} [options.materializeWorkspaces=false] - If true, with workspaces, also replace the symlinked
+ *   workspace packages in the root node_modules with copies.
+ * @param {'copy'|'pack'} [options.mode='copy'] - How dependencies are placed: 'copy' copies the files npm would
+ *   publish; 'pack' runs npm pack in the source, including its prepack and prepare builds, and extracts the
+ *   tarball like an install from the registry would.
+ * @param {'copy'|'reflink'|'hardlink'} [options.copyStrategy='copy'] - How files are copied: byte by byte, as
+ *   copy-on-write clones where the filesystem supports them (falling back to byte copies), or as hard links to
+ *   the source, whose edits then show in the copy and the other way around. The report gives the one used.
+ * @param {string} [options.packageManager] - Package manager for the install step: npm, pnpm, yarn or bun,
+ *   optionally with a version (`yarn@1`). Detected from the `packageManager` field or the lockfile of the
+ *   project when omitted.
+ * @param {string[]} [options.packages=[]] - Only process the dependencies with these names.
+ * @param {string[]} [options.only=[]] - Only process the dependencies whose name matches one of these globs.
+ * @param {string[]} [options.exclude=[]] - Leave out the dependencies whose name matches one of these globs.
+ *   Nested dependencies of the processed ones are not filtered.
+ * @param {boolean} [options.dedupe=false] - If true, remove from the node_modules of each copy every dependency
+ *   the host satisfies, not only its peer dependencies.
+ * @param {boolean} [options.strict=false] - If true, a dependency whose install fails is rolled back too, and
+ *   keeps its symlink.
+ * @param {boolean} [options.dryRun=false] - If true, only compute what would be done, without touching the
+ *   filesystem or running installs, and return the plan.
+ * @param {boolean} [options.allowNested=false] - If true, also run when started by the install of a copy in
+ *   another run, from the postinstall script of a local package. Such runs do nothing by default.
+ * @param {number} [options.lockTimeout=600000] - Milliseconds to wait for another run changing the same
+ *   node_modules to finish before failing. Runs take turns through a lock file in the state directory.
+ * @param {'package-lock'|'hidden'} [options.lockfile] - Once done, describe the copies made by this tool as
+ *   copies rather than links in package-lock.json and node_modules/.package-lock.json ('package-lock'), or in
+ *   node_modules/.package-lock.json only ('hidden'). Left alone by default. npm only keeps such copies with
+ *   install-links=true, and puts the symlinks back otherwise; a warning says so when .npmrc does not set it.
+ * @param {boolean} [options.installLinks=false] - With lockfile, add install-links=true to the .npmrc of the project
+ *   when it is not set, with a warning: npm then installs every `file:` dependency of the project as a copy.
+ *   restoreLockfile and relinkLocalDependencies remove it once no lockfile describes copies.
+ * @returns {{ dryRun: boolean, ok?: boolean, nested?: boolean, dependencies: Array<Object> }} The plan in dry-run
+ *   mode, otherwise the report: one entry per dependency met, with what was done (see startReportEntry), and `ok`
+ *   false when a dependency is missing or could not be copied, packed or installed. `nested` is true when the run
+ *   was skipped for being nested.
+ */
+function unlinkLocalDependencies({
+    silent = false,
+    logLevel,
+    logFormat,
+    logger: output,
+    onEvent,
+    dryRun = false,
+    allowNested = false,
+    lockTimeout,
+    ...runOptions
+} = {}) {
+    // The plan replaces the usual log in dry-run mode
+    const logger = loggerFromOptions({ silent: silent || dryRun, logLevel, logFormat, logger: output, onEvent });
+    if (!dryRun && skipNestedRun(logger, allowNested)) {
+        return { dryRun: false, ok: true, nested: true, dependencies: [] };
+    }
+    const { projectRoot, config, options: merged, dependencies } = prepareRun(runOptions);
+    logRun(logger, projectRoot, merged, dependencies);
+    const options = { ...merged, logger, dryRun };
+    const context = { seen: new Map(), plan: [], projectRoot, options, config };
+
+    // Runs changing the same node_modules take turns; the cleanup would remove the staging directories of another
+    const release = dryRun ? () => {} : acquireLock(projectRoot, { timeout: lockTimeout, logger });
+    try {
+        if (!dryRun) {
+            cleanupStaging(dependencies.map(({ dest }) => path.dirname(dest))).forEach(leftover => {
+                logger.info('cleanup', `[CLEANUP] Cleaned up ${path.relative(projectRoot, leftover)}, left by an interrupted run`, { path: leftover });
+            });
+        }
+
+        dependencies.forEach(dependency => {
+            const entry = createPlanEntry(dependency, projectRoot, null);
+            if (!dryRun) startReportEntry(entry);
+            context.plan.push(entry);
+            runSync(processDependency(dependency, context, entry));
+        });
+
+        if (!dryRun && options.lockfile) updateLockfileEntries(projectRoot, dependencies, options);
+    } finally {
+        release();
+    }
+
+    if (dryRun) {
+        return { dryRun: true, dependencies: context.plan };
+    }
+    return { dryRun: false, ok: !context.plan.some(isFailure), dependencies: context.plan };
+}
+
+module.exports = { unlinkLocalDependencies };
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const { loggerFromOptions } = require('../utils/log');
+const { DEPENDENCY_CATEGORIES } = require('./dependencies');
+const { parseLocalSpec, formatLocalSpec } = require('./specifiers');
+const { copyPackageSync, findNestedDependencies } = require('./copy');
+const { packPackage, extractPacked } = require('./pack');
+const { stagingPath, swapIntoPlace } = require('./staging');
+const { loadConfig, mergeOptions, packageOptions, isPackageSelected } = require('./config');
+const { describeChain } = require('./run');
+
+const DEFAULT_VENDOR_DIR = 'vendor';
+// Written in the vendor directory, with the specs it replaced
+const VENDOR_RECORD = '.vendor.json';
+
+const isInside = (file, dir) => file === dir || file.startsWith(`${dir}${path.sep}`);
+
+/**
+ * Writes a path relative to a directory the way package.json specs hold it.
+ */
+function relativeSpecPath(from, to) {
+    return path.relative(from, to).split(path.sep).join('/');
+}
+
+function readManifest(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeManifest(file, pkg) {
+    fs.writeFileSync(file, `${JSON.stringify(pkg, null, 2)}\n`);
+}
+
+/**
+ * Resolves the vendor directory of a project and reads its record.
+ * @returns {{ vendorRoot: string, record: Object|null }}
+ */
+function openVendorDir(projectRoot, dir) {
+    const vendorRoot = path.resolve(projectRoot, dir);
+    if (vendorRoot === projectRoot || !isInside(vendorRoot, projectRoot)) {
+        throw new Error(`The vendor directory must be inside the project, got ${dir}`);
+    }
+    const recordPath = path.join(vendorRoot, VENDOR_RECORD);
+    const record = fs.existsSync(recordPath) ? JSON.parse(fs.readFileSync(recordPath, 'utf8')) : null;
+    return { vendorRoot, record };
+}
+
+/**
+ * Lists the local dependencies a project declares, with the specs they had before an earlier
+ * vendor run rewrote them, so that vendoring again copies from the sources.
+ * @returns {Array<{ name: string, category: string, spec: string, protocol: string, type: string,
+ *   src: string, alias?: string }>} One entry per field declaring a local dependency.
+ */
+function declaredDependencies(projectRoot, pkg, record) {
+    const previous = record ? record.specs : [];
+    return DEPENDENCY_CATEGORIES.flatMap(category => Object.entries(pkg[category] || {}).map(([name, current]) => {
+        const vendored = previous.find(spec => spec.category === category && spec.name === name && spec.vendored === current);
+        const spec = vendored ? vendored.original : current;
+        const local = parseLocalSpec(spec, projectRoot);
+        return local && { name, category, spec, ...local };
+    })).filter(Boolean);
+}
+
+/**
+ * Copy the local dependencies of a project into a directory inside it, and point the specs of
+ * its package.json there, so that the project installs without the rest of the repository:
+ * in a Docker build context holding only the app, for instance. The local dependencies of the
+ * vendored packages come along at any depth, with their specs pointing at each other. Copies
+ * follow the publish rules and the configuration, as for unlinkLocalDependencies.
+ * The vendor directory is built next to its final place and swapped in once complete, replacing
+ * the one of an earlier run; a directory the command did not make is never replaced.
+ * @param {Object} options
+ * @param {string} [options.dir='vendor'] - Vendor directory, relative to the project.
+ * @param {string} [options.output] - Write the rewritten package.json to this file, relative to the
+ *   project, and leave package.json as it is. The specs in it are relative to the project root.
+ * @param {boolean} [options.dev=false] - Also vendor the local devDependencies of vendored packages.
+ *   Those of the project are always vendored.
+ * @param {string[]} [options.include=[]] - Extra globs to copy even when the package's publish rules exclude them.
+ * @param {string[]} [options.ignore=[]] - Extra globs to leave out of each copy.
+ * @param {'copy'|'pack'} [options.mode='copy'] - Copy the files npm would publish, or extract the
+ *   tarball of npm pack.
+ * @param {'preserve'|'dereference'|'skip'} [options.symlinks='preserve'] - How symlinks inside packages are copied.
+ * @param {'copy'|'reflink'|'hardlink'} [options.copyStrategy='copy'] - How files are copied (see copyFilesSync).
+ * @param {boolean} [options.silent=false] - Suppress console output.
+ * @param {string} [options.logLevel='info'] - As for unlinkLocalDependencies, and so are logFormat, logger and onEvent.
+ * @returns {{ vendored: Array<{ name: string, src: string, path: string }>, manifest: string }} The packages
+ *   vendored, with their place relative to the project, and the package.json written.
+ */
+function vendorLocalDependencies({
+    dir = DEFAULT_VENDOR_DIR,
+    output,
+    silent = false,
+    logLevel,
+    logFormat,
+    logger: loggerOutput,
+    onEvent,
+    ...runOptions
+} = {}) {
+    const logger = loggerFromOptions({ silent, logLevel, logFormat, logger: loggerOutput, onEvent });
+    const projectRoot = process.cwd();
+    const { config } = loadConfig(projectRoot);
+    const options = mergeOptions(runOptions, config);
+    const { vendorRoot, record } = openVendorDir(projectRoot, dir);
+    if (!record && fs.existsSync(vendorRoot) && fs.readdirSync(vendorRoot).length) {
+        throw new Error(`${dir} already exists and was not made by the vendor command`);
+    }
+    if (record && !record.output && output) {
+        throw new Error(`package.json already points into ${dir}, run unvendor before writing ${output}`);
+    }
+
+    const manifestPath = path.join(projectRoot, 'package.json');
+    const pkg = readManifest(manifestPath);
+    const declared = declaredDependencies(projectRoot, pkg, record);
+    const staging = stagingPath(vendorRoot);
+    // Source of each vendored package, by name, so that a package met twice is copied once
+    const vendored = new Map();
+
+    // Where a package goes in the vendor directory, staged or final
+    const placeOf = ({ name, src, type }, root) => {
+        const dirPath = path.join(root, ...name.split('/'));
+        return type === 'tarball' ? path.join(dirPath, path.basename(src)) : dirPath;
+    };
+
+    const vendorPackage = (dependency, chain) => {
+        const { name, src, type } = dependency;
+        const label = describeChain(chain);
+        if (isInside(src, vendorRoot)) {
+            throw new Error(`${label} points into ${dir} without a record of the original spec`);
+        }
+        const known = vendored.get(name);
+        if (known) {
+            if (known.src !== src) {
+                throw new Error(`Two local packages named ${name} come from different sources: ${known.src} and ${src}`);
+            }
+            return;
+        }
+        vendored.set(name, { name, src, path: relativeSpecPath(projectRoot, placeOf(dependency, vendorRoot)) });
+
+        const own = packageOptions(options, config, name);
+        const target = placeOf(dependency, staging);
+        if (type === 'tarball') {
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.copyFileSync(src, target);
+        } else if (own.mode === 'pack') {
+            logger.info('pack', `[PACK] Running npm pack in ${src}`, { package: label, source: src });
+            extractPacked(packPackage(src), target);
+        } else {
+            const onWarning = message => logger.warn('warning', `[WARN] ${label}: ${message}`, { package: label });
+            const { strategy } = copyPackageSync(src, target, {
+                include: own.include,
+                ignore: own.ignore,
+                symlinks: own.symlinks,
+                strategy: own.copyStrategy,
+                onWarning,
+            });
+            if (strategy === 'hardlink') {
+                logger.warn('warning', `[WARN] ${label}: files are hard links to the source, editing them in ${dir} edits the source`, {
+                    package: label,
+                    strategy,
+                });
+            }
+        }
+        logger.info('vendor', `[VENDOR] ${label}: copied from ${src} to ${vendored.get(name).path}`, {
+            package: label,
+            source: src,
+            destination: placeOf(dependency, vendorRoot),
+        });
+
+        // The nested specs now point at the other vendored packages
+        const nested = findNestedDependencies({ src, dest: target, type }, own.dev);
+        if (!nested.length) return;
+        const manifest = readManifest(path.join(target, 'package.json'));
+        nested.forEach(child => {
+            const childChain = [...chain, child];
+            if (!isPackageSelected(config, child.name)) {
+                logger.info('skip', `[SKIP] ${describeChain(childChain)} is excluded by the configuration`, {
+                    package: describeChain(childChain),
+                });
+                return;
+            }
+            vendorPackage(child, childChain);
+            const spec = formatLocalSpec({ ...child, src: relativeSpecPath(placeOf(dependency, vendorRoot), placeOf(child, vendorRoot)) });
+            DEPENDENCY_CATEGORIES.forEach(category => {
+                if (manifest[category] && manifest[category][child.name] === child.spec) manifest[category][child.name] = spec;
+            });
+        });
+        writeManifest(path.join(target, 'package.json'), manifest);
+    };
+
+    const specs = [];
+    try {
+        fs.mkdirSync(staging, { recursive: true });
+        declared.forEach(dependency => {
+            const { name, category, spec } = dependency;
+            if (!isPackageSelected(config, name)) {
+                logger.info('skip', `[SKIP] ${name} is excluded by the configuration`, { package: name });
+                return;
+            }
+            vendorPackage(dependency, [dependency]);
+            const vendoredSpec = formatLocalSpec({ ...dependency, src: relativeSpecPath(projectRoot, placeOf(dependency, vendorRoot)) });
+            specs.push({ category, name, original: spec, vendored: vendoredSpec });
+        });
+        fs.writeFileSync(path.join(staging, VENDOR_RECORD), `${JSON.stringify({ output: output || null, specs }, null, 2)}\n`);
+        swapIntoPlace(staging, vendorRoot);
+    } finally {
+        fs.rmSync(staging, { recursive: true, force: true });
+    }
+
+    if (record && record.output && record.output !== output) {
+        fs.rmSync(path.resolve(projectRoot, record.output), { force: true });
+    }
+    const written = output ? path.resolve(projectRoot, output) : manifestPath;
+    specs.forEach(({ category, name, vendored: spec }) => {
+        pkg[category][name] = spec;
+    });
+    writeManifest(written, pkg);
+    logger.info('rewrite', `[REWRITE] ${relativeSpecPath(projectRoot, written)}: ${specs.length} specs point into ${dir}`, {
+        path: written,
+        specs,
+    });
+
+    return { vendored: [...vendored.values()], manifest: written };
+}
+
+/**
+ * Undo vendorLocalDependencies: put back the specs it replaced in package.json, or remove the
+ * package.json it wrote elsewhere, and remove the vendor directory. A spec edited since it was
+ * vendored is left as it is; while one of them still points into the vendor directory, the
+ * directory is kept, with a record of those specs only.
+ * @param {Object} options
+ * @param {string} [options.dir='vendor'] - Vendor directory, relative to the project.
+ * @param {boolean} [options.silent=false] - Suppress console output.
+ * @param {string} [options.logLevel='info'] - As for unlinkLocalDependencies, and so are logFormat, logger and onEvent.
+ * @returns {{ restored: string[], skipped: string[] }} Names of the dependencies whose spec was put
+ *   back, and of the ones edited since.
+ * @throws {Error} When the directory holds no vendored dependencies.
+ */
+function unvendorLocalDependencies({
+    dir = DEFAULT_VENDOR_DIR,
+    silent = false,
+    logLevel,
+    logFormat,
+    logger: loggerOutput,
+    onEvent,
+} = {}) {
+    const logger = loggerFromOptions({ silent, logLevel, logFormat, logger: loggerOutput, onEvent });
+    const projectRoot = process.cwd();
+    const { vendorRoot, record } = openVendorDir(projectRoot, dir);
+    if (!record) throw new Error(`No vendored dependencies in ${dir}`);
+
+    const result = { restored: [], skipped: [] };
+    const kept = [];
+    if (record.output) {
+        fs.rmSync(path.resolve(projectRoot, record.output), { force: true });
+        logger.info('unvendor', `[UNVENDOR] Removed ${record.output}`, { path: path.resolve(projectRoot, record.output) });
+    } else {
+        const manifestPath = path.join(projectRoot, 'package.json');
+        const pkg = readManifest(manifestPath);
+        record.specs.forEach(spec => {
+            const { category, name, original, vendored } = spec;
+            const current = pkg[category] && pkg[category][name];
+            if (current !== vendored) {
+                logger.warn('warning', `[WARN] ${name} was changed since it was vendored, leaving it`, { package: name });
+                result.skipped.push(name);
+                const local = typeof current === 'string' && parseLocalSpec(current, projectRoot);
+                if (local && isInside(local.src, vendorRoot)) kept.push(spec);
+                return;
+            }
+            pkg[category][name] = original;
+            logger.info('unvendor', `[UNVENDOR] ${name}: restored ${original}`, { package: name, spec: original });
+            result.restored.push(name);
+        });
+        writeManifest(manifestPath, pkg);
+    }
+
+    if (kept.length) {
+        const names = kept.map(({ name }) => name);
+        fs.writeFileSync(path.join(vendorRoot, VENDOR_RECORD), `${JSON.stringify({ ...record, specs: kept }, null, 2)}\n`);
+        logger.warn('warning', `[WARN] Keeping ${dir}, the specs of ${names.join(', ')} still point into it`, { path: vendorRoot, packages: names });
+    } else {
+        fs.rmSync(vendorRoot, { recursive: true, force: true });
+    }
+    return result;
+}
+
+module.exports = { vendorLocalDependencies, unvendorLocalDependencies, DEFAULT_VENDOR_DIR };
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const { collectProjectDependencies } = require('./dependencies');
+const { loadConfig, mergeOptions, packageOptions, isPackageSelected } = require('./config');
+const { readCopyRecord, recordedOptions } = require('./manifest');
+const { packList } = require('./packlist');
+const { findNestedDependencies } = require('./copy');
+const { parseRange, satisfies } = require('./semver');
+
+const isInside = (file, dir) => file === dir || file.startsWith(`${dir}${path.sep}`);
+
+function readManifest(dir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Tells whether a `main` entry resolves the way require does: as a file, with an extension,
+ * or as a directory with an index.
+ */
+function resolvesMain(dir, main) {
+    const base = path.join(dir, main);
+    const candidates = ['', '.js', '.json', '.node'].map(extension => `${base}${extension}`);
+    candidates.push(...['index.js', 'index.json', 'index.node'].map(index => path.join(base, index)));
+    return candidates.some(file => fs.existsSync(file) && fs.statSync(file).isFile());
+}
+
+/**
+ * Lists the files an `exports` field points to, under every condition. Patterns and null
+ * targets are left out, since they do not name one file.
+ * @returns {string[]}
+ */
+function exportTargets(exports) {
+    if (typeof exports === 'string') return exports.includes('*') ? [] : [exports];
+    if (Array.isArray(exports)) return exports.flatMap(exportTargets);
+    if (exports && typeof exports === 'object') return Object.values(exports).flatMap(exportTargets);
+    return [];
+}
+
+function sameContent(a, b) {
+    const [first, second] = [fs.statSync(a), fs.statSync(b)];
+    // Preserved links to directories are listed like files
+    if (first.isDirectory() || second.isDirectory()) return first.isDirectory() && second.isDirectory();
+    return first.size === second.size && fs.readFileSync(a).equals(fs.readFileSync(b));
+}
+
+/**
+ * Checks the name and version of a copy against its dependency key, its source and the
+ * range the host requires as a peer.
+ */
+function checkManifest(dependency, pkg, hostPeers, problems) {
+    const expected = dependency.alias || dependency.name;
+    if (pkg.name !== expected) {
+        problems.push({ type: 'name', message: `package.json names it ${pkg.name}, expected ${expected}` });
+    }
+
+    const source = dependency.type === 'tarball' ? null : readManifest(dependency.src);
+    if (source && source.version !== pkg.version) {
+        problems.push({ type: 'version', message: `version ${pkg.version} differs from ${source.version} in the source` });
+    }
+    const range = hostPeers[dependency.name];
+    if (range && parseRange(range) && !satisfies(pkg.version, range)) {
+        problems.push({ type: 'version', message: `version ${pkg.version} does not satisfy ${range} required by the host` });
+    }
+}
+
+/**
+ * Checks that the entry points of a copy exist.
+ */
+function checkEntries({ dest }, pkg, problems) {
+    if (typeof pkg.main === 'string' && !resolvesMain(dest, pkg.main)) {
+        problems.push({ type: 'entry', file: pkg.main, message: `${pkg.main} (main) is missing` });
+    }
+    exportTargets(pkg.exports)
+        .filter(target => !fs.existsSync(path.join(dest, target)))
+        .forEach(target => problems.push({ type: 'entry', file: target, message: `${target} (exports) is missing` }));
+}
+
+/**
+ * Compares the files of a copy with those its source publishes, with the options it was
+ * copied with. package.json is checked by checkManifest, since copies pin their nested specs.
+ * Packed copies hold build output, so only the files they share with the source are compared.
+ */
+function checkFiles({ src, dest, type }, options, problems) {
+    const add = (file, message) => problems.push({ type: 'file', file, message: `${file} ${message}` });
+    const copied = packList(dest, { include: options.include, ignore: options.ignore });
+
+    copied.forEach(file => {
+        const filePath = path.join(dest, file);
+        if (!fs.lstatSync(filePath).isSymbolicLink()) return;
+        let target;
+        try {
+            target = fs.realpathSync(filePath);
+        } catch {
+            add(file, 'is a broken symlink');
+            return;
+        }
+        if (!isInside(target, dest)) add(file, `is a symlink to ${target}, outside the copy`);
+    });
+    if (type === 'tarball') return;
+
+    const published = packList(src, { include: options.include, ignore: options.ignore, symlinks: options.symlinks });
+    const packed = options.mode === 'pack';
+    published
+        .filter(file => file !== 'package.json')
+        .forEach(file => {
+            if (!copied.includes(file)) {
+                if (!packed) add(file, 'is missing from the copy');
+            } else if (!sameContent(path.join(src, file), path.join(dest, file))) {
+                add(file, 'differs from the source');
+            }
+        });
+    if (!packed) copied.filter(file => !published.includes(file)).forEach(file => add(file, 'is not in the source'));
+}
+
+/**
+ * Verify that the local dependencies in node_modules are sound copies of their sources: each
+ * one is a directory rather than a symlink, named after its dependency key, at the version of
+ * its source and within the range the host requires as a peer, with its `main` and `exports`
+ * files present and the same files as its source. Nested local dependencies are verified too,
+ * unless the configuration turns recursion off. Nothing is changed.
+ * @param {Object} options
+ * @param {string[]} [options.packages=[]] - Names of the dependencies to verify. Defaults to every one.
+ * @param {boolean} [options.workspaces=false] - If true, also verify the local dependencies of every npm workspace.
+ * @param {boolean} [options.materializeWorkspaces=false] - If true, with workspaces, also verify the workspace
+ *   packages, which are symlinks otherwise.
+ * @param {boolean} [options.scan=false] - If true, also verify the copies made from the links a scan found.
+ *   Each of these is also on when the project configuration sets it.
+ * @returns {{ ok: boolean, dependencies: Array<{ name: string, parent: string|null, workspace?: string,
+ *   destination: string, problems: Array<{ type: string, message: string, file?: string }> }> }} One entry per
+ *   dependency verified, nested ones included, and `ok` false when any has a problem.
+ * @throws {Error} When a package given is not a local dependency of the project.
+ */
+function verifyLocalDependencies({ packages = [], ...runOptions } = {}) {
+    const projectRoot = process.cwd();
+    const { config } = loadConfig(projectRoot);
+    const options = mergeOptions(runOptions, config);
+    const all = collectProjectDependencies(projectRoot, {
+        workspaces: options.workspaces,
+        materializeWorkspaces: options.materializeWorkspaces,
+        scan: options.scan,
+        scanPaths: options.scanPaths,
+    });
+    const unknown = packages.filter(name => !all.some(dependency => dependency.name === name));
+    if (unknown.length) {
+        throw new Error(`Not a local dependency of this project: ${unknown.join(', ')}`);
+    }
+
+    const results = [];
+    const verify = (dependency, chain, hostPeers) => {
+        const { name, dest } = dependency;
+        const problems = [];
+        results.push({
+            name,
+            parent: chain.length ? chain.map(ancestor => ancestor.name).join(' > ') : null,
+            ...(dependency.workspace ? { workspace: dependency.workspace } : {}),
+            destination: path.relative(projectRoot, dest).split(path.sep).join('/'),
+            problems,
+        });
+
+        const stat = fs.lstatSync(dest, { throwIfNoEntry: false });
+        if (!stat) {
+            problems.push({ type: 'missing', message: 'not found in node_modules' });
+            return;
+        }
+        if (stat.isSymbolicLink()) {
+            problems.push({ type: 'symlink', message: `still a symlink to ${fs.readlinkSync(dest)}` });
+            return;
+        }
+        const pkg = readManifest(dest);
+        if (!pkg) {
+            problems.push({ type: 'missing', message: 'has no readable package.json' });
+            return;
+        }
+
+        // Copies made by this tool are compared with the options they were made with
+        const own = packageOptions(options, config, name);
+        const record = readCopyRecord(dependency);
+        checkManifest(dependency, pkg, hostPeers, problems);
+        checkEntries(dependency, pkg, problems);
+        checkFiles(dependency, record ? { ...own, ...recordedOptions(record) } : own, problems);
+
+        if (!options.recursive) return;
+        const ancestors = [...chain, dependency];
+        findNestedDependencies(dependency, own.dev)
+            // A cycle resolves to the copy higher up the tree
+            .filter(child => !ancestors.some(ancestor => ancestor.src === child.src))
+            .filter(child => isPackageSelected(config, child.name))
+            .forEach(child => verify(child, ancestors, pkg.peerDependencies || {}));
+    };
+
+    all.filter(dependency => (!packages.length || packages.includes(dependency.name)) && isPackageSelected(config, dependency.name))
+        .forEach(dependency => {
+            const host = readManifest(dependency.workspace ? path.join(projectRoot, dependency.workspace) : projectRoot) || {};
+            verify(dependency, [], host.peerDependencies || {});
+        });
+
+    return { ok: results.every(({ problems }) => !problems.length), dependencies: results };
+}
+
+/**
+ * Renders the result of verifyLocalDependencies as text: one line per dependency, followed
+ * by its problems, and a summary.
+ * @param {{ dependencies: Array<Object> }} result
+ * @returns {string}
+ */
+function formatVerify({ dependencies }) {
+    if (!dependencies.length) return 'No local dependencies found.';
+
+    const failed = dependencies.filter(({ problems }) => problems.length);
+    const lines = dependencies.flatMap(({ name, parent, workspace, problems }) => {
+        const label = [parent, name].filter(Boolean).join(' > ') + (workspace ? ` (${workspace})` : '');
+        return [
+            `  ${problems.length ? 'failed' : 'ok    '}  ${label}`,
+            ...problems.map(({ type, message }) => `            ${type}: ${message}`),
+        ];
+    });
+    return [...lines, `Verified ${dependencies.length} local dependencies, ${failed.length} failed.`].join('\n');
+}
+
+module.exports = { verifyLocalDependencies, formatVerify };
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const { loggerFromOptions } = require('../utils/log');
+const { packList } = require('./packlist');
+const { createPlanEntry } = require('./plan');
+const { startReportEntry } = require('./report');
+const { readCopyRecord } = require('./manifest');
+const { checkCopy } = require('./status');
+const { runSync, updateCopy } = require('./pipeline');
+const { collectProjectDependencies } = require('./dependencies');
+const { loadConfig, isPackageSelected, packageOptions, mergeOptions } = require('./config');
+
+/**
+ * Lists the directories of a package that hold published files, the package itself included.
+ * @param {string} src - Package directory.
+ * @param {Object} listOptions - Options forwarded to packList.
+ * @returns {Set<string>} Directories relative to src, in POSIX form.
+ */
+function publishedDirectories(src, listOptions) {
+    const dirs = new Set(['.']);
+    packList(src, listOptions).forEach(file => {
+        for (let dir = path.posix.dirname(file); dir !== '.'; dir = path.posix.dirname(dir)) {
+            dirs.add(dir);
+        }
+    });
+    return dirs;
+}
+
+function formatChanges({ added, changed, removed }) {
+    return [
+        ...added.map(file => `+${file}`),
+        ...changed.map(file => `~${file}`),
+        ...removed.map(file => `-${file}`),
+    ].join(' ');
+}
+
+/**
+ * Watches one local dependency and mirrors changes of its source into its copy.
+ * Only the directories holding published files are watched, so the source's own
+ * node_modules and .git are never traversed. Each sync goes through the same update
+ * as a run (see updateCopy): what changed is read from the record of the copy, nested
+ * specs are pinned again, and the record is rewritten, so that status, later runs and
+ * relink see an up-to-date copy.
+ * @param {Object} dependency
+ * @param {Object} options - Options of the run, with the settings for this package applied.
+ * @param {string} projectRoot
+ * @returns {{ close: () => void }}
+ */
+function watchDependency(dependency, options, projectRoot) {
+    const { name, src, dest } = dependency;
+    const { logger, debounce, include, ignore, symlinks } = options;
+    const watchers = new Map();
+    let timer = null;
+
+    function watchDirectories() {
+        const dirs = publishedDirectories(src, { include, ignore, symlinks });
+
+        watchers.forEach((watcher, dir) => {
+            if (!dirs.has(dir)) {
+                watcher.close();
+                watchers.delete(dir);
+            }
+        });
+        dirs.forEach(dir => {
+            if (watchers.has(dir)) return;
+            const watcher = fs.watch(path.join(src, dir), schedule);
+            // The directory may disappear before the next sync notices
+            watcher.on('error', () => {
+                watcher.close();
+                watchers.delete(dir);
+            });
+            watchers.set(dir, watcher);
+        });
+    }
+
+    function update() {
+        const check = checkCopy(dependency);
+        if (check.status === 'modified-in-place') {
+            logger.warn('warning', `[WARN] ${name} was modified in place, not syncing it (see the status command)`, {
+                package: name,
+                destination: dest,
+            });
+            return;
+        }
+        if (check.status !== 'stale') return;
+
+        const entry = startReportEntry(createPlanEntry(dependency, projectRoot, null));
+        if (!runSync(updateCopy(dependency, check, options, [dependency], entry))) return;
+        logger.info('sync', `[SYNC] ${name}: ${formatChanges(check.sourceChanges)}`, {
+            package: name,
+            source: src,
+            destination: dest,
+            ...check.sourceChanges,
+        });
+    }
+
+    function sync() {
+        timer = null;
+        try {
+            watchDirectories();
+            update();
+        } catch (error) {
+            logger.error('error', `[ERROR] Failed to sync ${name}: ${error.message}`, { package: name, error: error.message });
+        }
+    }
+
+    function schedule() {
+        clearTimeout(timer);
+        timer = setTimeout(sync, debounce);
+    }
+
+    // Brings the copy up to date with edits made before watching started
+    sync();
+    logger.info('watch', `[WATCH] ${name}: watching ${src}`, { package: name, source: src, destination: dest });
+
+    return {
+        close() {
+            clearTimeout(timer);
+            watchers.forEach(watcher => watcher.close());
+            watchers.clear();
+        }
+    };
+}
+
+/**
+ * Watch the sources of local dependencies and keep their copies in node_modules in sync.
+ * Dependencies that are still symlinks already reflect their sources and are not watched,
+ * and neither are copies this tool has no record of. The project configuration applies as
+ * for unlinkLocalDependencies.
+ * @param {Object} options
+ * @param {boolean} [options.silent=false] - Suppress console output.
+ * @param {string} [options.logLevel='info'] - As for unlinkLocalDependencies, and so are logFormat, logger and onEvent.
+ * @param {number} [options.debounce=100] - Milliseconds to wait for further changes before syncing.
+ * @param {string[]} [options.include=[]] - Extra globs to copy even when the package's publish rules exclude them.
+ * @param {string[]} [options.ignore=[]] - Extra globs to leave out of each copy.
+ * @param {'preserve'|'dereference'|'skip'} [options.symlinks='preserve'] - How symlinks inside a package are copied,
+ *   as for unlinkLocalDependencies.
+ * @param {'copy'|'reflink'|'hardlink'} [options.copyStrategy='copy'] - How files are copied, as for unlinkLocalDependencies.
+ * @param {boolean} [options.noInstall=false] - If true, do not reinstall a copy whose package.json changed.
+ * @param {boolean} [options.dev=false] - As for unlinkLocalDependencies, and so are recursive, mode, dedupe and packageManager.
+ * @param {boolean} [options.workspaces=false] - If true, also watch the local dependencies of every npm workspace.
+ * @param {boolean} [options.materializeWorkspaces=false] - If true, with workspaces, also watch the workspace packages.
+ * @param {string[]} [options.packages=[]] - Only watch the dependencies with these names.
+ * @param {string[]} [options.only=[]] - Only watch the dependencies whose name matches one of these globs.
+ * @param {string[]} [options.exclude=[]] - Leave out the dependencies whose name matches one of these globs.
+ * @returns {{ close: () => void }} Handle that stops all watchers.
+ * @throws {Error} When a package given is not a local dependency of the project.
+ */
+function watchLocalDependencies({
+    silent = false,
+    logLevel,
+    logFormat,
+    logger: output,
+    onEvent,
+    debounce = 100,
+    include = [],
+    ignore = [],
+    symlinks,
+    copyStrategy,
+    noInstall = false,
+    dev = false,
+    recursive = true,
+    mode,
+    dedupe = false,
+    packageManager,
+    workspaces = false,
+    materializeWorkspaces = false,
+    packages = [],
+    only = [],
+    exclude = [],
+} = {}) {
+    const logger = loggerFromOptions({ silent, logLevel, logFormat, logger: output, onEvent });
+    const handles = [];
+    const projectRoot = process.cwd();
+    const { config } = loadConfig(projectRoot);
+    const options = mergeOptions({
+        include,
+        ignore,
+        symlinks,
+        copyStrategy,
+        noInstall,
+        dev,
+        recursive,
+        mode,
+        dedupe,
+        packageManager,
+        workspaces,
+        materializeWorkspaces,
+    }, config);
+
+    const all = collectProjectDependencies(projectRoot, options);
+    const unknown = packages.filter(name => !all.some(dependency => dependency.name === name));
+    if (unknown.length) {
+        throw new Error(`Not a local dependency of this project: ${unknown.join(', ')}`);
+    }
+    // Same selection as the run before watching
+    const filters = {
+        includePackages: packages.length || only.length ? [...packages, ...only] : undefined,
+        excludePackages: exclude,
+    };
+
+    all.filter(dependency => isPackageSelected(filters, dependency.name)).forEach(dependency => {
+        const { name: pkgName, dest } = dependency;
+
+        if (!isPackageSelected(config, pkgName)) {
+            logger.info('skip', `[SKIP] ${pkgName} is excluded by the configuration`, { package: pkgName });
+            return;
+        }
+
+        if (!fs.existsSync(dest)) {
+            logger.warn('missing', `[WARN] ${pkgName} not found in node_modules`, { package: pkgName, destination: dest });
+            return;
+        }
+        if (fs.lstatSync(dest).isSymbolicLink()) {
+            logger.info('skip', `[SKIP] ${pkgName} is a symlink, changes are already visible`, { package: pkgName });
+            return;
+        }
+        if (dependency.type === 'tarball') {
+            logger.info('skip', `[SKIP] ${pkgName} comes from a tarball, there is no source to watch`, { package: pkgName });
+            return;
+        }
+
+        if (!readCopyRecord(dependency)) {
+            logger.info('skip', `[SKIP] ${pkgName} is a copy this tool has no record of`, { package: pkgName });
+            return;
+        }
+
+        handles.push(watchDependency(dependency, { ...packageOptions(options, config, pkgName), logger, debounce }, projectRoot));
+    });
+
+    return {
+        close() {
+            handles.forEach(handle => handle.close());
+        }
+    };
+}
+
+module.exports = { watchLocalDependencies };
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp, mayMatchInside } = require('./glob');
+
+/**
+ * Reads the workspace globs of a package.json, in either the array or the `{ packages }` form.
+ * @param {Object} pkg - Parsed package.json.
+ * @returns {string[]}
+ */
+function workspacePatterns(pkg) {
+    if (Array.isArray(pkg.workspaces)) return pkg.workspaces;
+    if (pkg.workspaces && Array.isArray(pkg.workspaces.packages)) return pkg.workspaces.packages;
+    return [];
+}
+
+/**
+ * Expands the `workspaces` globs of the package.json in root into workspace directories.
+ * Only directories holding a package.json count; `!` patterns exclude matches, and
+ * node_modules and dot-directories are never searched.
+ * @param {string} root - Monorepo root.
+ * @returns {Array<{ name: string|undefined, dir: string, relativePath: string }>}
+ */
+function findWorkspaces(root) {
+    const pkg = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+    const toGlob = pattern => path.posix.normalize(pattern.replace(/\\/g, '/')).replace(/^(\.\/|\/)+|\/+$/g, '');
+
+    const includes = [];
+    const excludes = [];
+    workspacePatterns(pkg).forEach(pattern => {
+        const negate = pattern.startsWith('!');
+        const glob = toGlob(negate ? pattern.slice(1) : pattern);
+        (negate ? excludes : includes).push({ glob, regex: globToRegExp(glob) });
+    });
+
+    const workspaces = [];
+
+    function walk(dirRel) {
+        fs.readdirSync(path.join(root, dirRel), { withFileTypes: true }).forEach(entry => {
+            if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.')) return;
+
+            const relPath = dirRel ? `${dirRel}/${entry.name}` : entry.name;
+            const dir = path.join(root, relPath);
+            const depth = relPath.split('/').length;
+
+            if (includes.some(({ regex }) => regex.test(relPath))
+                && !excludes.some(({ regex }) => regex.test(relPath))
+                && fs.existsSync(path.join(dir, 'package.json'))) {
+                const { name } = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+                workspaces.push({ name, dir, relativePath: relPath });
+            }
+
+            // Descend only while a glob still has segments left to match below this directory
+            const deeper = includes.some(({ glob }) => (glob.includes('**') || glob.split('/').length > depth)
+                && mayMatchInside(glob, relPath));
+            if (deeper) walk(relPath);
+        });
+    }
+
+    if (includes.length) walk('');
+    return workspaces.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+}
+
+module.exports = { findWorkspaces };
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseArgs, suggestFlag } = require('../utils/args');
+
+describe('parseArgs', () => {
+    const spec = {
+        'help': { type: 'boolean', short: 'h' },
+        'install': { type: 'boolean', negatable: true, default: true },
+        'dry-run': { type: 'boolean', default: false },
+        'mode': { type: 'string' },
+        'ignore': { type: 'string', multiple: true },
+    };
+
+    it('fills in defaults', () => {
+        assert.deepStrictEqual(parseArgs([], spec), {
+            command: null,
+            options: { help: undefined, install: true, dryRun: false, mode: undefined, ignore: [] },
+            positionals: [],
+        });
+    });
+
+    it('reads flags, values, negations and short aliases', () => {
+        const { options } = parseArgs(['-h', '--no-install', '--dry-run', '--mode', 'pack', '--ignore=*.map', '--ignore', 'docs/'], spec);
+
+        assert.deepStrictEqual(options, { help: true, install: false, dryRun: true, mode: 'pack', ignore: ['*.map', 'docs/'] });
+    });
+
+    it('separates the command from the positionals', () => {
+        assert.deepStrictEqual(parseArgs(['relink', 'a', '--', '--b'], spec, ['relink', 'status']), {
+            command: 'relink',
+            options: { help: undefined, install: true, dryRun: false, mode: undefined, ignore: [] },
+            positionals: ['a', '--b'],
+        });
+        assert.strictEqual(parseArgs(['a', 'relink'], spec, ['relink']).command, null);
+    });
+
+    it('rejects unknown options, missing values and values for flags', () => {
+        assert.throws(() => parseArgs(['--dryrun'], spec), /^Error: Unknown option --dryrun, did you mean --dry-run\?$/);
+        assert.throws(() => parseArgs(['--colour'], spec), /^Error: Unknown option --colour$/);
+        assert.throws(() => parseArgs(['--mode', '--dry-run'], spec), /Option --mode requires a value/);
+        assert.throws(() => parseArgs(['--mode='], spec), /Option --mode requires a value/);
+        assert.throws(() => parseArgs(['--dry-run=true'], spec), /Option --dry-run does not take a value/);
+    });
+
+    it('only suggests flags close enough to be a typo', () => {
+        const known = ['--install', '--no-install', '--materialize-workspaces'];
+
+        assert.strictEqual(suggestFlag('--no-instal', known), '--no-install');
+        assert.strictEqual(suggestFlag('--materialise-workspace', known), '--materialize-workspaces');
+        assert.strictEqual(suggestFlag('--dev', known), undefined);
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { binEntries, linkBins } = require('../lib/bin');
+const { unlinkLocalDependencies } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile, captureConsole } = require('./helpers');
+
+describe('bin', { skip: process.platform === 'win32' }, () => {
+    let root;
+    let projectRoot;
+    let messages;
+
+    const modules = (...names) => path.join(projectRoot, 'node_modules', ...names);
+    const isExecutable = file => (fs.statSync(file).mode & 0o111) === 0o111;
+
+    const write = (file, content) => writeFile(path.join(root, file), content);
+
+    beforeEach(() => {
+        root = makeTempRoot('bin');
+        projectRoot = path.join(root, 'app');
+        fs.mkdirSync(modules('.bin'), { recursive: true });
+
+        messages = captureConsole();
+        mock.method(process, 'cwd', () => projectRoot);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    it('reads the bin field as npm does', () => {
+        assert.deepStrictEqual(binEntries({ name: '@acme/tool', bin: './bin/tool.js' }), [{ name: 'tool', file: 'bin/tool.js' }]);
+        assert.deepStrictEqual(binEntries({ name: 'x', bin: { 'a': 'a.js', '../b': 'b.js', '.hidden': 'c.js', 'd': '../d.js', 'e': '/e.js' } }), [
+            { name: 'a', file: 'a.js' },
+            { name: 'b', file: 'b.js' },
+        ]);
+        assert.deepStrictEqual(binEntries({ name: 'x' }), []);
+    });
+
+    it('links the commands of a copy and removes its stale links', () => {
+        const src = path.join(root, 'a');
+        write('app/node_modules/a/package.json', { name: 'a', bin: { cli: 'bin/cli.js', tool: 'tool.js', gone: 'gone.js' } });
+        write('app/node_modules/a/bin/cli.js', '#!/usr/bin/env node');
+        write('app/node_modules/a/tool.js', '');
+        fs.mkdirSync(src);
+        const link = (command, target) => fs.symlinkSync(target, modules('.bin', command));
+        // Linked straight into the source, through the old symlink, and to other packages
+        link('cli', path.join(src, 'bin/cli.js'));
+        link('old', '../a/old.js');
+        link('tool', '../b/tool.js');
+        link('other', '../b/other.js');
+
+        const result = linkBins({ name: 'a', src, dest: modules('a') });
+
+        assert.deepStrictEqual(result, {
+            linked: ['cli'],
+            removed: ['old'],
+            warnings: [
+                'bin tool is already linked to another package, leaving it',
+                'bin gone points to gone.js, which is not in the copy',
+            ],
+        });
+        assert.strictEqual(fs.readlinkSync(modules('.bin', 'cli')), '../a/bin/cli.js');
+        assert.ok(isExecutable(modules('a', 'bin/cli.js')));
+        assert.deepStrictEqual(fs.readdirSync(modules('.bin')).sort(), ['cli', 'other', 'tool']);
+    });
+
+    it('makes a hard linked command executable without changing its source', () => {
+        const src = path.join(root, 'a');
+        write('a/package.json', { name: 'a', bin: 'cli.js' });
+        write('a/cli.js', '#!/usr/bin/env node');
+        fs.chmodSync(path.join(src, 'cli.js'), 0o644);
+        fs.mkdirSync(modules('a'));
+        ['package.json', 'cli.js'].forEach(file => fs.linkSync(path.join(src, file), modules('a', file)));
+
+        assert.deepStrictEqual(linkBins({ name: 'a', src, dest: modules('a') }).linked, ['a']);
+
+        assert.ok(isExecutable(modules('a', 'cli.js')));
+        assert.strictEqual(fs.statSync(path.join(src, 'cli.js')).mode & 0o777, 0o644);
+        assert.strictEqual(fs.readFileSync(modules('a', 'cli.js'), 'utf8'), '#!/usr/bin/env node');
+    });
+
+    it('links the commands of each copy after a run', () => {
+        write('app/package.json', { dependencies: { '@acme/tool': 'file:../tool' } });
+        write('tool/package.json', { name: '@acme/tool', bin: 'cli.js' });
+        write('tool/cli.js', '#!/usr/bin/env node');
+        fs.mkdirSync(modules('@acme'));
+        fs.symlinkSync('../../../tool', modules('@acme', 'tool'), 'junction');
+        fs.symlinkSync('../@acme/tool/cli.js', modules('.bin', 'tool'));
+
+        unlinkLocalDependencies({ noInstall: true });
+
+        // The link now leads to the copy, so moving the source does not break it
+        fs.renameSync(path.join(root, 'tool'), path.join(root, 'moved'));
+        assert.strictEqual(fs.realpathSync(modules('.bin', 'tool')), modules('@acme', 'tool', 'cli.js'));
+        assert.ok(isExecutable(modules('.bin', 'tool')));
+        assert.ok(messages.includes('[BIN] @acme/tool: linked tool'));
+    });
+});
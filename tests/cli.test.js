@@ -2,8 +2,39 @@ const { describe, it, beforeEach, afterEach, mock } = require('node:test');
 const assert = require('node:assert');
 const path = require('path');
 
+// What the CLI passes to resolveLocalDependencies without flags
+const DEFAULTS = {
+    silent: false,
+    logLevel: 'info',
+    logFormat: 'text',
+    noInstall: false,
+    dev: false,
+    include: [],
+    ignore: [],
+    recursive: true,
+    workspaces: false,
+    materializeWorkspaces: false,
+    scan: false,
+    scanPaths: [],
+    mode: undefined,
+    symlinks: undefined,
+    copyStrategy: undefined,
+    dedupe: false,
+    packageManager: undefined,
+    packages: [],
+    only: [],
+    exclude: [],
+    strict: false,
+    allowNested: false,
+    lockTimeout: undefined,
+    lockfile: undefined,
+    installLinks: false,
+    concurrency: undefined,
+};
+
 describe('cli', () => {
     let originalArgv;
+    let originalCI;
     let lib;
     let logUtil;
 
@@ -13,23 +44,45 @@ describe('cli', () => {
         require(cliPath);
     }
 
+    // Resolves once the promise returned by resolveLocalDependencies has settled
     function runCliWithArgs(args) {
         process.argv = ['node', 'cli', ...args];
         loadFreshCli();
+        return new Promise(resolve => setImmediate(resolve));
     }
 
     beforeEach(() => {
         originalArgv = process.argv;
+        originalCI = process.env.CI;
+        delete process.env.CI;
         lib = require('../lib/index');
         logUtil = require('../utils/log');
 
         mock.method(lib, 'unlinkLocalDependencies');
+        mock.method(lib, 'resolveLocalDependencies', async () => ({ dryRun: false, ok: true, dependencies: [] }));
+        mock.method(lib, 'watchLocalDependencies', () => ({ close: mock.fn() }));
+        mock.method(lib, 'relinkLocalDependencies', () => ({ relinked: [], refused: [], missing: [] }));
+        mock.method(lib, 'vendorLocalDependencies', () => ({ vendored: [], manifest: path.resolve('package.json') }));
+        mock.method(lib, 'unvendorLocalDependencies', () => ({ restored: ['a'], skipped: [] }));
+        mock.method(lib, 'statusLocalDependencies', () => [{
+            name: 'a',
+            status: 'stale',
+            modifications: [],
+            sourceChanges: { added: [], changed: ['index.js'], removed: [] }
+        }]);
+        mock.method(lib, 'verifyLocalDependencies', () => ({
+            ok: false,
+            dependencies: [{ name: 'a', parent: null, destination: 'node_modules/a', problems: [{ type: 'symlink', message: 'still a symlink to ../a' }] }],
+        }));
+        mock.method(lib, 'restoreLockfile', () => ({ restored: ['a'] }));
         mock.method(logUtil, 'log', () => {});
         mock.method(process, 'exit', () => {}); // prevent actual exit
     });
 
     afterEach(() => {
         process.argv = originalArgv;
+        if (originalCI === undefined) delete process.env.CI;
+        else process.env.CI = originalCI;
         mock.restoreAll();
         const cliPath = path.resolve(__dirname, '../bin/cli.js');
         delete require.cache[cliPath];
@@ -44,13 +97,12 @@ describe('cli', () => {
         assert.ok(usageCall.includes('--dev'), 'dev flag missing');
     }
 
-    it('invokes unlinkLocalDependencies (no flags)', () => {
-        runCliWithArgs([]);
+    it('invokes resolveLocalDependencies (no flags)', async () => {
+        await runCliWithArgs([]);
 
-        assert.strictEqual(lib.unlinkLocalDependencies.mock.callCount(), 1, 'unlink not called');
-        const arg = lib.unlinkLocalDependencies.mock.calls[0].arguments[0];
-        // Defaults: silently=false, install=false, dev=false
-        assert.deepStrictEqual(arg, { silently: false, install: false, dev: false });
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 1, 'unlink not called');
+        const arg = lib.resolveLocalDependencies.mock.calls[0].arguments[0];
+        assert.deepStrictEqual(arg, DEFAULTS);
 
         assert.strictEqual(process.exit.mock.callCount(), 1, 'exit not called');
         assert.strictEqual(process.exit.mock.calls[0].arguments[0], 0, 'exit code not 0');
@@ -59,53 +111,499 @@ describe('cli', () => {
         assert.ok(msgs.includes('Local dependencies unlinked successfully.'), 'success message missing');
     });
 
-    it('passes silently true with --silent', () => {
-        runCliWithArgs(['--silent']);
+    it('passes silent true with --silent', async () => {
+        await runCliWithArgs(['--silent']);
 
-        assert.strictEqual(lib.unlinkLocalDependencies.mock.callCount(), 1);
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 1);
         assert.deepStrictEqual(
-            lib.unlinkLocalDependencies.mock.calls[0].arguments[0],
-            { silently: true, install: false, dev: false }
+            lib.resolveLocalDependencies.mock.calls[0].arguments[0],
+            { ...DEFAULTS, silent: true }
         );
         assert.strictEqual(process.exit.mock.calls[0].arguments[0], 0);
     });
 
-    it('sets no install flag true with --no-install', () => {
-        runCliWithArgs(['--no-install']);
+    it('sets the log level with --verbose and --quiet', async () => {
+        await runCliWithArgs(['--verbose']);
+        await runCliWithArgs(['-q']);
+        await runCliWithArgs(['--quiet', '--verbose']);
+
+        assert.deepStrictEqual(lib.resolveLocalDependencies.mock.calls.map(c => c.arguments[0].logLevel), ['debug', 'warn']);
+        // The success message is info, so --quiet hides it
+        const msgs = logUtil.log.mock.calls.map(c => c.arguments[0]);
+        assert.strictEqual(msgs.filter(m => m === 'Local dependencies unlinked successfully.').length, 1);
+        assert.ok(msgs.at(-1).startsWith('--quiet and --verbose cannot be used together'));
+        assert.deepStrictEqual(process.exit.mock.calls.map(c => c.arguments[0]), [0, 0, 1]);
+    });
+
+    it('prints its own messages as JSON events with --log-format=json', async () => {
+        await runCliWithArgs(['--log-format=json']);
+
+        assert.strictEqual(lib.resolveLocalDependencies.mock.calls[0].arguments[0].logFormat, 'json');
+        const events = logUtil.log.mock.calls.map(c => {
+            assert.strictEqual(c.arguments[1], 'log');
+            return JSON.parse(c.arguments[0]);
+        });
+        assert.deepStrictEqual(events.map(({ type, level }) => [type, level]), [['report', 'info'], ['result', 'info']]);
+        assert.deepStrictEqual(events[0].dependencies, []);
+        assert.strictEqual(events[1].message, 'Local dependencies unlinked successfully.');
+        assert.strictEqual(events[1].ok, true);
+    });
+
+    it('rejects an unknown --log-format', async () => {
+        await runCliWithArgs(['--log-format', 'xml']);
+
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 0);
+        assert.ok(logUtil.log.mock.calls[0].arguments[0].startsWith('Invalid --log-format "xml", expected one of: text, json'));
+        assert.strictEqual(process.exit.mock.calls[0].arguments[0], 1);
+    });
+
+    it('sets noInstall true with --no-install', async () => {
+        await runCliWithArgs(['--no-install']);
+
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 1);
+        assert.deepStrictEqual(
+            lib.resolveLocalDependencies.mock.calls[0].arguments[0],
+            { ...DEFAULTS, noInstall: true }
+        );
+    });
+
+    it('sets dev flag true with --dev', async () => {
+        await runCliWithArgs(['--dev']);
 
-        assert.strictEqual(lib.unlinkLocalDependencies.mock.callCount(), 1);
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 1);
         assert.deepStrictEqual(
-            lib.unlinkLocalDependencies.mock.calls[0].arguments[0],
-            { silently: false, install: true, dev: false }
+            lib.resolveLocalDependencies.mock.calls[0].arguments[0],
+            { ...DEFAULTS, dev: true }
         );
     });
 
-    it('sets dev flag true with --dev', () => {
-        runCliWithArgs(['--dev']);
+    it('combines multiple flags', async () => {
+        await runCliWithArgs(['--silent', '--no-install', '--dev']);
+
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 1);
+        assert.deepStrictEqual(
+            lib.resolveLocalDependencies.mock.calls[0].arguments[0],
+            { ...DEFAULTS, silent: true, noInstall: true, dev: true }
+        );
+    });
+
+    it('collects repeatable --include and --ignore globs', async () => {
+        await runCliWithArgs(['--include', 'dist/**', '--ignore=*.map', '--ignore', 'docs/']);
+
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 1);
+        assert.deepStrictEqual(
+            lib.resolveLocalDependencies.mock.calls[0].arguments[0],
+            { ...DEFAULTS, include: ['dist/**'], ignore: ['*.map', 'docs/'] }
+        );
+    });
+
+    it('sets recursive false with --no-recursive', async () => {
+        await runCliWithArgs(['--no-recursive']);
+
+        assert.strictEqual(lib.resolveLocalDependencies.mock.calls[0].arguments[0].recursive, false);
+    });
+
+    it('passes workspace flags', async () => {
+        await runCliWithArgs(['--workspaces', '--materialize-workspaces']);
+
+        const arg = lib.resolveLocalDependencies.mock.calls[0].arguments[0];
+        assert.strictEqual(arg.workspaces, true);
+        assert.strictEqual(arg.materializeWorkspaces, true);
+    });
+
+    it('passes the package manager given with --package-manager', async () => {
+        await runCliWithArgs(['--package-manager', 'pnpm']);
+
+        assert.strictEqual(lib.resolveLocalDependencies.mock.calls[0].arguments[0].packageManager, 'pnpm');
+    });
+
+    it('passes the mode given with --mode', async () => {
+        await runCliWithArgs(['--mode=pack']);
+        assert.strictEqual(lib.resolveLocalDependencies.mock.calls[0].arguments[0].mode, 'pack');
+
+        await runCliWithArgs(['--mode', 'copy']);
+        assert.strictEqual(lib.resolveLocalDependencies.mock.calls[1].arguments[0].mode, 'copy');
+    });
+
+    it('passes the symlink policy given with --symlinks', async () => {
+        await runCliWithArgs(['--symlinks', 'dereference']);
+
+        assert.strictEqual(lib.resolveLocalDependencies.mock.calls[0].arguments[0].symlinks, 'dereference');
+    });
+
+    it('passes the copy strategy given with --copy-strategy', async () => {
+        await runCliWithArgs(['--copy-strategy', 'reflink']);
+
+        assert.strictEqual(lib.resolveLocalDependencies.mock.calls[0].arguments[0].copyStrategy, 'reflink');
+    });
+
+    it('passes the concurrency given with --concurrency', async () => {
+        await runCliWithArgs(['--concurrency', '2']);
+
+        assert.strictEqual(lib.resolveLocalDependencies.mock.calls[0].arguments[0].concurrency, 2);
+    });
+
+    it('rejects a --concurrency that is not a number', async () => {
+        await runCliWithArgs(['--concurrency=many']);
+
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 0);
+        assert.ok(logUtil.log.mock.calls[0].arguments[0].startsWith('Invalid --concurrency "many", expected a positive integer'));
+        assert.strictEqual(process.exit.mock.calls[0].arguments[0], 1);
+    });
+
+    it('passes --allow-nested and the --lock-timeout in milliseconds', async () => {
+        await runCliWithArgs(['--allow-nested', '--lock-timeout', '1.5']);
+
+        const [options] = lib.resolveLocalDependencies.mock.calls[0].arguments;
+        assert.deepStrictEqual([options.allowNested, options.lockTimeout], [true, 1500]);
+
+        await runCliWithArgs(['--lock-timeout=-1']);
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 1);
+        assert.ok(logUtil.log.mock.calls.some(c => c.arguments[0].startsWith('Invalid --lock-timeout "-1", expected a number of seconds')));
+    });
+
+    it('passes --lockfile, and restores the lockfile without copying with --restore-lockfile', async () => {
+        await runCliWithArgs(['--lockfile', 'hidden']);
+        assert.strictEqual(lib.resolveLocalDependencies.mock.calls[0].arguments[0].lockfile, 'hidden');
+
+        await runCliWithArgs(['--restore-lockfile', 'a', '--workspaces']);
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 1, 'unlink should not run');
+        const { packages, workspaces, scan, lockTimeout } = lib.restoreLockfile.mock.calls[0].arguments[0];
+        assert.deepStrictEqual({ packages, workspaces, scan, lockTimeout }, { packages: ['a'], workspaces: true, scan: false, lockTimeout: undefined });
+        assert.ok(logUtil.log.mock.calls.some(c => c.arguments[0] === 'Restored the lockfile entries of 1 local dependencies.'));
+        assert.strictEqual(process.exit.mock.calls[1].arguments[0], 0);
+    });
+
+    it('exits quietly when the run was skipped for being nested', async () => {
+        lib.resolveLocalDependencies.mock.mockImplementation(async () => ({ dryRun: false, ok: true, nested: true, dependencies: [] }));
+        await runCliWithArgs([]);
+
+        assert.strictEqual(logUtil.log.mock.callCount(), 0);
+        assert.strictEqual(process.exit.mock.calls[0].arguments[0], 0);
+    });
+
+    it('passes package names, --only and --exclude as filters', async () => {
+        await runCliWithArgs(['a', '@scope/b', '--only', '@acme/*', '--exclude=@acme/legacy-*']);
+
+        assert.deepStrictEqual(lib.resolveLocalDependencies.mock.calls[0].arguments[0], {
+            ...DEFAULTS,
+            packages: ['a', '@scope/b'],
+            only: ['@acme/*'],
+            exclude: ['@acme/legacy-*'],
+        });
+    });
+
+    it('runs in the directory given with --cwd', async () => {
+        const chdir = mock.method(process, 'chdir', () => {});
+
+        await runCliWithArgs(['--cwd', __dirname]);
+        assert.deepStrictEqual(chdir.mock.calls[0].arguments, [__dirname]);
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 1);
+
+        await runCliWithArgs(['--cwd=does-not-exist']);
+        assert.strictEqual(chdir.mock.callCount(), 1);
+        assert.ok(logUtil.log.mock.calls.at(-1).arguments[0].startsWith(`--cwd: ${path.resolve('does-not-exist')} is not a directory`));
+        assert.strictEqual(process.exit.mock.calls.at(-1).arguments[0], 1);
+    });
+
+    it('rejects unknown options with a suggestion', async () => {
+        await runCliWithArgs(['--no-instal']);
+
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 0);
+        const [message, level, silent] = logUtil.log.mock.calls[0].arguments;
+        assert.strictEqual(message, 'Unknown option --no-instal, did you mean --no-install?\n'
+            + 'Run resolve-local-dependencies --help for the list of options.');
+        assert.deepStrictEqual([level, silent], ['error', false]);
+        assert.strictEqual(process.exit.mock.calls[0].arguments[0], 1);
+    });
+
+    it('rejects missing and unexpected option values', async () => {
+        await runCliWithArgs(['--mode']);
+        await runCliWithArgs(['--dev=yes']);
+        await runCliWithArgs(['status', 'a']);
+
+        const msgs = logUtil.log.mock.calls.map(c => c.arguments[0].split('\n')[0]);
+        assert.deepStrictEqual(msgs, [
+            'Option --mode requires a value',
+            'Option --dev does not take a value',
+            'Unexpected argument a for status',
+        ]);
+        assert.deepStrictEqual(process.exit.mock.calls.map(c => c.arguments[0]), [1, 1, 1]);
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 0);
+    });
+
+    it('prints the version with --version', async () => {
+        await runCliWithArgs(['--version', '--silent']);
+
+        assert.deepStrictEqual(logUtil.log.mock.calls[0].arguments, [require('../package.json').version, 'log', false]);
+        assert.strictEqual(process.exit.mock.calls[0].arguments[0], 0);
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 0);
+    });
+
+    describe('with a failed dependency', () => {
+        const report = {
+            dryRun: false,
+            ok: false,
+            dependencies: [{
+                name: 'a', parent: null, actions: ['replace'], files: 2, bytes: 1500, strategy: 'copy',
+                install: 'failed', error: 'npm install exited with code 1', durationMs: 1200
+            }]
+        };
+
+        beforeEach(() => {
+            lib.resolveLocalDependencies.mock.mockImplementation(async () => report);
+        });
+
+        it('prints the summary and exits with code 1 with --strict', async () => {
+            await runCliWithArgs(['--strict']);
 
-        assert.strictEqual(lib.unlinkLocalDependencies.mock.callCount(), 1);
+            const msgs = logUtil.log.mock.calls.map(c => c.arguments[0]);
+            assert.strictEqual(msgs[0], [
+                'Summary: 1 local dependencies, 1 failed.',
+                '  Package  Action   Files  Size    Strategy  Install  Time',
+                '  a        replace  2      1.5 kB  copy      failed   1.2 s',
+                'Failures:',
+                '  a: npm install exited with code 1',
+            ].join('\n'));
+            assert.ok(msgs.includes('Some local dependencies could not be unlinked.'));
+            assert.strictEqual(process.exit.mock.calls[0].arguments[0], 1);
+        });
+
+        it('is strict by default in CI', async () => {
+            process.env.CI = 'true';
+            await runCliWithArgs([]);
+            assert.strictEqual(process.exit.mock.calls[0].arguments[0], 1);
+
+            await runCliWithArgs(['--no-strict']);
+            assert.strictEqual(process.exit.mock.calls[1].arguments[0], 0);
+        });
+
+        it('exits with code 0 outside of CI', async () => {
+            await runCliWithArgs([]);
+
+            assert.ok(logUtil.log.mock.calls.some(c => c.arguments[1] === 'warn'));
+            assert.strictEqual(process.exit.mock.calls[0].arguments[0], 0);
+        });
+    });
+
+    it('keeps watching after unlinking with --watch', async () => {
+        const handlers = {};
+        mock.method(process, 'on', (event, handler) => {
+            handlers[event] = handler;
+            return process;
+        });
+
+        await runCliWithArgs(['--watch', '--ignore', '*.map', '--symlinks', 'dereference', '--copy-strategy', 'hardlink', '--exclude', 'b*', 'a', 'b']);
+
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 1);
+        assert.strictEqual(lib.watchLocalDependencies.mock.callCount(), 1);
         assert.deepStrictEqual(
-            lib.unlinkLocalDependencies.mock.calls[0].arguments[0],
-            { silently: false, install: false, dev: true }
+            lib.watchLocalDependencies.mock.calls[0].arguments[0],
+            {
+                silent: false,
+                logLevel: 'info',
+                logFormat: 'text',
+                include: [],
+                ignore: ['*.map'],
+                symlinks: 'dereference',
+                copyStrategy: 'hardlink',
+                noInstall: false,
+                dev: false,
+                recursive: true,
+                mode: undefined,
+                dedupe: false,
+                packageManager: undefined,
+                workspaces: false,
+                materializeWorkspaces: false,
+                packages: ['a', 'b'],
+                only: [],
+                exclude: ['b*'],
+            }
         );
+        assert.strictEqual(process.exit.mock.callCount(), 0, 'should not exit while watching');
+
+        handlers.SIGINT();
+        const watcher = lib.watchLocalDependencies.mock.calls[0].result;
+        assert.strictEqual(watcher.close.mock.callCount(), 1, 'watcher not closed on SIGINT');
+        assert.strictEqual(process.exit.mock.calls[0].arguments[0], 0);
+    });
+
+    it('prints the plan with --dry-run and as JSON with --json', async () => {
+        const plan = {
+            dryRun: true,
+            dependencies: [{
+                name: 'a', category: 'dependencies', spec: 'file:../a', source: '../a',
+                destination: 'node_modules/a', parent: null, actions: ['replace', 'install'], files: 3, bytes: 2048
+            }]
+        };
+        lib.unlinkLocalDependencies.mock.mockImplementation(() => plan);
+
+        await runCliWithArgs(['--dry-run', '--no-install']);
+
+        const arg = lib.unlinkLocalDependencies.mock.calls[0].arguments[0];
+        assert.strictEqual(arg.dryRun, true);
+        assert.strictEqual(arg.noInstall, true);
+        const text = logUtil.log.mock.calls[0].arguments[0];
+        assert.ok(text.includes('replace+install: a [dependencies] ../a -> node_modules/a, 3 files, 2.0 kB'), text);
+        assert.strictEqual(process.exit.mock.calls[0].arguments[0], 0);
+
+        await runCliWithArgs(['--dry-run', '--json', '--silent']);
+
+        const output = logUtil.log.mock.calls[1].arguments;
+        assert.deepStrictEqual(JSON.parse(output[0]), plan);
+        assert.strictEqual(output[2], false, 'plan should ignore silent flag');
+    });
+
+    it('prints the report of a run as JSON with --json, and rejects --json where there is no result', async () => {
+        const report = { dryRun: false, ok: true, dependencies: [{ name: 'a', actions: ['replace'] }] };
+        lib.resolveLocalDependencies.mock.mockImplementation(async () => report);
+
+        await runCliWithArgs(['--json', '--silent']);
+
+        assert.strictEqual(lib.resolveLocalDependencies.mock.calls[0].arguments[0].logLevel, 'warn');
+        assert.strictEqual(logUtil.log.mock.callCount(), 1);
+        const [output, , silently] = logUtil.log.mock.calls[0].arguments;
+        assert.deepStrictEqual(JSON.parse(output), report);
+        assert.strictEqual(silently, false, 'report should ignore silent flag');
+        assert.strictEqual(process.exit.mock.calls[0].arguments[0], 0);
+
+        await runCliWithArgs(['relink', '--json']);
+        await runCliWithArgs(['--json', '--watch']);
+        await runCliWithArgs(['--json', '--log-format=json']);
+
+        assert.strictEqual(lib.relinkLocalDependencies.mock.callCount(), 0);
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 1);
+        assert.deepStrictEqual(logUtil.log.mock.calls.slice(1).map(c => c.arguments[0].split('\n')[0]), [
+            '--json cannot be used with relink',
+            '--json cannot be used with --watch',
+            '--json and --log-format json cannot be used together, the report is the last event of the log',
+        ]);
+        assert.deepStrictEqual(process.exit.mock.calls.map(c => c.arguments[0]), [0, 1, 1, 1]);
+    });
+
+    it('logs to stderr with --json, so that stdout holds the report only', async () => {
+        const report = { dryRun: false, ok: true, dependencies: [] };
+        lib.resolveLocalDependencies.mock.mockImplementation(async ({ logger }) => {
+            logger.info('[REPLACE] a');
+            logger.debug('[DONE] a');
+            return report;
+        });
+
+        await runCliWithArgs(['--json', '--verbose']);
+
+        const { logLevel } = lib.resolveLocalDependencies.mock.calls[0].arguments[0];
+        assert.strictEqual(logLevel, 'debug');
+        const calls = logUtil.log.mock.calls.map(c => c.arguments);
+        const stdout = calls.filter(([, level]) => level === 'log').map(([line]) => line);
+        assert.deepStrictEqual(stdout.map(line => JSON.parse(line)), [report]);
+        assert.deepStrictEqual(calls.filter(([, level]) => level === 'error').map(([line]) => line), [
+            '[REPLACE] a',
+            '[DONE] a',
+            'Local dependencies unlinked successfully.',
+        ]);
     });
 
-    it('combines multiple flags', () => {
-        runCliWithArgs(['--silent', '--no-install', '--dev']);
+    it('runs vendor and unvendor with --dir and --output', async () => {
+        await runCliWithArgs(['vendor', '--dir', 'deps', '--output=docker/package.json', '--mode', 'pack']);
 
-        assert.strictEqual(lib.unlinkLocalDependencies.mock.callCount(), 1);
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 0, 'unlink should not run');
+        assert.deepStrictEqual(lib.vendorLocalDependencies.mock.calls[0].arguments[0], {
+            dir: 'deps',
+            output: 'docker/package.json',
+            silent: false,
+            logLevel: 'info',
+            logFormat: 'text',
+            dev: false,
+            include: [],
+            ignore: [],
+            mode: 'pack',
+            symlinks: undefined,
+            copyStrategy: undefined,
+        });
+        assert.ok(logUtil.log.mock.calls.some(c => c.arguments[0] === 'Vendored 0 local dependencies, see package.json.'));
+
+        await runCliWithArgs(['unvendor']);
+        assert.deepStrictEqual(lib.unvendorLocalDependencies.mock.calls[0].arguments[0], {
+            dir: undefined,
+            silent: false,
+            logLevel: 'info',
+            logFormat: 'text',
+        });
+
+        lib.unvendorLocalDependencies.mock.mockImplementation(() => ({ restored: [], skipped: ['a'] }));
+        await runCliWithArgs(['unvendor']);
+        await runCliWithArgs(['vendor', 'a']);
+        assert.ok(logUtil.log.mock.calls.at(-1).arguments[0].startsWith('Unexpected argument a for vendor'));
+        assert.deepStrictEqual(process.exit.mock.calls.map(c => c.arguments[0]), [0, 0, 1, 1]);
+    });
+
+    it('runs relink with the named packages and --force', async () => {
+        await runCliWithArgs(['relink', 'a', '@scope/b', '--force']);
+
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 0, 'unlink should not run');
         assert.deepStrictEqual(
-            lib.unlinkLocalDependencies.mock.calls[0].arguments[0],
-            { silently: true, install: true, dev: true }
+            lib.relinkLocalDependencies.mock.calls[0].arguments[0],
+            {
+                packages: ['a', '@scope/b'],
+                force: true,
+                silent: false,
+                logLevel: 'info',
+                logFormat: 'text',
+                workspaces: false,
+                scan: false,
+                lockTimeout: undefined,
+            }
         );
+        assert.strictEqual(process.exit.mock.calls[0].arguments[0], 0);
+    });
+
+    it('exits with code 1 when relink refuses a modified copy', async () => {
+        lib.relinkLocalDependencies.mock.mockImplementation(() => ({ relinked: [], refused: ['a'], missing: [] }));
+
+        await runCliWithArgs(['relink']);
+
+        assert.deepStrictEqual(lib.relinkLocalDependencies.mock.calls[0].arguments[0].packages, []);
+        assert.strictEqual(process.exit.mock.calls[0].arguments[0], 1);
+    });
+
+    it('prints the status report with status', async () => {
+        await runCliWithArgs(['status']);
+
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 0, 'unlink should not run');
+        assert.deepStrictEqual(lib.statusLocalDependencies.mock.calls[0].arguments[0], { workspaces: false, scan: false });
+        assert.strictEqual(logUtil.log.mock.calls[0].arguments[0], '  stale  a: ~index.js');
+        assert.strictEqual(process.exit.mock.calls[0].arguments[0], 0);
+
+        await runCliWithArgs(['status', '--json']);
+        assert.strictEqual(JSON.parse(logUtil.log.mock.calls[1].arguments[0])[0].status, 'stale');
+    });
+
+    it('verifies the copies with verify and exits with code 1 when one fails', async () => {
+        await runCliWithArgs(['verify', 'a']);
+
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 0, 'unlink should not run');
+        assert.deepStrictEqual(lib.verifyLocalDependencies.mock.calls[0].arguments[0], {
+            packages: ['a'], workspaces: false, materializeWorkspaces: false, scan: false,
+        });
+        assert.strictEqual(logUtil.log.mock.calls[0].arguments[0], [
+            '  failed  a',
+            '            symlink: still a symlink to ../a',
+            'Verified 1 local dependencies, 1 failed.',
+        ].join('\n'));
+        assert.strictEqual(process.exit.mock.calls[0].arguments[0], 1);
+
+        lib.verifyLocalDependencies.mock.mockImplementation(() => ({ ok: true, dependencies: [] }));
+        await runCliWithArgs(['verify', '--json']);
+        assert.deepStrictEqual(JSON.parse(logUtil.log.mock.calls[1].arguments[0]), { ok: true, dependencies: [] });
+        assert.strictEqual(process.exit.mock.calls[1].arguments[0], 0);
     });
 
-    it('handles error path and exits with code 1', () => {
-        lib.unlinkLocalDependencies.mock.mockImplementation(() => {
+    it('handles error path and exits with code 1', async () => {
+        lib.resolveLocalDependencies.mock.mockImplementation(async () => {
             throw new Error('Test error');
         });
 
-        runCliWithArgs([]);
+        await runCliWithArgs([]);
 
         assert.strictEqual(process.exit.mock.callCount(), 1);
         assert.strictEqual(process.exit.mock.calls[0].arguments[0], 1, 'exit code not 1');
@@ -114,28 +612,28 @@ describe('cli', () => {
         assert.ok(logArgs.includes('Error unlinking local dependencies: Test error'));
     });
 
-    it('prints usage and exits 0 with --help', () => {
-        runCliWithArgs(['--help']);
+    it('prints usage and exits 0 with --help', async () => {
+        await runCliWithArgs(['--help']);
 
-        assert.strictEqual(lib.unlinkLocalDependencies.mock.callCount(), 0, 'unlink should not run');
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 0, 'unlink should not run');
         assertUsageLogged();
         assert.strictEqual(process.exit.mock.callCount(), 1, 'exit not called');
         assert.strictEqual(process.exit.mock.calls[0].arguments[0], 0, 'exit code not 0');
     });
 
-    it('prints usage and exits 0 with -h', () => {
-        runCliWithArgs(['-h']);
+    it('prints usage and exits 0 with -h', async () => {
+        await runCliWithArgs(['-h']);
 
-        assert.strictEqual(lib.unlinkLocalDependencies.mock.callCount(), 0);
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 0);
         assertUsageLogged();
         assert.strictEqual(process.exit.mock.callCount(), 1);
         assert.strictEqual(process.exit.mock.calls[0].arguments[0], 0);
     });
 
-    it('prints usage even when combined with --silent', () => {
-        runCliWithArgs(['--help', '--silent']);
+    it('prints usage even when combined with --silent', async () => {
+        await runCliWithArgs(['--help', '--silent']);
 
-        assert.strictEqual(lib.unlinkLocalDependencies.mock.callCount(), 0);
+        assert.strictEqual(lib.resolveLocalDependencies.mock.callCount(), 0);
         assertUsageLogged();
         // usage logged with silently forced false
         const firstCall = logUtil.log.mock.calls[0].arguments;
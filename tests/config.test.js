@@ -0,0 +1,218 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, isPackageSelected, packageOptions, mergeOptions } = require('../lib/config');
+const { unlinkLocalDependencies } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile } = require('./helpers');
+
+describe('config', () => {
+    let root;
+
+    const write = (file, content) => writeFile(path.join(root, file), content);
+
+    beforeEach(() => {
+        root = makeTempRoot('config');
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    describe('loadConfig', () => {
+        it('returns an empty configuration when there is none', () => {
+            write('package.json', {});
+
+            assert.deepStrictEqual(loadConfig(root), { config: {}, source: null });
+        });
+
+        it('reads the resolveLocalDependencies key of package.json', () => {
+            write('package.json', { resolveLocalDependencies: { dev: true } });
+
+            assert.deepStrictEqual(loadConfig(root), { config: { dev: true }, source: 'package.json#resolveLocalDependencies' });
+        });
+
+        it('prefers the .js file, then the .json file, over package.json', () => {
+            write('package.json', { resolveLocalDependencies: { dev: true } });
+            write('.resolve-local-dependencies.json', { mode: 'pack' });
+            assert.deepStrictEqual(loadConfig(root).config, { mode: 'pack' });
+
+            write('.resolve-local-dependencies.js', 'module.exports = { ignore: ["*.map"] };');
+            assert.deepStrictEqual(loadConfig(root), { config: { ignore: ['*.map'] }, source: '.resolve-local-dependencies.js' });
+        });
+
+        it('reports every invalid setting with where it came from', () => {
+            write('package.json', {});
+            write('.resolve-local-dependencies.json', {
+                dev: 'yes',
+                mode: 'zip',
+                ignroe: [],
+                packages: { a: { install: 1, recursive: false }, b: [] },
+            });
+
+            assert.throws(() => loadConfig(root), error => {
+                assert.strictEqual(error.message, [
+                    'Invalid configuration in .resolve-local-dependencies.json:',
+                    '  - "dev" must be true or false, got "yes"',
+                    '  - "mode" must be one of copy, pack, got "zip"',
+                    '  - unknown setting "ignroe", expected one of: dev, install, mode, symlinks, copyStrategy, dedupe, include, ignore, recursive, '
+                        + 'workspaces, materializeWorkspaces, scan, scanPaths, lockfile, installLinks, packageManager, includePackages, excludePackages',
+                    '  - "packages["a"].install" must be true or false, got 1',
+                    '  - unknown setting "packages["a"].recursive", expected one of: dev, install, mode, symlinks, copyStrategy, dedupe, '
+                        + 'include, ignore',
+                    '  - "packages["b"]" must be an object',
+                ].join('\n'));
+                return true;
+            });
+        });
+
+        it('reports unreadable configuration files', () => {
+            write('package.json', {});
+            write('.resolve-local-dependencies.json', '{ dev: true }');
+
+            assert.throws(() => loadConfig(root), /Could not load .resolve-local-dependencies.json: /);
+        });
+    });
+
+    describe('merging', () => {
+        const config = {
+            dev: true,
+            ignore: ['*.map'],
+            excludePackages: ['@acme/legacy-*'],
+            packages: {
+                '@acme/*': { install: false, ignore: ['docs/**'] },
+                '@acme/ui': { mode: 'pack', dev: false },
+            },
+        };
+
+        it('lets flags add to the configuration', () => {
+            const merged = mergeOptions({ noInstall: true, ignore: ['*.md'], recursive: false }, config);
+
+            assert.deepStrictEqual(merged, {
+                noInstall: true,
+                dev: true,
+                include: [],
+                ignore: ['*.map', '*.md'],
+                recursive: false,
+                workspaces: false,
+                materializeWorkspaces: false,
+                mode: 'copy',
+                symlinks: 'preserve',
+                copyStrategy: 'copy',
+                dedupe: false,
+                scan: false,
+                scanPaths: [],
+                lockfile: null,
+                installLinks: false,
+                packageManager: undefined,
+                explicit: ['noInstall'],
+            });
+            assert.strictEqual(mergeOptions({ mode: 'copy' }, { mode: 'pack' }).mode, 'copy');
+            assert.strictEqual(mergeOptions({}, { lockfile: 'hidden' }).lockfile, 'hidden');
+        });
+
+        it('applies every matching package entry in order', () => {
+            const base = mergeOptions({}, config);
+
+            const ui = packageOptions(base, config, '@acme/ui');
+            assert.deepStrictEqual([ui.dev, ui.noInstall, ui.mode, ui.ignore], [false, true, 'pack', ['*.map', 'docs/**']]);
+            assert.strictEqual(packageOptions(base, config, 'other'), base);
+        });
+
+        it('lets the flags of the run win over per-package settings', () => {
+            const packages = { '@acme/*': { install: true, dev: false, mode: 'pack', ignore: ['docs/**'] } };
+            const base = mergeOptions({ noInstall: true, dev: true, mode: 'copy' }, { packages });
+
+            const ui = packageOptions(base, { packages }, '@acme/ui');
+            assert.deepStrictEqual([ui.noInstall, ui.dev, ui.mode, ui.ignore], [true, true, 'copy', ['docs/**']]);
+            assert.strictEqual(packageOptions(mergeOptions({}, { packages }), { packages }, '@acme/ui').noInstall, false);
+        });
+
+        it('selects packages by includePackages and excludePackages', () => {
+            assert.strictEqual(isPackageSelected(config, '@acme/ui'), true);
+            assert.strictEqual(isPackageSelected(config, '@acme/legacy-grid'), false);
+            assert.strictEqual(isPackageSelected({ includePackages: ['@acme/*'] }, 'lodash-local'), false);
+        });
+    });
+
+    describe('unlinkLocalDependencies', () => {
+        let projectRoot;
+        let spawnCalls;
+
+        const modules = name => path.join(projectRoot, 'node_modules', name);
+
+        beforeEach(() => {
+            projectRoot = path.join(root, 'app');
+            ['a', 'b', 'legacy'].forEach(name => {
+                write(`${name}/package.json`, { name });
+                write(`${name}/index.js`, name);
+                write(`${name}/index.js.map`, '{}');
+            });
+            fs.mkdirSync(path.join(projectRoot, 'node_modules'), { recursive: true });
+            ['a', 'b', 'legacy'].forEach(name => fs.symlinkSync(`../../${name}`, modules(name), 'junction'));
+
+            spawnCalls = [];
+            mock.method(childProcess, 'spawnSync', (command, args, options) => {
+                // Copies are installed while staged, under another directory name
+                const { name } = JSON.parse(fs.readFileSync(path.join(options.cwd, 'package.json'), 'utf8'));
+                spawnCalls.push({ name, args });
+                return { status: 0 };
+            });
+            mock.method(process, 'cwd', () => projectRoot);
+        });
+
+        it('applies per-package rules from package.json', () => {
+            write('app/package.json', {
+                dependencies: { a: 'file:../a', b: 'file:../b', legacy: 'file:../legacy' },
+                resolveLocalDependencies: {
+                    ignore: ['*.map'],
+                    excludePackages: ['legacy'],
+                    packages: {
+                        a: { install: false },
+                        b: { dev: true, ignore: ['index.js'] },
+                    },
+                },
+            });
+
+            const plan = unlinkLocalDependencies({ dryRun: true });
+            assert.deepStrictEqual(plan.dependencies.map(({ name, actions }) => [name, actions]), [
+                ['a', ['replace']],
+                ['b', ['replace', 'install']],
+                ['legacy', ['skip-excluded']],
+            ]);
+
+            unlinkLocalDependencies({ silent: true });
+
+            assert.strictEqual(fs.lstatSync(modules('legacy')).isSymbolicLink(), true);
+            assert.deepStrictEqual(fs.readdirSync(modules('a')).sort(), ['index.js', 'package.json']);
+            assert.deepStrictEqual(fs.readdirSync(modules('b')).sort(), ['package.json']);
+            assert.deepStrictEqual(spawnCalls, [{ name: 'b', args: ['install', '--no-audit', '--no-fund'] }]);
+
+            const record = JSON.parse(fs.readFileSync(path.join(projectRoot, 'node_modules/.resolve-local-dependencies/b.json'), 'utf8'));
+            assert.deepStrictEqual(record.ignore, ['*.map', 'index.js']);
+        });
+
+        it('narrows the configured selection with package names and patterns', () => {
+            write('app/package.json', {
+                dependencies: { a: 'file:../a', b: 'file:../b', legacy: 'file:../legacy' },
+                resolveLocalDependencies: { excludePackages: ['legacy'] },
+            });
+            const planned = options => unlinkLocalDependencies({ ...options, dryRun: true }).dependencies.map(({ name }) => name);
+
+            assert.deepStrictEqual(planned({ packages: ['b'] }), ['b']);
+            assert.deepStrictEqual(planned({ only: ['[ab]', 'legacy'] }), ['a', 'b', 'legacy']);
+            assert.deepStrictEqual(planned({ exclude: ['a'] }), ['b', 'legacy']);
+            assert.throws(() => planned({ packages: ['a', 'c'] }), /Not a local dependency of this project: c/);
+        });
+
+        it('fails before touching anything when the configuration is invalid', () => {
+            write('app/package.json', { dependencies: { a: 'file:../a' } });
+            write('app/.resolve-local-dependencies.json', { packages: { a: { mode: 'zip' } } });
+
+            assert.throws(() => unlinkLocalDependencies({ silent: true }), /"packages\["a"\]\.mode" must be one of copy, pack/);
+            assert.strictEqual(fs.lstatSync(modules('a')).isSymbolicLink(), true);
+        });
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { copyPackageSync, copyFiles } = require('../lib/copy');
+const { unlinkLocalDependencies, resolveLocalDependencies, statusLocalDependencies } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile, captureConsole } = require('./helpers');
+
+describe('copy strategies', () => {
+    let root;
+    let src;
+    let messages;
+
+    const inode = file => fs.statSync(path.join(root, file)).ino;
+    const unsupported = code => Object.assign(new Error(`${code}: operation not supported`), { code });
+
+    const write = (file, content) => writeFile(path.join(root, file), content);
+
+    beforeEach(() => {
+        root = makeTempRoot('copy');
+        src = path.join(root, 'a');
+        write('a/package.json', { name: 'a' });
+        write('a/index.js', 'module.exports = 1;');
+        write('a/lib/util.js', '');
+
+        messages = captureConsole();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    it('hard links every file but package.json', () => {
+        const { files, strategy } = copyPackageSync(src, path.join(root, 'copy'), { strategy: 'hardlink' });
+
+        assert.deepStrictEqual(files, ['index.js', 'lib/util.js', 'package.json']);
+        assert.strictEqual(strategy, 'hardlink');
+        assert.strictEqual(inode('copy/index.js'), inode('a/index.js'));
+        assert.strictEqual(inode('copy/lib/util.js'), inode('a/lib/util.js'));
+        assert.notStrictEqual(inode('copy/package.json'), inode('a/package.json'));
+    });
+
+    it('copies byte by byte once the filesystem turns a clone or a link down', async () => {
+        const copyFileSync = fs.copyFileSync;
+        mock.method(fs, 'copyFileSync', (from, to, flags) => {
+            if (flags === fs.constants.COPYFILE_FICLONE_FORCE) throw unsupported('ENOTSUP');
+            return copyFileSync(from, to);
+        });
+        const reflinked = copyPackageSync(src, path.join(root, 'reflink'), { strategy: 'reflink' });
+        assert.strictEqual(reflinked.strategy, 'copy');
+        assert.strictEqual(fs.readFileSync(path.join(root, 'reflink/index.js'), 'utf8'), 'module.exports = 1;');
+
+        mock.method(fs.promises, 'link', async () => {
+            throw unsupported('EXDEV');
+        });
+        const used = await copyFiles(src, path.join(root, 'hardlink'), ['index.js'], { strategy: 'hardlink' });
+        assert.strictEqual(used, 'copy');
+        assert.notStrictEqual(inode('hardlink/index.js'), inode('a/index.js'));
+
+        mock.method(fs, 'linkSync', () => {
+            throw unsupported('EACCES');
+        });
+        assert.throws(() => copyPackageSync(src, path.join(root, 'denied'), { strategy: 'hardlink' }), /EACCES/);
+    });
+
+    describe('in a run', () => {
+        let projectRoot;
+        const modules = name => path.join(projectRoot, 'node_modules', name);
+
+        beforeEach(() => {
+            projectRoot = path.join(root, 'app');
+            write('app/package.json', { dependencies: { a: 'file:../a' } });
+            fs.mkdirSync(path.join(projectRoot, 'node_modules'));
+            fs.symlinkSync('../../a', modules('a'), 'junction');
+            mock.method(process, 'cwd', () => projectRoot);
+        });
+
+        it('reports the strategy used and warns about hard links', () => {
+            const report = unlinkLocalDependencies({ noInstall: true, copyStrategy: 'hardlink' });
+
+            assert.strictEqual(report.dependencies[0].strategy, 'hardlink');
+            assert.strictEqual(inode('app/node_modules/a/index.js'), inode('a/index.js'));
+            assert.ok(messages.includes('[WARN] a: files are hard links to the source, editing them in node_modules edits the source'));
+
+            // An edit shows in both, and counts as a change of the source rather than of the copy
+            fs.appendFileSync(path.join(src, 'index.js'), '\n');
+            const [status] = statusLocalDependencies();
+            assert.deepStrictEqual([status.status, status.sourceChanges.changed], ['stale', ['index.js']]);
+            assert.throws(() => unlinkLocalDependencies({ copyStrategy: 'symlink' }), /Unknown copy strategy "symlink"/);
+        });
+
+        it('copies byte by byte by default, in the async version too', async () => {
+            const report = await resolveLocalDependencies({ noInstall: true, silent: true });
+
+            assert.strictEqual(report.dependencies[0].strategy, 'copy');
+            assert.notStrictEqual(inode('app/node_modules/a/index.js'), inode('a/index.js'));
+            assert.strictEqual(fs.lstatSync(modules('a')).isSymbolicLink(), false);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { findHostPackage, dedupeCopy } = require('../lib/dedupe');
+const { unlinkLocalDependencies } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile, captureConsole } = require('./helpers');
+
+describe('dedupe', () => {
+    let root;
+    let projectRoot;
+    let messages;
+
+    const modules = (...names) => path.join(projectRoot, 'node_modules', ...names);
+
+    const write = (file, content) => writeFile(path.join(root, file), content);
+
+    // Installs a registry package, with a bin, in a node_modules directory relative to root
+    function install(nodeModules, name, version) {
+        write(`${nodeModules}/${name}/package.json`, { name, version });
+        write(`${nodeModules}/${name}/cli.js`, '');
+        fs.mkdirSync(path.join(root, nodeModules, '.bin'), { recursive: true });
+        fs.symlinkSync(`../${name}/cli.js`, path.join(root, nodeModules, '.bin', name));
+    }
+
+    beforeEach(() => {
+        root = makeTempRoot('dedupe');
+        projectRoot = path.join(root, 'app');
+
+        messages = captureConsole();
+        mock.method(process, 'cwd', () => projectRoot);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    it('finds the package Node would load from above a copy', () => {
+        install('app/node_modules', 'react', '18.2.0');
+        install('app/node_modules/ui/node_modules', 'react', '17.0.2');
+
+        assert.deepStrictEqual(findHostPackage(modules('ui'), 'react'), { dir: modules('react'), version: '18.2.0' });
+        assert.strictEqual(findHostPackage(modules('ui', 'node_modules', 'icons'), 'react').version, '17.0.2');
+        assert.strictEqual(findHostPackage(modules('ui'), 'vue'), null);
+    });
+
+    it('removes the peers the host satisfies from the copy and reports the others', () => {
+        install('app/node_modules', 'react', '18.2.0');
+        install('app/node_modules', 'redux', '4.2.1');
+        write('ui/package.json', {
+            name: 'ui',
+            peerDependencies: { 'react': '^18.0.0', 'redux': '^5.0.0', 'vue': '^3.0.0', 'styled': '^6.0.0', 'lodash': '^4.0.0' },
+            peerDependenciesMeta: { styled: { optional: true } },
+            dependencies: { lodash: '^4.0.0' },
+        });
+        ['react', 'redux', 'vue', 'lodash'].forEach(name => install('ui/node_modules', name, '1.0.0'));
+
+        const result = dedupeCopy(path.join(root, 'ui'), modules('ui'));
+
+        assert.deepStrictEqual(result, {
+            removed: [{ name: 'react', version: '18.2.0' }],
+            warnings: [
+                'peer redux@^5.0.0 conflicts with redux@4.2.1 of the host',
+                'peer vue@^3.0.0 is not installed in the host',
+                'peer lodash@^4.0.0 is not installed in the host',
+            ],
+        });
+        assert.deepStrictEqual(fs.readdirSync(path.join(root, 'ui/node_modules')).sort(), ['.bin', 'lodash', 'redux', 'vue']);
+        assert.deepStrictEqual(fs.readdirSync(path.join(root, 'ui/node_modules/.bin')).sort(), ['lodash', 'redux', 'vue']);
+    });
+
+    it('removes every dependency the host satisfies with dedupe', () => {
+        install('app/node_modules', 'lodash', '4.17.21');
+        install('app/node_modules', 'chalk', '4.1.2');
+        write('ui/package.json', {
+            name: 'ui',
+            dependencies: { lodash: '^4.17.0', chalk: '^5.0.0' },
+            devDependencies: { typescript: '^5.0.0' },
+        });
+        install('ui/node_modules', 'lodash', '4.17.20');
+        install('ui/node_modules', 'chalk', '5.3.0');
+
+        assert.deepStrictEqual(dedupeCopy(path.join(root, 'ui'), modules('ui')).removed, []);
+        assert.deepStrictEqual(dedupeCopy(path.join(root, 'ui'), modules('ui'), { dedupe: true }), {
+            removed: [{ name: 'lodash', version: '4.17.21' }],
+            warnings: [],
+        });
+        assert.ok(fs.existsSync(path.join(root, 'ui/node_modules/chalk')));
+    });
+
+    it('dedupes each copy after its install and reports it', () => {
+        write('app/package.json', { dependencies: { ui: 'file:../ui', react: '^18.2.0' } });
+        install('app/node_modules', 'react', '18.2.0');
+        write('ui/package.json', { name: 'ui', peerDependencies: { react: '^18.0.0' } });
+        fs.symlinkSync('../../ui', modules('ui'), 'junction');
+        // npm installs peers into the copy
+        mock.method(childProcess, 'spawnSync', (command, args, options) => {
+            write(path.relative(root, path.join(options.cwd, 'node_modules/react/package.json')), { name: 'react', version: '18.3.1' });
+            return { status: 0 };
+        });
+
+        const report = unlinkLocalDependencies();
+
+        assert.deepStrictEqual(report.dependencies[0].deduped, ['react']);
+        assert.strictEqual(fs.existsSync(modules('ui', 'node_modules', 'react')), false);
+        assert.ok(messages.includes('[DEDUPE] ui: using react@18.2.0 from the host'));
+    });
+});
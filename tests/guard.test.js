@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('../utils/log');
+const { NESTED_RUN_ENV, lockPath, acquireLock, acquireLockAsync } = require('../lib/guard');
+const { unlinkLocalDependencies, resolveLocalDependencies } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile, createLinkedPackage } = require('./helpers');
+
+describe('guard', () => {
+    let root;
+    let projectRoot;
+    let events;
+    let logger;
+
+    const modules = name => path.join(projectRoot, 'node_modules', name);
+    const holder = fields => JSON.stringify({ pid: process.pid, hostname: os.hostname(), startedAt: new Date().toISOString(), token: 'a', ...fields });
+
+    function writeLock(content, ageMs = 0) {
+        const file = lockPath(projectRoot);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+        const time = new Date(Date.now() - ageMs);
+        fs.utimesSync(file, time, time);
+    }
+
+    beforeEach(() => {
+        root = makeTempRoot('guard');
+        projectRoot = path.join(root, 'app');
+        writeFile(path.join(projectRoot, 'package.json'), { dependencies: { a: 'file:../a' } });
+        createLinkedPackage(root, 'a');
+
+        events = [];
+        logger = createLogger({ level: 'silent', onEvent: event => events.push(event) });
+        mock.method(process, 'cwd', () => projectRoot);
+    });
+
+    afterEach(() => {
+        delete process.env[NESTED_RUN_ENV];
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    describe('nested runs', () => {
+        it('skips a run started by the install of a copy, unless allowed', async () => {
+            process.env[NESTED_RUN_ENV] = 'lib';
+
+            const report = unlinkLocalDependencies({ noInstall: true, onEvent: event => events.push(event), silent: true });
+            assert.deepStrictEqual(report, { dryRun: false, ok: true, nested: true, dependencies: [] });
+            assert.strictEqual(events[0].message, '[SKIP] Running inside the install of lib by another run, nothing to do '
+                + '(--allow-nested to run anyway)');
+            assert.strictEqual((await resolveLocalDependencies({ noInstall: true, silent: true })).nested, true);
+            assert.strictEqual(fs.lstatSync(modules('a')).isSymbolicLink(), true);
+
+            // A dry run changes nothing, so it is not skipped
+            assert.strictEqual(unlinkLocalDependencies({ dryRun: true }).dependencies.length, 1);
+
+            unlinkLocalDependencies({ noInstall: true, silent: true, allowNested: true });
+            assert.strictEqual(fs.lstatSync(modules('a')).isSymbolicLink(), false);
+        });
+
+        it('marks the installs it runs as nested', () => {
+            const envs = [];
+            mock.method(childProcess, 'spawnSync', (command, args, options) => {
+                envs.push(options.env[NESTED_RUN_ENV]);
+                return { status: 0 };
+            });
+
+            unlinkLocalDependencies({ silent: true });
+            assert.deepStrictEqual(envs, ['a']);
+            assert.strictEqual(process.env[NESTED_RUN_ENV], undefined);
+        });
+    });
+
+    describe('lock', () => {
+        it('lets one run at a time change node_modules', () => {
+            const release = acquireLock(projectRoot, { logger });
+            const { pid, hostname } = JSON.parse(fs.readFileSync(lockPath(projectRoot), 'utf8'));
+            assert.deepStrictEqual([pid, hostname], [process.pid, os.hostname()]);
+
+            assert.throws(() => acquireLock(projectRoot, { timeout: 0, logger }), /Timed out waiting for the run of pid \d+, started at/);
+            assert.throws(() => unlinkLocalDependencies({ noInstall: true, silent: true, lockTimeout: 0 }), /Timed out waiting/);
+            assert.strictEqual(fs.lstatSync(modules('a')).isSymbolicLink(), true);
+
+            release();
+            assert.ok(!fs.existsSync(lockPath(projectRoot)));
+            unlinkLocalDependencies({ noInstall: true, silent: true, lockTimeout: 0 });
+            assert.strictEqual(fs.lstatSync(modules('a')).isSymbolicLink(), false);
+            assert.ok(!fs.existsSync(lockPath(projectRoot)));
+        });
+
+        it('removes the locks of runs that are gone, and only those', () => {
+            const { pid } = childProcess.spawnSync(process.execPath, ['-e', '']);
+            writeLock(holder({ pid }));
+            acquireLock(projectRoot, { timeout: 0, logger })();
+            assert.strictEqual(events[0].message, `[LOCK] Removed a stale lock left by pid ${pid} on ${os.hostname()}`);
+
+            writeLock('', 60 * 1000);
+            acquireLock(projectRoot, { timeout: 0, logger })();
+            assert.strictEqual(events[1].message, '[LOCK] Removed a stale lock left by a run that died while taking it');
+
+            // Whether a run on another machine is alive cannot be told until its lock is old
+            writeLock(holder({ hostname: 'elsewhere' }), 60 * 1000);
+            assert.throws(() => acquireLock(projectRoot, { timeout: 0, logger }), /Timed out/);
+            writeLock('');
+            assert.throws(() => acquireLock(projectRoot, { timeout: 0, logger }), /Timed out waiting for another run/);
+        });
+
+        it('waits for the lock without blocking', async () => {
+            const release = acquireLock(projectRoot, { logger });
+            setTimeout(release, 300);
+
+            const started = Date.now();
+            const releaseAgain = await acquireLockAsync(projectRoot, { timeout: 5000, logger });
+            assert.ok(Date.now() - started >= 250);
+            assert.deepStrictEqual(events.map(({ type, level }) => [type, level]), [['lock', 'info']]);
+            assert.match(events[0].message, /^\[LOCK\] Waiting for the run of pid \d+, started at .+, to finish with node_modules$/);
+            releaseAgain();
+        });
+    });
+});
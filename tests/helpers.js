@@ -0,0 +1,61 @@
+const { mock } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Creates a temporary directory for the files of a test. Its real path is returned, so
+ * that the paths the library resolves compare equal to the ones the test builds.
+ * @param {string} name - Part of the directory name, after `rld-`.
+ * @returns {string}
+ */
+function makeTempRoot(name) {
+    return fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), `rld-${name}-`)));
+}
+
+function removeTempRoot(root) {
+    fs.rmSync(root, { recursive: true, force: true });
+}
+
+/**
+ * Writes a file, creating its directory. Objects are written as JSON, the way npm formats
+ * package.json and lockfiles.
+ * @param {string} file - Absolute path.
+ * @param {string|Buffer|Object} content
+ */
+function writeFile(file, content) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const isData = typeof content === 'string' || Buffer.isBuffer(content);
+    fs.writeFileSync(file, isData ? content : `${JSON.stringify(content, null, 2)}\n`);
+}
+
+/**
+ * Writes a local package in `<root>/<name>` and links it into `<root>/app/node_modules`, the way
+ * npm installs a `file:../<name>` dependency of the app.
+ * @param {string} root
+ * @param {string} name
+ * @param {Object} [manifest={}] - Fields of its package.json besides the name.
+ * @param {Object<string, string>} [files] - Its other files, by path. An index.js exporting its name by default.
+ */
+function createLinkedPackage(root, name, manifest = {}, files = { 'index.js': `module.exports = '${name}';` }) {
+    writeFile(path.join(root, name, 'package.json'), { name, ...manifest });
+    Object.entries(files).forEach(([file, content]) => writeFile(path.join(root, name, file), content));
+    const link = path.join(root, 'app', 'node_modules', name);
+    fs.mkdirSync(path.dirname(link), { recursive: true });
+    fs.symlinkSync(path.relative(path.dirname(link), path.join(root, name)), link, 'junction');
+}
+
+/**
+ * Mocks console.log, console.warn and console.error, collecting what they are given.
+ * Undone by mock.restoreAll.
+ * @returns {string[]} The messages printed, in order.
+ */
+function captureConsole() {
+    const messages = [];
+    ['log', 'warn', 'error'].forEach(level => {
+        mock.method(console, level, message => messages.push(message));
+    });
+    return messages;
+}
+
+module.exports = { makeTempRoot, removeTempRoot, writeFile, createLinkedPackage, captureConsole };
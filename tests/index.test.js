@@ -13,7 +13,7 @@ describe('unlinkLocalDependencies', () => {
     beforeEach(() => {
         originalCwd = process.cwd;
         process.cwd = () => PROJECT_ROOT;
-        mock.method(require('../utils/log'), 'log', () => { });
+        ['log', 'warn', 'error'].forEach(level => mock.method(console, level, () => { }));
     });
 
     afterEach(() => {
@@ -28,11 +28,16 @@ describe('unlinkLocalDependencies', () => {
      *   existingNodeModules: [],
      *   sourceTree: { absDir: ['fileA','subdir'] },
      *   sourceDirectories: Set([absDir, absDir/subdir]),
+     *   sourceFiles: { absFile: 'content' },
      *   expected: {
      *     removed: [],
      *     createdDirs: [],
      *     copiedFiles: [],
-     *     npmInstalls: [{ pkg:'name', production:true|false }]
+     *     notCopied: [],
+     *     writtenJson: { relFile: parsedContent },
+     *     npmInstalls: [{ pkg:'name', production:true|false }],
+     *     installWith: { command:'pnpm', productionFlag:'--prod' },
+     *     errors: ['name: message']
      *   },
      *   runOptions: { install, production }
      * }
@@ -44,6 +49,7 @@ describe('unlinkLocalDependencies', () => {
             existingNodeModules = [],
             sourceTree = {},
             sourceDirectories = new Set(),
+            sourceFiles = {},
             expected = {},
             runOptions = {}
         } = cfg;
@@ -53,37 +59,63 @@ describe('unlinkLocalDependencies', () => {
             path.join(PROJECT_ROOT, 'package.json'),
             ...existingNodeModules.map(n => path.join(PROJECT_ROOT, 'node_modules', n)),
             ...Object.keys(sourceTree),
-            ...[...sourceDirectories]
+            ...[...sourceDirectories],
+            ...Object.keys(sourceFiles)
         ]);
 
-        // fs.readFileSync (only root package.json)
+        // Contents of source files, plus whatever gets copied or written
+        const virtualFiles = { ...sourceFiles };
+        const isListedFile = p => !sourceDirectories.has(p)
+            && (sourceTree[path.dirname(p)] || []).includes(path.basename(p));
+
+        // fs.readFileSync (root package.json, source files and their copies)
         const readFileSync = mock.method(fs, 'readFileSync', (p) => {
-            assert.strictEqual(p, path.join(PROJECT_ROOT, 'package.json'), 'Unexpected file read');
-            return JSON.stringify(packageJson);
+            if (p === path.join(PROJECT_ROOT, 'package.json')) return JSON.stringify(packageJson);
+            if (p in virtualFiles) return virtualFiles[p];
+            assert.ok(isListedFile(p), `Unexpected file read: ${p}`);
+            return '';
         });
 
         // existsSync reflects evolving state
         mock.method(fs, 'existsSync', (p) => existingPaths.has(p));
 
+        // statSync identifies which source paths are directories
+        const stat = (p) => ({
+            isDirectory: () => sourceDirectories.has(p),
+            isSocket: () => false,
+            isFIFO: () => false,
+            isBlockDevice: () => false,
+            isCharacterDevice: () => false,
+            size: p in sourceFiles ? sourceFiles[p].length : 0,
+            mode: 0o100644,
+            atime: new Date(0),
+            mtime: new Date(0),
+        });
+        mock.method(fs, 'statSync', stat);
+        mock.method(fs, 'realpathSync', (p) => p);
+
         // lstatSync determines symlink status for node_modules entries
-        mock.method(fs, 'lstatSync', (p) => ({
+        mock.method(fs, 'lstatSync', (p, options) => options && options.throwIfNoEntry === false && !existingPaths.has(p) ? undefined : ({
+            ...stat(p),
             isSymbolicLink: () => {
                 const nm = path.join(PROJECT_ROOT, 'node_modules');
                 if (p.startsWith(nm)) {
                     const name = p.slice(nm.length + 1).split(path.sep)[0];
-                    return symlinkPackages.includes(name);
+                    return p === path.join(nm, name) && symlinkPackages.includes(name);
                 }
                 return false;
             }
         }));
 
+        // readlinkSync gives the target of the symlinked packages
+        mock.method(fs, 'readlinkSync', (p) => `../../${path.basename(p)}`);
+
         // readdirSync supplies directory listings for sources
         mock.method(fs, 'readdirSync', (p) => sourceTree[p] || []);
 
-        // statSync identifies which source paths are directories
-        mock.method(fs, 'statSync', (p) => ({
-            isDirectory: () => sourceDirectories.has(p)
-        }));
+        // Copies keep the mode and timestamps of their source
+        mock.method(fs, 'chmodSync', () => {});
+        mock.method(fs, 'utimesSync', () => {});
 
         const mkdirCalls = [];
         mock.method(fs, 'mkdirSync', (p) => {
@@ -91,15 +123,26 @@ describe('unlinkLocalDependencies', () => {
             existingPaths.add(p);
         });
 
+        // Entries moved aside while a staged copy is swapped in, by their original path
+        const movedAside = new Map();
+
         const rmCalls = [];
         mock.method(fs, 'rmSync', (p) => {
-            rmCalls.push(p);
+            // Staging directories are removed once renamed into place, or after a failure
+            if (!path.basename(p).startsWith('.rld-staging-')) rmCalls.push(movedAside.get(p) || p);
             existingPaths.delete(p);
         });
 
+        const writeCalls = [];
+        mock.method(fs, 'writeFileSync', (p, content) => {
+            writeCalls.push({ p, content });
+            virtualFiles[p] = content;
+        });
+
         const copyCalls = [];
         mock.method(fs, 'copyFileSync', (src, dest) => {
             copyCalls.push({ src, dest });
+            virtualFiles[dest] = virtualFiles[src] || '';
             // Simulate that copied package.json now exists (for install step)
             if (dest.endsWith('package.json')) existingPaths.add(dest);
         });
@@ -112,8 +155,33 @@ describe('unlinkLocalDependencies', () => {
             return { status: 0 };
         });
 
+        // Staged copies are renamed into place: what was done in the staging directory follows it
+        mock.method(fs, 'renameSync', (from, to) => {
+            const move = p => p === from || p.startsWith(`${from}/`) ? to + p.slice(from.length) : p;
+            [...existingPaths].forEach(p => {
+                existingPaths.delete(p);
+                existingPaths.add(move(p));
+            });
+            Object.keys(virtualFiles).forEach(p => {
+                const content = virtualFiles[p];
+                delete virtualFiles[p];
+                virtualFiles[move(p)] = content;
+            });
+            mkdirCalls.forEach((p, index) => { mkdirCalls[index] = move(p); });
+            copyCalls.forEach(call => { call.dest = move(call.dest); });
+            writeCalls.forEach(call => { call.p = move(call.p); });
+            spawnCalls.forEach(call => { call.cwd = move(call.cwd); });
+            movedAside.set(to, from);
+        });
+
         // Act
-        unlinkLocalDependencies({ silently: true, ...runOptions });
+        const result = unlinkLocalDependencies({ silent: true, ...runOptions });
+
+        // Errors are recorded in the report rather than thrown
+        if (!runOptions.dryRun) {
+            const errors = result.dependencies.filter(entry => entry.error).map(entry => `${entry.name}: ${entry.error}`);
+            assert.deepStrictEqual(errors, expected.errors || []);
+        }
 
         // Assertions
         if (expected.removed) {
@@ -140,16 +208,32 @@ describe('unlinkLocalDependencies', () => {
             });
         }
 
+        if (expected.notCopied) {
+            const copiedRel = copyCalls.map(c => rel(c.dest));
+            expected.notCopied.forEach(f => {
+                assert.ok(!copiedRel.some(c => c === f || c.startsWith(`${f}/`)), `Unexpected copy of ${f}`);
+            });
+        }
+
+        if (expected.writtenJson) {
+            Object.entries(expected.writtenJson).forEach(([file, json]) => {
+                const write = writeCalls.find(w => rel(w.p) === file);
+                assert.ok(write, `Expected write of ${file}, got ${writeCalls.map(w => rel(w.p))}`);
+                assert.deepStrictEqual(JSON.parse(write.content), json);
+            });
+        }
+
         if (expected.npmInstalls) {
             assert.strictEqual(spawnCalls.length, expected.npmInstalls.length,
                 `Expected ${expected.npmInstalls.length} npm installs, got ${spawnCalls.length}`);
+            const { command = 'npm', productionFlag = '--production' } = expected.installWith || {};
             expected.npmInstalls.forEach(expectInst => {
                 const match = spawnCalls.find(c =>
-                    c.cmd === 'npm' &&
+                    c.cmd === command &&
                     c.cwd.endsWith(path.join('node_modules', expectInst.pkg))
                 );
-                assert.ok(match, `No npm install call for ${expectInst.pkg}`);
-                const hasProd = match.args.includes('--production');
+                assert.ok(match, `No ${command} install call for ${expectInst.pkg}`);
+                const hasProd = match.args.includes(productionFlag);
                 assert.strictEqual(hasProd, !!expectInst.production,
                     `Production flag mismatch for ${expectInst.pkg}`);
             });
@@ -159,6 +243,7 @@ describe('unlinkLocalDependencies', () => {
         }
 
         assert.ok(readFileSync.mock.callCount() >= 1, 'package.json not read');
+        return result;
     }
 
     it('replaces two symlinked file dependencies (deps + devDeps)', () => {
@@ -237,6 +322,7 @@ describe('unlinkLocalDependencies', () => {
                 [SRC_LIB]: ['helper.js']
             },
             sourceDirectories: new Set([SRC_ROOT, SRC_LIB]),
+            sourceFiles: { [path.join(SRC_ROOT, 'package.json')]: '{}' },
             expected: {
                 removed: ['local-pkg'],
                 createdDirs: [
@@ -253,6 +339,200 @@ describe('unlinkLocalDependencies', () => {
         });
     });
 
+    it('copies only what the package would publish', () => {
+        const SRC_ROOT = '/fake/local-package';
+        runUnlinkTest({
+            packageJson: { dependencies: { 'local-pkg': 'file:../local-package' } },
+            symlinkPackages: ['local-pkg'],
+            existingNodeModules: ['local-pkg'],
+            sourceTree: {
+                [SRC_ROOT]: ['.git', '.npmignore', 'index.js', 'node_modules', 'package.json', 'test'],
+                [path.join(SRC_ROOT, '.git')]: ['HEAD'],
+                [path.join(SRC_ROOT, 'node_modules')]: ['dep'],
+                [path.join(SRC_ROOT, 'test')]: ['index.test.js']
+            },
+            sourceDirectories: new Set([
+                SRC_ROOT,
+                path.join(SRC_ROOT, '.git'),
+                path.join(SRC_ROOT, 'node_modules'),
+                path.join(SRC_ROOT, 'test')
+            ]),
+            sourceFiles: {
+                [path.join(SRC_ROOT, 'package.json')]: '{}',
+                [path.join(SRC_ROOT, '.npmignore')]: 'test/\n'
+            },
+            runOptions: { noInstall: true },
+            expected: {
+                removed: ['local-pkg'],
+                copiedFiles: ['node_modules/local-pkg/index.js', 'node_modules/local-pkg/package.json'],
+                notCopied: [
+                    'node_modules/local-pkg/.git',
+                    'node_modules/local-pkg/.npmignore',
+                    'node_modules/local-pkg/node_modules',
+                    'node_modules/local-pkg/test'
+                ]
+            }
+        });
+    });
+
+    it('copies file: dependencies of copied packages and stops at cycles', () => {
+        const A = '/fake/a';
+        const B = '/fake/b';
+        runUnlinkTest({
+            packageJson: { dependencies: { a: 'file:../a' } },
+            symlinkPackages: ['a'],
+            existingNodeModules: ['a'],
+            sourceTree: { [A]: ['index.js', 'package.json'], [B]: ['package.json'] },
+            sourceDirectories: new Set([A, B]),
+            sourceFiles: {
+                [path.join(A, 'package.json')]: JSON.stringify({ dependencies: { b: 'file:../b' } }),
+                [path.join(B, 'package.json')]: JSON.stringify({ dependencies: { a: 'file:../a' } })
+            },
+            runOptions: { noInstall: true },
+            expected: {
+                // Nothing was installed at a/node_modules/b, so only the cycle is removed from the copy
+                removed: ['a', 'a/node_modules/b/node_modules/a'],
+                copiedFiles: ['node_modules/a/index.js', 'node_modules/a/node_modules/b/package.json'],
+                writtenJson: {
+                    'node_modules/a/package.json': { dependencies: { b: 'file:/fake/b' } },
+                    'node_modules/a/node_modules/b/package.json': { dependencies: { a: 'file:/fake/a' } }
+                }
+            }
+        });
+    });
+
+    it('copies a shared file: dependency under each dependent', () => {
+        const A = '/fake/a';
+        const B = '/fake/b';
+        const C = '/fake/c';
+        runUnlinkTest({
+            packageJson: { dependencies: { a: 'file:../a', c: 'file:../c' } },
+            symlinkPackages: ['a', 'c'],
+            existingNodeModules: ['a', 'c'],
+            sourceTree: { [A]: ['package.json'], [B]: ['index.js'], [C]: ['package.json'] },
+            sourceDirectories: new Set([A, B, C]),
+            sourceFiles: {
+                [path.join(A, 'package.json')]: JSON.stringify({ dependencies: { b: 'file:../b' } }),
+                [path.join(C, 'package.json')]: JSON.stringify({ devDependencies: { b: 'file:../b' } })
+            },
+            runOptions: { noInstall: true, dev: true },
+            expected: {
+                removed: ['a', 'c'],
+                copiedFiles: ['node_modules/a/node_modules/b/index.js', 'node_modules/c/node_modules/b/index.js']
+            }
+        });
+    });
+
+    it('leaves nested file: dependencies alone when recursive:false', () => {
+        const A = '/fake/a';
+        runUnlinkTest({
+            packageJson: { dependencies: { a: 'file:../a' } },
+            symlinkPackages: ['a'],
+            existingNodeModules: ['a'],
+            sourceTree: { [A]: ['package.json'] },
+            sourceDirectories: new Set([A]),
+            sourceFiles: {
+                [path.join(A, 'package.json')]: JSON.stringify({ dependencies: { b: 'file:../b' } })
+            },
+            runOptions: { noInstall: true, recursive: false },
+            expected: { removed: ['a'] }
+        });
+    });
+
+    it('records each replaced symlink so it can be relinked', () => {
+        const SRC_ROOT = '/fake/pkgA';
+        runUnlinkTest({
+            packageJson: { dependencies: { pkgA: 'file:../pkgA' } },
+            symlinkPackages: ['pkgA'],
+            existingNodeModules: ['pkgA'],
+            sourceTree: { [SRC_ROOT]: ['index.js'] },
+            sourceDirectories: new Set([SRC_ROOT]),
+            runOptions: { noInstall: true },
+            expected: { removed: ['pkgA'], copiedFiles: ['node_modules/pkgA/index.js'] }
+        });
+
+        const write = fs.writeFileSync.mock.calls
+            .find(c => c.arguments[0] === path.join(PROJECT_ROOT, 'node_modules/.resolve-local-dependencies/pkgA.json'));
+        assert.ok(write, 'record not written');
+        const record = JSON.parse(write.arguments[1]);
+        assert.strictEqual(record.name, 'pkgA');
+        assert.strictEqual(record.source, SRC_ROOT);
+        assert.strictEqual(record.linkTarget, '../../pkgA');
+        assert.deepStrictEqual(Object.keys(record.files), ['index.js']);
+    });
+
+    it('returns a plan without touching anything when dryRun:true', () => {
+        const A = '/fake/a';
+        const B = '/fake/b';
+        const plan = runUnlinkTest({
+            packageJson: {
+                dependencies: { a: 'file:../a' },
+                devDependencies: { gone: 'file:../gone', real: 'file:../real' }
+            },
+            symlinkPackages: ['a'],
+            existingNodeModules: ['a', 'real'],
+            sourceTree: { [A]: ['index.js', 'package.json'], [B]: ['package.json'] },
+            sourceDirectories: new Set([A, B]),
+            sourceFiles: {
+                [path.join(A, 'index.js')]: 'module.exports = 1;',
+                [path.join(A, 'package.json')]: JSON.stringify({ dependencies: { b: 'file:../b' } }),
+                [path.join(B, 'package.json')]: '{}'
+            },
+            runOptions: { dryRun: true },
+            expected: { removed: [], copiedFiles: [] }
+        });
+
+        assert.deepStrictEqual(plan, {
+            dryRun: true,
+            dependencies: [
+                {
+                    name: 'a',
+                    workspace: undefined,
+                    category: 'dependencies',
+                    spec: 'file:../a',
+                    source: '../a',
+                    destination: 'node_modules/a',
+                    parent: null,
+                    actions: ['replace', 'install'],
+                    files: 2,
+                    bytes: 19 + JSON.stringify({ dependencies: { b: 'file:../b' } }).length
+                },
+                {
+                    name: 'b',
+                    workspace: undefined,
+                    category: 'dependencies',
+                    spec: 'file:../b',
+                    source: '../b',
+                    destination: 'node_modules/a/node_modules/b',
+                    parent: 'a',
+                    actions: ['replace', 'install'],
+                    files: 1,
+                    bytes: 2
+                },
+                {
+                    name: 'gone',
+                    workspace: undefined,
+                    category: 'devDependencies',
+                    spec: 'file:../gone',
+                    source: '../gone',
+                    destination: 'node_modules/gone',
+                    parent: null,
+                    actions: ['missing']
+                },
+                {
+                    name: 'real',
+                    workspace: undefined,
+                    category: 'devDependencies',
+                    spec: 'file:../real',
+                    source: '../real',
+                    destination: 'node_modules/real',
+                    parent: null,
+                    actions: ['skip-not-symlink']
+                }
+            ]
+        });
+    });
+
     // New tests for install / production flags
 
     it('runs npm install with --production by default', () => {
@@ -263,6 +543,7 @@ describe('unlinkLocalDependencies', () => {
             existingNodeModules: ['pkgA'],
             sourceTree: { [SRC_ROOT]: ['package.json'] },
             sourceDirectories: new Set([SRC_ROOT]),
+            sourceFiles: { [path.join(SRC_ROOT, 'package.json')]: '{}' },
             expected: {
                 removed: ['pkgA'],
                 createdDirs: ['node_modules/pkgA'],
@@ -280,6 +561,7 @@ describe('unlinkLocalDependencies', () => {
             existingNodeModules: ['pkgB'],
             sourceTree: { [SRC_ROOT]: ['package.json'] },
             sourceDirectories: new Set([SRC_ROOT]),
+            sourceFiles: { [path.join(SRC_ROOT, 'package.json')]: '{}' },
             runOptions: { dev: true },
             expected: {
                 removed: ['pkgB'],
@@ -290,6 +572,23 @@ describe('unlinkLocalDependencies', () => {
         });
     });
 
+    it('installs with the package manager named in the packageManager field', () => {
+        const SRC_ROOT = '/fake/pkgD';
+        runUnlinkTest({
+            packageJson: { packageManager: 'pnpm@9.1.0', dependencies: { pkgD: 'file:../pkgD' } },
+            symlinkPackages: ['pkgD'],
+            existingNodeModules: ['pkgD'],
+            sourceTree: { [SRC_ROOT]: ['package.json'] },
+            sourceDirectories: new Set([SRC_ROOT]),
+            sourceFiles: { [path.join(SRC_ROOT, 'package.json')]: '{}' },
+            expected: {
+                removed: ['pkgD'],
+                installWith: { command: 'pnpm', productionFlag: '--prod' },
+                npmInstalls: [{ pkg: 'pkgD', production: true }]
+            }
+        });
+    });
+
     it('does not run npm install when noInstall:true', () => {
         const SRC_ROOT = '/fake/pkgC';
         runUnlinkTest({
@@ -298,6 +597,7 @@ describe('unlinkLocalDependencies', () => {
             existingNodeModules: ['pkgC'],
             sourceTree: { [SRC_ROOT]: ['package.json'] },
             sourceDirectories: new Set([SRC_ROOT]),
+            sourceFiles: { [path.join(SRC_ROOT, 'package.json')]: '{}' },
             runOptions: { noInstall: true },
             expected: {
                 removed: ['pkgC'],
@@ -0,0 +1,171 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { unlinkLocalDependencies, resolveLocalDependencies, relinkLocalDependencies, restoreLockfile } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile, captureConsole } = require('./helpers');
+
+describe('lockfile', () => {
+    let root;
+    let projectRoot;
+    let messages;
+
+    const modules = name => path.join(projectRoot, 'node_modules', name);
+    const readLock = file => JSON.parse(fs.readFileSync(path.join(projectRoot, file), 'utf8'));
+    const entries = file => readLock(file).packages;
+
+    const write = (file, content) => writeFile(path.join(root, file), content);
+
+    // What npm writes for a file: dependency it installed as a link
+    const link = { resolved: '../a', link: true };
+    const target = { name: 'a', version: '1.0.0', license: 'MIT', dependencies: { ms: '^2.1.0' }, devDependencies: { tap: '^16.0.0' } };
+
+    beforeEach(() => {
+        root = makeTempRoot('lockfile');
+        projectRoot = path.join(root, 'app');
+
+        write('app/package.json', { name: 'app', dependencies: { a: 'file:../a', ms: '^2.1.0' }, devDependencies: { b: 'file:../b' } });
+        write('a/package.json', { name: 'a', version: '1.0.0' });
+        write('b/package.json', { name: 'b', version: '0.1.0' });
+        const packages = {
+            '': { name: 'app', dependencies: { a: 'file:../a', ms: '^2.1.0' }, devDependencies: { b: 'file:../b' } },
+            '../a': target,
+            '../b': { name: 'b', version: '0.1.0', dev: true },
+            'node_modules/a': link,
+            'node_modules/b': { resolved: '../b', link: true, dev: true },
+            'node_modules/ms': { version: '2.1.3', resolved: 'https://registry.npmjs.org/ms/-/ms-2.1.3.tgz', integrity: 'sha512-x' },
+        };
+        write('app/package-lock.json', { name: 'app', lockfileVersion: 3, requires: true, packages });
+        write('app/node_modules/.package-lock.json', { name: 'app', lockfileVersion: 3, requires: true, packages: { ...packages, '': undefined } });
+        write('app/node_modules/ms/package.json', { name: 'ms', version: '2.1.3' });
+        fs.symlinkSync('../../a', modules('a'), 'junction');
+        fs.symlinkSync('../../b', modules('b'), 'junction');
+
+        messages = captureConsole();
+        mock.method(process, 'cwd', () => projectRoot);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    it('describes the copies as copies in both lockfiles, and as links again once relinked', () => {
+        const original = fs.readFileSync(path.join(projectRoot, 'package-lock.json'), 'utf8');
+        unlinkLocalDependencies({ noInstall: true, lockfile: 'package-lock', installLinks: true });
+
+        ['package-lock.json', 'node_modules/.package-lock.json'].forEach(file => {
+            const packages = entries(file);
+            assert.deepStrictEqual(packages['node_modules/a'], {
+                version: '1.0.0',
+                resolved: 'file:../a',
+                license: 'MIT',
+                dependencies: { ms: '^2.1.0' },
+            });
+            assert.deepStrictEqual(packages['node_modules/b'], { version: '0.1.0', resolved: 'file:../b', dev: true });
+            assert.deepStrictEqual(packages['../a'], target);
+            assert.strictEqual(packages['node_modules/ms'].version, '2.1.3');
+        });
+        assert.ok(messages.includes('[LOCKFILE] package-lock.json: a, b now described as copies'));
+        assert.ok(messages.includes('[LOCKFILE] node_modules/.package-lock.json: a, b now described as copies'));
+        assert.ok(fs.readFileSync(path.join(projectRoot, '.npmrc'), 'utf8').endsWith('\ninstall-links=true\n'));
+        assert.ok(messages.includes('[WARN] .npmrc: added install-links=true, npm now installs every file: dependency of the project as a copy, until --restore-lockfile or relink removes it'));
+
+        // Running again changes nothing
+        messages.length = 0;
+        unlinkLocalDependencies({ noInstall: true, lockfile: 'package-lock' });
+        assert.ok(!messages.some(message => message.startsWith('[LOCKFILE]')));
+
+        relinkLocalDependencies({ silent: true });
+        assert.strictEqual(fs.readFileSync(path.join(projectRoot, 'package-lock.json'), 'utf8'), original);
+        assert.deepStrictEqual(entries('node_modules/.package-lock.json')['node_modules/b'], { resolved: '../b', link: true, dev: true });
+        assert.strictEqual(fs.existsSync(path.join(projectRoot, '.npmrc')), false);
+    });
+
+    it('only touches the hidden lockfile with hidden, and restores the entries on request', async () => {
+        const original = readLock('package-lock.json');
+        await resolveLocalDependencies({ noInstall: true, lockfile: 'hidden', packages: ['a'] });
+        assert.ok(messages.includes('[WARN] npm takes the copies for invalid and puts the symlinks back without install-links=true: set it in .npmrc, or pass --install-links'));
+
+        assert.deepStrictEqual(readLock('package-lock.json'), original);
+        assert.strictEqual(entries('node_modules/.package-lock.json')['node_modules/a'].resolved, 'file:../a');
+        // .npmrc is only changed when allowed
+        assert.strictEqual(fs.existsSync(path.join(projectRoot, '.npmrc')), false);
+        assert.deepStrictEqual(entries('node_modules/.package-lock.json')['node_modules/b'], original.packages['node_modules/b']);
+
+        assert.deepStrictEqual(restoreLockfile({ silent: true }), { restored: ['a'] });
+        assert.deepStrictEqual(entries('node_modules/.package-lock.json')['node_modules/a'], link);
+        // The copy stays
+        assert.strictEqual(fs.lstatSync(modules('a')).isSymbolicLink(), false);
+        assert.throws(() => restoreLockfile({ packages: ['c'] }), /Not a local dependency of this project: c/);
+    });
+
+    it('leaves lockfiles alone by default, and old ones with a warning', () => {
+        const original = fs.readFileSync(path.join(projectRoot, 'package-lock.json'), 'utf8');
+        unlinkLocalDependencies({ noInstall: true, silent: true });
+        assert.strictEqual(fs.readFileSync(path.join(projectRoot, 'package-lock.json'), 'utf8'), original);
+
+        relinkLocalDependencies({ silent: true });
+        write('app/package-lock.json', { name: 'app', lockfileVersion: 1, dependencies: { a: { version: 'file:../a' } } });
+        fs.rmSync(modules('.package-lock.json'));
+        unlinkLocalDependencies({ noInstall: true, lockfile: 'package-lock' });
+        assert.ok(messages.includes('[WARN] package-lock.json has lockfileVersion 1, only 2 and later are supported'));
+        assert.throws(() => unlinkLocalDependencies({ lockfile: 'yarn' }), /Unknown lockfile mode "yarn", expected one of: package-lock, hidden/);
+    });
+});
+
+describe('lockfile with npm', { skip: process.platform === 'win32' }, () => {
+    let root;
+    let projectRoot;
+
+    const npm = (...args) => childProcess.execFileSync('npm', [...args, '--offline', '--no-audit', '--no-fund'], {
+        cwd: projectRoot,
+        encoding: 'utf8',
+        stdio: 'pipe',
+    });
+    const isLink = () => fs.lstatSync(path.join(projectRoot, 'node_modules/lib-a')).isSymbolicLink();
+
+    const write = (file, content) => writeFile(path.join(root, file), content);
+
+    beforeEach(() => {
+        root = makeTempRoot('lockfile-npm');
+        projectRoot = path.join(root, 'app');
+        write('lib-a/package.json', { name: 'lib-a', version: '1.0.0' });
+        write('lib-a/index.js', 'module.exports = 1;');
+        write('app/package.json', { name: 'app', version: '1.0.0', dependencies: { 'lib-a': 'file:../lib-a' } });
+        npm('install');
+        mock.method(process, 'cwd', () => projectRoot);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    ['package-lock', 'hidden'].forEach(lockfile => {
+        it(`keeps npm ls and npm install happy with the copies with ${lockfile}`, () => {
+            const original = fs.readFileSync(path.join(projectRoot, 'package-lock.json'), 'utf8');
+            assert.ok(isLink());
+
+            unlinkLocalDependencies({ silent: true, noInstall: true, lockfile, installLinks: true });
+
+            assert.ok(!isLink());
+            assert.ok(npm('ls').includes('lib-a@1.0.0'));
+            npm('install');
+            assert.ok(!isLink(), 'npm install put the symlink back');
+            assert.ok(npm('ls').includes('lib-a@1.0.0'));
+
+            restoreLockfile({ silent: true });
+            assert.strictEqual(fs.existsSync(path.join(projectRoot, '.npmrc')), false);
+            assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(projectRoot, 'package-lock.json'), 'utf8')).packages['node_modules/lib-a'], {
+                resolved: '../lib-a',
+                link: true,
+            });
+            relinkLocalDependencies({ silent: true });
+            assert.ok(isLink());
+            assert.ok(npm('ls').includes('lib-a@1.0.0'));
+            assert.strictEqual(fs.readFileSync(path.join(projectRoot, 'package-lock.json'), 'utf8'), original);
+        });
+    });
+});
@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createLogger, createLogGroup } = require('../utils/log');
+const { unlinkLocalDependencies, resolveLocalDependencies } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile, createLinkedPackage } = require('./helpers');
+
+describe('logging', () => {
+    let messages;
+
+    beforeEach(() => {
+        messages = [];
+        ['log', 'warn', 'error'].forEach(level => {
+            mock.method(console, level, message => messages.push([level, message]));
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('prints the events up to its level, with the console method of each level', () => {
+        const logger = createLogger({ level: 'warn' });
+        logger.error('error', '[ERROR] a');
+        logger.warn('warning', '[WARN] b');
+        logger.info('replace', '[REPLACE] c');
+        logger.debug('done', '[DONE] d');
+
+        assert.deepStrictEqual(messages, [['error', '[ERROR] a'], ['warn', '[WARN] b']]);
+
+        messages.length = 0;
+        const verbose = createLogger({ level: 'debug' });
+        verbose.info('replace', '[REPLACE] c');
+        verbose.debug('done', '[DONE] d');
+        assert.deepStrictEqual(messages, [['log', '[REPLACE] c'], ['log', '[DONE] d']]);
+
+        assert.throws(() => createLogger({ level: 'trace' }), /Invalid log level "trace"/);
+        assert.throws(() => createLogger({ format: 'xml' }), /Invalid log format "xml"/);
+    });
+
+    it('prints one JSON event per line on stdout, without the tag of the message', () => {
+        const logger = createLogger({ format: 'json' });
+        logger.warn('missing', '[WARN] a not found in node_modules', { package: 'a', destination: '/app/node_modules/a' });
+
+        assert.strictEqual(messages.length, 1);
+        const [level, line] = messages[0];
+        assert.strictEqual(level, 'log');
+        const { time, ...event } = JSON.parse(line);
+        assert.ok(!Number.isNaN(Date.parse(time)));
+        assert.deepStrictEqual(event, {
+            level: 'warn',
+            type: 'missing',
+            package: 'a',
+            destination: '/app/node_modules/a',
+            message: 'a not found in node_modules',
+        });
+    });
+
+    it('passes every event to the listener and the lines to a custom output', () => {
+        const events = [];
+        const lines = [];
+        const output = { error: line => lines.push(['error', line]), warn: () => {}, info: line => lines.push(['info', line]), debug: () => {} };
+        const logger = createLogger({ level: 'silent', output, onEvent: event => events.push(event) });
+        logger.debug('done', '[DONE] a in 5 ms', { package: 'a', durationMs: 5 });
+        assert.deepStrictEqual(events.map(({ type, durationMs }) => [type, durationMs]), [['done', 5]]);
+        assert.deepStrictEqual(lines, []);
+
+        createLogger({ output }).info('replace', '[REPLACE] a');
+        assert.deepStrictEqual(lines, [['info', '[REPLACE] a']]);
+        assert.deepStrictEqual(messages, []);
+    });
+
+    it('holds the events of a group back until flushed', () => {
+        const events = [];
+        const group = createLogGroup(createLogger({ onEvent: event => events.push(event.type) }));
+        group.info('replace', '[REPLACE] a');
+        group.warn('warning', '[WARN] a: b');
+        assert.deepStrictEqual(events, []);
+
+        group.flush();
+        assert.deepStrictEqual(events, ['replace', 'warning']);
+        assert.deepStrictEqual(messages, [['log', '[REPLACE] a'], ['warn', '[WARN] a: b']]);
+    });
+
+    describe('in a run', () => {
+        let root;
+        let projectRoot;
+
+        beforeEach(() => {
+            root = makeTempRoot('log');
+            projectRoot = path.join(root, 'app');
+            writeFile(path.join(projectRoot, 'package.json'), { dependencies: { a: 'file:../a' } });
+            createLinkedPackage(root, 'a');
+            mock.method(process, 'cwd', () => projectRoot);
+        });
+
+        afterEach(() => {
+            removeTempRoot(root);
+        });
+
+        it('reports structured events to the listener of unlinkLocalDependencies', () => {
+            const events = [];
+            const lines = [];
+            const logger = { error: line => lines.push(line), warn: line => lines.push(line), info: line => lines.push(line), debug: line => lines.push(line) };
+            unlinkLocalDependencies({ noInstall: true, logger, onEvent: event => events.push(event) });
+
+            const replace = events.find(event => event.type === 'replace');
+            assert.deepStrictEqual([replace.level, replace.package, replace.source, replace.destination], [
+                'info',
+                'a',
+                path.join(root, 'a'),
+                path.join(projectRoot, 'node_modules', 'a'),
+            ]);
+            // Debug events reach the listener, not the output
+            const done = events.find(event => event.type === 'done');
+            assert.strictEqual(done.level, 'debug');
+            assert.strictEqual(typeof done.durationMs, 'number');
+            assert.deepStrictEqual(lines, [replace.message]);
+            assert.deepStrictEqual(messages, []);
+        });
+
+        it('prints debug messages and NDJSON from resolveLocalDependencies', async () => {
+            await resolveLocalDependencies({ noInstall: true, logLevel: 'debug', logFormat: 'json' });
+
+            const events = messages.map(([level, line]) => {
+                assert.strictEqual(level, 'log');
+                return JSON.parse(line);
+            });
+            assert.deepStrictEqual(events.map(({ type }) => type), ['run', 'replace', 'done']);
+            assert.deepStrictEqual(events[0].dependencies, ['a']);
+            assert.strictEqual(events[1].message, 'a: replacing symlink with copy from ../a (file: directory)');
+        });
+    });
+});
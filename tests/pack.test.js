@@ -0,0 +1,267 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { extractTarball } = require('../lib/tar');
+const { unlinkLocalDependencies } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile } = require('./helpers');
+
+// Builds a gzipped ustar archive from [{ name, content, mode, type }] entries
+function createTarball(entries) {
+    const blocks = [];
+    entries.forEach(({ name, content = '', mode = 0o644, type = '0', pax }) => {
+        if (pax) {
+            // A pax record starts with its own length, digits included
+            const record = ` path=${pax}\n`;
+            let length = Buffer.byteLength(record) + 1;
+            while (String(length).length + Buffer.byteLength(record) !== length) length++;
+            blocks.push(...createEntry('PaxHeader', Buffer.from(`${length}${record}`), 0o644, 'x'));
+        }
+        blocks.push(...createEntry(name, Buffer.from(content), mode, type));
+    });
+    blocks.push(Buffer.alloc(1024));
+    return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+function createEntry(name, body, mode, type) {
+    const header = Buffer.alloc(512);
+    header.write(name.slice(0, 100), 0);
+    header.write(mode.toString(8).padStart(7, '0'), 100);
+    header.write(body.length.toString(8).padStart(11, '0'), 124);
+    header.write(type, 156);
+    header.write('ustar\u000000', 257);
+    header.fill(0x20, 148, 156);
+    const sum = header.reduce((total, byte) => total + byte, 0);
+    header.write(`${sum.toString(8).padStart(6, '0')}\u0000 `, 148);
+    const padding = Buffer.alloc(Math.ceil(body.length / 512) * 512 - body.length);
+    return [header, body, padding];
+}
+
+describe('extractTarball', () => {
+    let root;
+
+    beforeEach(() => {
+        root = makeTempRoot('tar');
+    });
+
+    afterEach(() => {
+        removeTempRoot(root);
+    });
+
+    it('strips the package directory and keeps executable bits', () => {
+        const longName = `package/${'deep/'.repeat(25)}file.js`;
+        fs.writeFileSync(path.join(root, 'a.tgz'), createTarball([
+            { name: 'package/package.json', content: '{"name":"a"}' },
+            { name: 'package/bin', type: '5', mode: 0o755 },
+            { name: 'package/bin/cli.js', content: '#!/usr/bin/env node', mode: 0o755 },
+            { name: 'package/link', type: '2' },
+            { name: 'ignored-by-pax', content: 'deep', pax: longName },
+        ]));
+
+        const files = extractTarball(path.join(root, 'a.tgz'), path.join(root, 'out'));
+
+        assert.deepStrictEqual(files, ['bin/cli.js', `${'deep/'.repeat(25)}file.js`, 'package.json']);
+        assert.strictEqual(fs.readFileSync(path.join(root, 'out/package.json'), 'utf8'), '{"name":"a"}');
+        assert.strictEqual(fs.readFileSync(path.join(root, 'out', longName.slice(8)), 'utf8'), 'deep');
+        assert.strictEqual(fs.existsSync(path.join(root, 'out/link')), false);
+        if (process.platform !== 'win32') {
+            assert.strictEqual(fs.statSync(path.join(root, 'out/bin/cli.js')).mode & 0o777, 0o755);
+        }
+    });
+
+    it('refuses entries that escape the destination', () => {
+        fs.writeFileSync(path.join(root, 'evil.tgz'), createTarball([
+            { name: 'package/../../evil.js', content: 'x' },
+        ]));
+
+        assert.throws(() => extractTarball(path.join(root, 'evil.tgz'), path.join(root, 'out')), /Refusing to extract/);
+        assert.strictEqual(fs.existsSync(path.join(root, 'evil.js')), false);
+    });
+
+    it('replaces the symlinks of an existing destination instead of writing through them', { skip: process.platform === 'win32' }, () => {
+        const outside = path.join(root, 'outside');
+        fs.mkdirSync(outside);
+        fs.writeFileSync(path.join(outside, 'index.js'), 'outside');
+        fs.mkdirSync(path.join(root, 'out'));
+        fs.symlinkSync(outside, path.join(root, 'out/lib'));
+        fs.symlinkSync(path.join(outside, 'index.js'), path.join(root, 'out/index.js'));
+        fs.writeFileSync(path.join(root, 'a.tgz'), createTarball([
+            { name: 'package/index.js', content: 'inside' },
+            { name: 'package/lib/index.js', content: 'nested' },
+        ]));
+
+        extractTarball(path.join(root, 'a.tgz'), path.join(root, 'out'));
+
+        assert.strictEqual(fs.readFileSync(path.join(outside, 'index.js'), 'utf8'), 'outside');
+        assert.deepStrictEqual(fs.readdirSync(outside), ['index.js']);
+        assert.strictEqual(fs.lstatSync(path.join(root, 'out/lib')).isDirectory(), true);
+        assert.strictEqual(fs.lstatSync(path.join(root, 'out/index.js')).isFile(), true);
+        assert.strictEqual(fs.readFileSync(path.join(root, 'out/lib/index.js'), 'utf8'), 'nested');
+    });
+
+    it('rejects corrupt archives', () => {
+        const tarball = zlib.gunzipSync(createTarball([{ name: 'package/index.js', content: 'x' }]));
+        tarball[0] = 0x41;
+        fs.writeFileSync(path.join(root, 'bad.tar'), tarball);
+
+        assert.throws(() => extractTarball(path.join(root, 'bad.tar'), path.join(root, 'out')), /Invalid tar header/);
+    });
+});
+
+describe('pack mode', () => {
+    let root;
+    let projectRoot;
+    let packCalls;
+    let failing;
+
+    const write = (file, content) => writeFile(path.join(root, file), content);
+
+    const modules = name => path.join(projectRoot, 'node_modules', name);
+
+    beforeEach(() => {
+        root = makeTempRoot('pack');
+        projectRoot = path.join(root, 'app');
+        packCalls = [];
+        failing = new Set();
+
+        write('app/package.json', JSON.stringify({ dependencies: { a: 'file:../a', b: 'file:../b' } }));
+        write('a/package.json', '{"name":"a","scripts":{"prepack":"tsc"}}');
+        write('a/src/index.ts', 'export {}');
+        write('b/package.json', '{"name":"b"}');
+        write('b/index.js', 'b');
+        fs.mkdirSync(path.join(projectRoot, 'node_modules'));
+        fs.symlinkSync('../../a', modules('a'), 'junction');
+        fs.symlinkSync('../../b', modules('b'), 'junction');
+
+        // Stands in for npm pack: the tarball holds build output the source tree does not have
+        mock.method(childProcess, 'spawnSync', (command, args, options) => {
+            packCalls.push({ command, args, cwd: options.cwd });
+            const name = path.basename(options.cwd);
+            if (failing.has(name)) {
+                return { status: 1, stdout: '', stderr: 'npm ERR! prepack: tsc: not found\n' };
+            }
+            fs.writeFileSync(path.join(args[2], `${name}-1.0.0.tgz`), createTarball([
+                { name: 'package/package.json', content: fs.readFileSync(path.join(options.cwd, 'package.json')) },
+                { name: 'package/dist/index.js', content: `built ${name}` },
+            ]));
+            return { status: 0, stdout: `${name}-1.0.0.tgz\n`, stderr: '' };
+        });
+        mock.method(process, 'cwd', () => projectRoot);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    it('extracts the tarball produced by npm pack in the source', () => {
+        unlinkLocalDependencies({ silent: true, noInstall: true, mode: 'pack' });
+
+        assert.deepStrictEqual(packCalls.map(({ command, args, cwd }) => [command, args[0], args[1], cwd]), [
+            ['npm', 'pack', '--pack-destination', path.join(root, 'a')],
+            ['npm', 'pack', '--pack-destination', path.join(root, 'b')],
+        ]);
+        assert.strictEqual(fs.lstatSync(modules('a')).isSymbolicLink(), false);
+        assert.strictEqual(fs.readFileSync(path.join(modules('a'), 'dist/index.js'), 'utf8'), 'built a');
+        assert.strictEqual(fs.existsSync(path.join(modules('a'), 'src/index.ts')), false);
+        // The temporary pack directory is cleaned up
+        assert.strictEqual(fs.existsSync(packCalls[0].args[2]), false);
+
+        const record = JSON.parse(fs.readFileSync(path.join(projectRoot, 'node_modules/.resolve-local-dependencies/a.json'), 'utf8'));
+        assert.strictEqual(record.mode, 'pack');
+        assert.deepStrictEqual(Object.keys(record.files), ['dist/index.js', 'package.json']);
+        assert.deepStrictEqual(Object.keys(record.sources), ['package.json']);
+    });
+
+    it('reports a failed pack and carries on with the other packages', () => {
+        failing.add('a');
+        const errors = mock.method(console, 'error', () => {});
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+
+        unlinkLocalDependencies({ noInstall: true, mode: 'pack' });
+
+        assert.ok(errors.mock.calls.some(call => String(call.arguments[0]).includes('Failed to pack a: npm pack exited with code 1')));
+        assert.strictEqual(fs.lstatSync(modules('a')).isSymbolicLink(), true, 'symlink of the failed package kept');
+        assert.strictEqual(fs.existsSync(path.join(projectRoot, 'node_modules/.resolve-local-dependencies/a.json')), false);
+        assert.strictEqual(fs.readFileSync(path.join(modules('b'), 'dist/index.js'), 'utf8'), 'built b');
+    });
+
+    it('plans a pack step in dry-run mode', () => {
+        const plan = unlinkLocalDependencies({ noInstall: true, mode: 'pack', dryRun: true });
+
+        assert.deepStrictEqual(plan.dependencies.map(({ actions }) => actions), [['replace', 'pack'], ['replace', 'pack']]);
+        assert.strictEqual(packCalls.length, 0);
+    });
+
+    it('rejects an unknown mode', () => {
+        assert.throws(() => unlinkLocalDependencies({ silent: true, mode: 'zip' }), /Unknown mode "zip"/);
+    });
+});
+
+describe('tarball specs', () => {
+    let root;
+    let projectRoot;
+
+    const modules = name => path.join(projectRoot, 'node_modules', name);
+    const recordFile = () => path.join(projectRoot, 'node_modules/.resolve-local-dependencies/lib.json');
+
+    function writeTarball(content) {
+        fs.writeFileSync(path.join(root, 'lib-1.0.0.tgz'), createTarball([
+            { name: 'package/package.json', content: '{"name":"lib"}' },
+            { name: 'package/index.js', content },
+        ]));
+    }
+
+    beforeEach(() => {
+        root = makeTempRoot('tgz');
+        projectRoot = path.join(root, 'app');
+        fs.mkdirSync(path.join(projectRoot, 'node_modules'), { recursive: true });
+        fs.writeFileSync(path.join(projectRoot, 'package.json'), JSON.stringify({ dependencies: { lib: 'file:../lib-1.0.0.tgz' } }));
+        writeTarball('v1');
+        mock.method(process, 'cwd', () => projectRoot);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    it('extracts a symlinked tarball dependency without packing', () => {
+        const spawn = mock.method(childProcess, 'spawnSync', () => ({ status: 0 }));
+        fs.symlinkSync(root, modules('lib'), 'junction');
+
+        unlinkLocalDependencies({ silent: true, noInstall: true });
+
+        assert.strictEqual(spawn.mock.callCount(), 0);
+        assert.strictEqual(fs.lstatSync(modules('lib')).isSymbolicLink(), false);
+        assert.strictEqual(fs.readFileSync(path.join(modules('lib'), 'index.js'), 'utf8'), 'v1');
+        const record = JSON.parse(fs.readFileSync(recordFile(), 'utf8'));
+        assert.deepStrictEqual(Object.keys(record.sources), ['lib-1.0.0.tgz']);
+    });
+
+    it('extracts the tarball again when it changes', () => {
+        fs.symlinkSync(root, modules('lib'), 'junction');
+        unlinkLocalDependencies({ silent: true, noInstall: true });
+
+        writeTarball('v2');
+        const plan = unlinkLocalDependencies({ noInstall: true, dryRun: true });
+        assert.deepStrictEqual(plan.dependencies[0].actions, ['update']);
+
+        unlinkLocalDependencies({ silent: true, noInstall: true });
+        assert.strictEqual(fs.readFileSync(path.join(modules('lib'), 'index.js'), 'utf8'), 'v2');
+    });
+
+    it('measures the tarball in dry-run mode', () => {
+        fs.symlinkSync(root, modules('lib'), 'junction');
+
+        const plan = unlinkLocalDependencies({ dryRun: true });
+
+        const [entry] = plan.dependencies;
+        assert.deepStrictEqual(entry.actions, ['replace', 'install']);
+        assert.strictEqual(entry.files, 2);
+        assert.strictEqual(entry.bytes, '{"name":"lib"}'.length + 2);
+    });
+});
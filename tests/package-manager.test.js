@@ -0,0 +1,74 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { detectPackageManager, resolvePackageManager, installCommand } = require('../lib/package-manager');
+const { makeTempRoot, removeTempRoot, writeFile } = require('./helpers');
+
+describe('package managers', () => {
+    let root;
+
+    const write = (file, content = '') => writeFile(path.join(root, file), content);
+
+    beforeEach(() => {
+        root = makeTempRoot('pm');
+        write('package.json', '{}');
+    });
+
+    afterEach(() => {
+        removeTempRoot(root);
+    });
+
+    it('defaults to npm', () => {
+        assert.deepStrictEqual(detectPackageManager(root), { name: 'npm' });
+    });
+
+    it('detects the package manager from the lockfile', () => {
+        write('pnpm-lock.yaml');
+        assert.deepStrictEqual(detectPackageManager(root), { name: 'pnpm' });
+
+        fs.rmSync(path.join(root, 'pnpm-lock.yaml'));
+        write('bun.lockb');
+        assert.deepStrictEqual(detectPackageManager(root), { name: 'bun' });
+    });
+
+    it('tells Yarn 1 and Yarn 2+ lockfiles apart', () => {
+        write('yarn.lock', '# yarn lockfile v1\n');
+        assert.deepStrictEqual(detectPackageManager(root), { name: 'yarn', major: 1 });
+
+        write('yarn.lock', '__metadata:\n  version: 8\n');
+        assert.deepStrictEqual(detectPackageManager(root), { name: 'yarn', major: 2 });
+    });
+
+    it('prefers the packageManager field over lockfiles', () => {
+        write('package-lock.json', '{}');
+        write('package.json', '{"packageManager":"yarn@4.1.0+sha256.abc"}');
+
+        assert.deepStrictEqual(detectPackageManager(root), { name: 'yarn', major: 4 });
+    });
+
+    it('lets an override win over detection', () => {
+        write('pnpm-lock.yaml');
+
+        assert.deepStrictEqual(resolvePackageManager('bun', root), { name: 'bun' });
+        assert.deepStrictEqual(resolvePackageManager('yarn@1', root), { name: 'yarn', major: 1 });
+    });
+
+    it('rejects unknown package managers and Yarn 2+ production installs', () => {
+        assert.throws(() => resolvePackageManager('cnpm', root), /Unsupported package manager "cnpm"/);
+        assert.throws(() => resolvePackageManager('yarn@3', root), /Yarn 2\+ cannot install production dependencies only/);
+        assert.deepStrictEqual(resolvePackageManager('yarn@3', root, { dev: true }), { name: 'yarn', major: 3 });
+    });
+
+    it('builds the install command of each package manager', () => {
+        const args = (name, major, dev) => installCommand({ name, major }, { dev }).args.join(' ');
+
+        assert.strictEqual(args('npm', undefined, false), 'install --no-audit --no-fund --production');
+        assert.strictEqual(args('npm', undefined, true), 'install --no-audit --no-fund');
+        assert.strictEqual(args('pnpm', undefined, false), 'install --ignore-workspace --prod');
+        assert.strictEqual(args('yarn', 1, false), 'install --no-lockfile --production');
+        assert.strictEqual(args('yarn', 4, true), 'install');
+        assert.strictEqual(args('bun', undefined, false), 'install --production');
+        assert.strictEqual(installCommand({ name: 'pnpm' }).command, 'pnpm');
+    });
+});
@@ -0,0 +1,193 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { packList } = require('../lib/packlist');
+const { makeTempRoot, removeTempRoot, writeFile } = require('./helpers');
+
+describe('packList', () => {
+    let root;
+
+    /**
+     * Writes a file tree under root. Keys are relative paths, values file contents.
+     */
+    function writeTree(tree) {
+        Object.entries(tree).forEach(([file, content]) => writeFile(path.join(root, file), content));
+    }
+
+    beforeEach(() => {
+        root = makeTempRoot('packlist');
+    });
+
+    afterEach(() => {
+        removeTempRoot(root);
+    });
+
+    it('includes everything but the always-ignored files when there are no rules', () => {
+        writeTree({
+            'package.json': {},
+            'index.js': '',
+            'lib/a.js': '',
+            '.git/HEAD': '',
+            'node_modules/dep/index.js': '',
+            'lib/node_modules/dep/index.js': '',
+            'package-lock.json': '',
+            '.npmrc': '',
+            '.DS_Store': ''
+        });
+
+        assert.deepStrictEqual(packList(root), ['index.js', 'lib/a.js', 'package.json']);
+    });
+
+    it('honours the files whitelist and always includes package.json, README, LICENSE, main and bin', () => {
+        writeTree({
+            'package.json': { files: ['dist/', 'types/*.d.ts'], main: 'index.js', bin: { tool: './bin/tool.js' } },
+            'README.md': '',
+            'LICENSE': '',
+            'index.js': '',
+            'bin/tool.js': '',
+            'bin/other.js': '',
+            'dist/a.js': '',
+            'dist/nested/b.js': '',
+            'types/a.d.ts': '',
+            'types/a.ts': '',
+            'src/a.ts': '',
+            '.npmignore': 'dist/\n'
+        });
+
+        assert.deepStrictEqual(packList(root), [
+            'LICENSE',
+            'README.md',
+            'bin/tool.js',
+            'dist/a.js',
+            'dist/nested/b.js',
+            'index.js',
+            'package.json',
+            'types/a.d.ts'
+        ]);
+    });
+
+    it('leaves out what negated files entries match', () => {
+        writeTree({
+            'package.json': { files: ['lib', '!lib/sub/*.test.js', '!*.map', 'lib/sub/keep.test.js'] },
+            'lib/a.js': '',
+            'lib/a.js.map': '',
+            'lib/sub/b.js': '',
+            'lib/sub/c.test.js': '',
+            'lib/sub/keep.test.js': ''
+        });
+
+        assert.deepStrictEqual(packList(root), ['lib/a.js', 'lib/sub/b.js', 'lib/sub/keep.test.js', 'package.json']);
+    });
+
+    it('uses .npmignore over .gitignore and applies negations', () => {
+        writeTree({
+            'package.json': {},
+            'index.js': '',
+            'dist/a.js': '',
+            'test/a.test.js': '',
+            'test/fixtures/keep.json': '',
+            '.gitignore': 'dist/\n',
+            '.npmignore': '# tests\ntest/*\n!test/fixtures\n'
+        });
+
+        assert.deepStrictEqual(packList(root), [
+            'dist/a.js',
+            'index.js',
+            'package.json',
+            'test/fixtures/keep.json'
+        ]);
+    });
+
+    it('falls back to .gitignore and applies nested ignore files relative to their directory', () => {
+        writeTree({
+            'package.json': {},
+            'index.js': '',
+            'coverage/lcov.info': '',
+            'lib/a.js': '',
+            'lib/a.js.map': '',
+            'lib/.npmignore': '*.map\n/a.js\n',
+            'lib/sub/a.js': '',
+            '.gitignore': 'coverage\n'
+        });
+
+        assert.deepStrictEqual(packList(root), ['index.js', 'lib/sub/a.js', 'package.json']);
+    });
+
+    it('applies extra include and ignore globs', () => {
+        writeTree({
+            'package.json': { files: ['lib'] },
+            'lib/a.js': '',
+            'lib/a.js.map': '',
+            'docs/guide.md': '',
+            'generated/keep.js': '',
+            '.gitignore': 'generated/\n'
+        });
+
+        const files = packList(root, { include: ['generated/**', 'docs/guide.md'], ignore: ['*.map'] });
+
+        assert.deepStrictEqual(files, ['docs/guide.md', 'generated/keep.js', 'lib/a.js', 'package.json']);
+    });
+
+    describe('symlinks', () => {
+        let outside;
+
+        beforeEach(() => {
+            outside = makeTempRoot('outside');
+            fs.writeFileSync(path.join(outside, 'shared.js'), '');
+            writeTree({ 'package.json': {}, 'lib/a.js': '' });
+            fs.symlinkSync('lib', path.join(root, 'alias'), 'dir');
+            fs.symlinkSync('..', path.join(root, 'lib/parent'), 'dir');
+            fs.symlinkSync(path.join(outside, 'shared.js'), path.join(root, 'shared.js'));
+            fs.symlinkSync('missing.js', path.join(root, 'broken.js'));
+        });
+
+        afterEach(() => {
+            removeTempRoot(outside);
+        });
+
+        const list = symlinks => {
+            const warnings = [];
+            const files = packList(root, { symlinks, onWarning: message => warnings.push(message) });
+            return { files, warnings };
+        };
+
+        it('keeps links inside the package and copies what outside links point to by default', () => {
+            assert.deepStrictEqual(list(), {
+                files: ['alias', 'lib/a.js', 'lib/parent', 'package.json', 'shared.js'],
+                warnings: [
+                    'broken.js is a broken symlink, leaving it out',
+                    'shared.js links outside the package, copying what it points to',
+                ],
+            });
+        });
+
+        it('follows links when dereferencing, without looping', () => {
+            assert.deepStrictEqual(list('dereference'), {
+                files: ['alias/a.js', 'lib/a.js', 'package.json', 'shared.js'],
+                warnings: [
+                    'alias/parent is a symlink loop, leaving it out',
+                    'broken.js is a broken symlink, leaving it out',
+                    'lib/parent is a symlink loop, leaving it out',
+                ],
+            });
+        });
+
+        it('leaves links out when skipping', () => {
+            const { files, warnings } = list('skip');
+
+            assert.deepStrictEqual(files, ['lib/a.js', 'package.json']);
+            assert.strictEqual(warnings.length, 4);
+        });
+    });
+
+    it('leaves out FIFOs with a warning', { skip: process.platform === 'win32' }, () => {
+        writeTree({ 'package.json': {}, 'index.js': '' });
+        childProcess.execFileSync('mkfifo', [path.join(root, 'pipe')]);
+        const warnings = [];
+
+        assert.deepStrictEqual(packList(root, { onWarning: message => warnings.push(message) }), ['index.js', 'package.json']);
+        assert.deepStrictEqual(warnings, ['pipe is a FIFO, leaving it out']);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { unlinkLocalDependencies, relinkLocalDependencies } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile } = require('./helpers');
+
+describe('relinkLocalDependencies', () => {
+    let root;
+    let projectRoot;
+
+    const write = (file, content) => writeFile(path.join(root, file), content);
+
+    const modules = name => path.join(projectRoot, 'node_modules', name);
+    const isLink = name => fs.lstatSync(modules(name)).isSymbolicLink();
+
+    beforeEach(() => {
+        root = makeTempRoot('relink');
+        projectRoot = path.join(root, 'app');
+
+        write('app/package.json', JSON.stringify({
+            dependencies: { a: 'file:../a', b: 'file:../b' }
+        }));
+        write('a/package.json', '{"name":"a"}');
+        write('a/index.js', 'a');
+        write('b/package.json', '{"name":"b"}');
+        fs.mkdirSync(path.join(projectRoot, 'node_modules'));
+        fs.symlinkSync('../../a', modules('a'), 'junction');
+        fs.symlinkSync('../../b', modules('b'), 'junction');
+
+        mock.method(process, 'cwd', () => projectRoot);
+        unlinkLocalDependencies({ silent: true, noInstall: true });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    it('restores the original symlinks', () => {
+        assert.strictEqual(isLink('a'), false);
+
+        const result = relinkLocalDependencies({ silent: true });
+
+        assert.deepStrictEqual(result, { relinked: ['a', 'b'], refused: [], missing: [] });
+        assert.strictEqual(isLink('a'), true);
+        assert.strictEqual(fs.readlinkSync(modules('a')), '../../a');
+        assert.strictEqual(fs.existsSync(path.join(projectRoot, 'node_modules/.resolve-local-dependencies/a.json')), false);
+    });
+
+    it('relinks only the named packages and reports unknown ones', () => {
+        const result = relinkLocalDependencies({ silent: true, packages: ['b', 'nope'] });
+
+        assert.deepStrictEqual(result, { relinked: ['b'], refused: [], missing: ['nope'] });
+        assert.strictEqual(isLink('a'), false);
+        assert.strictEqual(isLink('b'), true);
+    });
+
+    it('refuses to relink a modified copy unless forced', () => {
+        fs.appendFileSync(path.join(modules('a'), 'index.js'), ' edited');
+        fs.writeFileSync(path.join(modules('b'), 'new.js'), '');
+
+        const refused = relinkLocalDependencies({ silent: true });
+        assert.deepStrictEqual(refused, { relinked: [], refused: ['a', 'b'], missing: [] });
+        assert.strictEqual(isLink('a'), false);
+
+        const forced = relinkLocalDependencies({ silent: true, force: true });
+        assert.deepStrictEqual(forced.relinked, ['a', 'b']);
+        assert.strictEqual(isLink('a'), true);
+    });
+
+    it('ignores what an install adds to the copy', () => {
+        fs.mkdirSync(path.join(modules('a'), 'node_modules', 'dep'), { recursive: true });
+        fs.writeFileSync(path.join(modules('a'), 'package-lock.json'), '{}');
+
+        assert.deepStrictEqual(relinkLocalDependencies({ silent: true, packages: ['a'] }).relinked, ['a']);
+    });
+});
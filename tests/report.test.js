@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { unlinkLocalDependencies, formatReport } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile, createLinkedPackage, captureConsole } = require('./helpers');
+
+describe('report', () => {
+    let root;
+    let projectRoot;
+    let messages;
+
+    const modules = name => path.join(projectRoot, 'node_modules', name);
+
+    const write = (file, content) => writeFile(path.join(root, file), content);
+
+    const createPackage = (name, dependencies = {}) => createLinkedPackage(root, name, { dependencies }, { 'index.js': 'x'.repeat(100) });
+
+    beforeEach(() => {
+        root = makeTempRoot('report');
+        projectRoot = path.join(root, 'app');
+        fs.mkdirSync(path.join(projectRoot, 'node_modules'), { recursive: true });
+
+        messages = captureConsole();
+        mock.method(process, 'cwd', () => projectRoot);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    it('reports what was done for each dependency', () => {
+        write('app/package.json', { dependencies: { a: 'file:../a', b: 'file:../b', gone: 'file:../gone' } });
+        createPackage('a', { c: 'file:../c' });
+        createPackage('b');
+        write('c/package.json', { name: 'c' });
+        // Copies are installed while staged, under another directory name
+        mock.method(childProcess, 'spawnSync', (command, args, options) => {
+            const { name } = JSON.parse(fs.readFileSync(path.join(options.cwd, 'package.json'), 'utf8'));
+            return { status: name === 'b' ? 1 : 0 };
+        });
+
+        const report = unlinkLocalDependencies({ silent: true });
+
+        assert.strictEqual(report.ok, false);
+        assert.deepStrictEqual(
+            report.dependencies.map(({ name, parent, actions, files, install, error }) => ({ name, parent, actions, files, install, error })),
+            [
+                { name: 'a', parent: null, actions: ['replace'], files: 2, install: 'succeeded', error: null },
+                { name: 'c', parent: 'a', actions: ['replace'], files: 1, install: 'succeeded', error: null },
+                { name: 'b', parent: null, actions: ['replace'], files: 2, install: 'failed', error: 'npm install exited with code 1' },
+                { name: 'gone', parent: null, actions: ['missing'], files: 0, install: null, error: null },
+            ]
+        );
+        assert.ok(report.dependencies[0].bytes > 100);
+        assert.ok(report.dependencies.every(({ durationMs }) => Number.isInteger(durationMs)));
+    });
+
+    it('records a failed copy and carries on with the other dependencies', () => {
+        write('app/package.json', { dependencies: { a: 'file:../a', b: 'file:../b' } });
+        createPackage('a');
+        createPackage('b');
+        const copyFileSync = fs.copyFileSync;
+        mock.method(fs, 'copyFileSync', (src, dest) => {
+            if (src.includes(`${path.sep}a${path.sep}`)) throw new Error('EACCES: permission denied');
+            copyFileSync(src, dest);
+        });
+
+        const report = unlinkLocalDependencies({ noInstall: true });
+
+        assert.deepStrictEqual(report.dependencies.map(({ name, error }) => [name, error]), [
+            ['a', 'EACCES: permission denied'],
+            ['b', null],
+        ]);
+        assert.strictEqual(report.ok, false);
+        assert.ok(messages.includes('[ERROR] Failed to copy a: EACCES: permission denied'));
+        assert.ok(fs.existsSync(path.join(modules('b'), 'index.js')));
+    });
+
+    it('renders the report as a summary table', () => {
+        const text = formatReport({
+            dependencies: [
+                { name: 'a', parent: null, actions: ['replace'], files: 12, bytes: 20480, strategy: 'reflink', install: 'succeeded', error: null, durationMs: 950 },
+                { name: 'c', parent: 'a', actions: ['skip-cycle'], files: 0, bytes: 0, install: null, error: null, durationMs: 0 },
+                { name: 'gone', parent: null, workspace: 'web', actions: ['missing'], files: 0, bytes: 0, install: null, error: null, durationMs: 0 },
+            ],
+        });
+
+        assert.strictEqual(text, [
+            'Summary: 3 local dependencies, 1 failed.',
+            '  Package     Action      Files  Size     Strategy  Install    Time',
+            '  a           replace     12     20.5 kB  reflink   succeeded  950 ms',
+            '  a > c       skip-cycle  -      -        -         -          -',
+            '  gone (web)  missing     -      -        -         -          -',
+            'Failures:',
+            '  gone: not found in node_modules',
+        ].join('\n'));
+        assert.strictEqual(formatReport({ dependencies: [] }), 'Summary: no local dependencies found.');
+    });
+});
@@ -0,0 +1,173 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { resolveLocalDependencies } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile, createLinkedPackage, captureConsole } = require('./helpers');
+
+describe('resolveLocalDependencies', () => {
+    let root;
+    let projectRoot;
+    let messages;
+    let spawns;
+
+    const modules = name => path.join(projectRoot, 'node_modules', name);
+
+    const write = (file, content) => writeFile(path.join(root, file), content);
+
+    const createPackage = (name, dependencies = {}) => createLinkedPackage(root, name, { dependencies });
+
+    /**
+     * Replaces child_process.spawn with a fake child that prints a line and exits
+     * with the status given by exit, after delays[package] milliseconds.
+     */
+    function mockSpawn({ delays = {}, exit = () => 0 } = {}) {
+        let running = 0;
+        spawns = { calls: [], maxRunning: 0 };
+        mock.method(childProcess, 'spawn', (command, args, options) => {
+            // Copies are installed while staged, under another directory name
+            const { name } = JSON.parse(fs.readFileSync(path.join(options.cwd, 'package.json'), 'utf8'));
+            const child = new EventEmitter();
+            child.stdout = new EventEmitter();
+            child.stderr = new EventEmitter();
+
+            spawns.calls.push({ command, args, name });
+            spawns.maxRunning = Math.max(spawns.maxRunning, ++running);
+            setTimeout(() => {
+                running--;
+                child.stdout.emit('data', `output of ${name}`);
+                child.emit('close', exit(name, args));
+            }, delays[name] || 0);
+            return child;
+        });
+    }
+
+    beforeEach(() => {
+        root = makeTempRoot('resolve');
+        projectRoot = path.join(root, 'app');
+        fs.mkdirSync(path.join(projectRoot, 'node_modules'), { recursive: true });
+
+        messages = captureConsole();
+        mock.method(process, 'cwd', () => projectRoot);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    it('copies and installs every dependency, printing the messages of each one together', async () => {
+        write('app/package.json', { dependencies: { a: 'file:../a', b: 'file:../b' } });
+        createPackage('a');
+        createPackage('b');
+        fs.chmodSync(path.join(root, 'a/index.js'), 0o755);
+        // a is copied first but its install finishes last
+        mockSpawn({ delays: { a: 30 } });
+
+        const report = await resolveLocalDependencies();
+
+        ['a', 'b'].forEach(name => {
+            assert.strictEqual(fs.lstatSync(modules(name)).isSymbolicLink(), false);
+            assert.strictEqual(fs.readFileSync(path.join(modules(name), 'index.js'), 'utf8'), `module.exports = '${name}';`);
+            assert.ok(fs.existsSync(path.join(projectRoot, `node_modules/.resolve-local-dependencies/${name}.json`)));
+        });
+        assert.strictEqual(fs.statSync(path.join(modules('a'), 'index.js')).mode & 0o777, 0o755);
+        assert.deepStrictEqual(spawns.calls.map(({ name, args }) => [name, args]), [
+            ['a', ['install', '--no-audit', '--no-fund', '--production']],
+            ['b', ['install', '--no-audit', '--no-fund', '--production']],
+        ]);
+        assert.deepStrictEqual(messages, [
+            '[REPLACE] b: replacing symlink with copy from ../b (file: directory)',
+            '[INSTALL] Running npm install --no-audit --no-fund --production in b',
+            'output of b',
+            '[REPLACE] a: replacing symlink with copy from ../a (file: directory)',
+            '[INSTALL] Running npm install --no-audit --no-fund --production in a',
+            'output of a',
+        ]);
+        // The report keeps the order of package.json
+        assert.strictEqual(report.ok, true);
+        assert.deepStrictEqual(report.dependencies.map(({ name, install, files }) => [name, install, files]), [
+            ['a', 'succeeded', 2],
+            ['b', 'succeeded', 2],
+        ]);
+    });
+
+    it('installs at most concurrency dependencies at once', async () => {
+        const names = ['a', 'b', 'c', 'd'];
+        write('app/package.json', { dependencies: Object.fromEntries(names.map(name => [name, `file:../${name}`])) });
+        names.forEach(name => createPackage(name));
+        mockSpawn({ delays: { a: 10, b: 10, c: 10, d: 10 } });
+
+        await resolveLocalDependencies({ silent: true, concurrency: 2 });
+
+        assert.strictEqual(spawns.calls.length, 4);
+        assert.strictEqual(spawns.maxRunning, 2);
+        assert.deepStrictEqual(messages, []);
+    });
+
+    it('copies nested dependencies within the task of their parent', async () => {
+        write('app/package.json', { dependencies: { a: 'file:../a' } });
+        createPackage('a', { b: 'file:../b' });
+        write('b/package.json', { name: 'b' });
+        write('b/index.js', 'b');
+        mockSpawn();
+
+        await resolveLocalDependencies({ noInstall: true });
+
+        assert.ok(fs.existsSync(path.join(modules('a'), 'node_modules/b/index.js')));
+        assert.strictEqual(JSON.parse(fs.readFileSync(path.join(modules('a'), 'package.json'), 'utf8')).dependencies.b,
+            `file:${path.join(root, 'b')}`);
+        assert.deepStrictEqual(messages.map(message => message.split(':')[0]), ['[REPLACE] a', '[NESTED] a > b']);
+        assert.strictEqual(spawns.calls.length, 0);
+    });
+
+    it('keeps the symlink when npm pack fails', async () => {
+        write('app/package.json', { dependencies: { a: 'file:../a' } });
+        createPackage('a');
+        mockSpawn({ exit: () => 1 });
+
+        const report = await resolveLocalDependencies({ mode: 'pack' });
+
+        assert.strictEqual(fs.lstatSync(modules('a')).isSymbolicLink(), true);
+        assert.strictEqual(spawns.calls[0].args[0], 'pack');
+        assert.ok(messages.includes('[ERROR] Failed to pack a: npm pack exited with code 1:\noutput of a'), messages.join('\n'));
+        assert.strictEqual(report.ok, false);
+        assert.deepStrictEqual(report.dependencies[0].actions, ['replace', 'pack-failed']);
+    });
+
+    it('returns the plan in dry-run mode and rejects an invalid concurrency', async () => {
+        write('app/package.json', { dependencies: { a: 'file:../a' } });
+        createPackage('a');
+        mockSpawn();
+
+        const plan = await resolveLocalDependencies({ dryRun: true });
+        assert.deepStrictEqual(plan.dependencies.map(({ name, actions }) => [name, actions]), [['a', ['replace', 'install']]]);
+        assert.strictEqual(fs.lstatSync(modules('a')).isSymbolicLink(), true);
+
+        await assert.rejects(resolveLocalDependencies({ concurrency: 0 }), /concurrency must be a positive integer, got 0/);
+    });
+
+    it('keeps modes, timestamps and links inside the package, and warns about links leaving it', async () => {
+        write('app/package.json', { dependencies: { a: 'file:../a' } });
+        createPackage('a');
+        write('a/bin/run.js', '#!/usr/bin/env node');
+        write('shared.js', '');
+        const source = path.join(root, 'a');
+        const mtime = new Date('2024-01-02T03:04:05Z');
+        fs.chmodSync(path.join(source, 'bin/run.js'), 0o755);
+        fs.utimesSync(path.join(source, 'bin/run.js'), mtime, mtime);
+        fs.symlinkSync('bin/run.js', path.join(source, 'cli.js'));
+        fs.symlinkSync('../shared.js', path.join(source, 'shared.js'));
+
+        await resolveLocalDependencies({ noInstall: true });
+
+        const run = fs.statSync(path.join(modules('a'), 'bin/run.js'));
+        assert.strictEqual(run.mode & 0o777, 0o755);
+        assert.strictEqual(run.mtimeMs, mtime.getTime());
+        assert.strictEqual(fs.readlinkSync(path.join(modules('a'), 'cli.js')), 'bin/run.js');
+        assert.strictEqual(fs.lstatSync(path.join(modules('a'), 'shared.js')).isSymbolicLink(), false);
+        assert.ok(messages.includes('[WARN] a: shared.js links outside the package, copying what it points to'));
+    });
+});
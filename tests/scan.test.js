@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { scanNodeModules } = require('../lib/scan');
+const { formatReport } = require('../lib/report');
+const { unlinkLocalDependencies, relinkLocalDependencies, statusLocalDependencies } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile, captureConsole } = require('./helpers');
+
+describe('scan', () => {
+    let root;
+    let projectRoot;
+    let messages;
+
+    const modules = name => path.join(projectRoot, 'node_modules', name);
+
+    const write = (file, content) => writeFile(path.join(root, file), content);
+
+    function link(target, name) {
+        fs.mkdirSync(path.dirname(modules(name)), { recursive: true });
+        fs.symlinkSync(path.relative(path.dirname(modules(name)), path.join(root, target)), modules(name), 'junction');
+    }
+
+    beforeEach(() => {
+        root = makeTempRoot('scan');
+        projectRoot = path.join(root, 'app');
+
+        write('app/package.json', { name: 'app', dependencies: { a: 'file:../a', lodash: '^4.17.21' } });
+        write('app/node_modules/lodash/package.json', { name: 'lodash' });
+        write('app/tools/gen/package.json', { name: 'gen' });
+        ['a', 'linked', 'nested'].forEach(name => {
+            write(`${name}/package.json`, { name });
+            write(`${name}/index.js`, name);
+        });
+        link('a', 'a');
+        // npm link, then a nested file: spec of an installed package, then a link inside the project
+        link('linked', '@scope/linked');
+        write('app/node_modules/lodash/node_modules/.keep', '');
+        link('nested', 'lodash/node_modules/nested');
+        link('app/tools/gen', 'gen');
+        link('missing', 'dangling');
+
+        messages = captureConsole();
+        mock.method(process, 'cwd', () => projectRoot);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    it('finds the links out of the project at any depth, and the ones into the paths given', () => {
+        const found = scanNodeModules(projectRoot);
+        assert.deepStrictEqual(found.map(({ name, src, via }) => [name, src, via]), [
+            ['@scope/linked', path.join(root, 'linked'), undefined],
+            ['a', path.join(root, 'a'), undefined],
+            ['nested', path.join(root, 'nested'), 'lodash'],
+        ]);
+        assert.deepStrictEqual(found[0], {
+            name: '@scope/linked',
+            category: 'undeclared',
+            spec: 'link:../linked',
+            protocol: 'link',
+            type: 'directory',
+            relativePath: '../linked',
+            src: path.join(root, 'linked'),
+            dest: modules('@scope/linked'),
+        });
+
+        const names = scanNodeModules(projectRoot, { paths: ['tools'] }).map(({ name }) => name);
+        assert.deepStrictEqual(names, ['@scope/linked', 'a', 'gen', 'nested']);
+    });
+
+    it('copies the undeclared links and reports them', () => {
+        const report = unlinkLocalDependencies({ scan: true, noInstall: true });
+
+        // The declared one keeps its spec and category
+        assert.deepStrictEqual(report.dependencies.map(({ name, category }) => [name, category]), [
+            ['a', 'dependencies'],
+            ['@scope/linked', 'undeclared'],
+            ['nested', 'undeclared'],
+        ]);
+        ['a', '@scope/linked', 'lodash/node_modules/nested'].forEach(name => {
+            assert.strictEqual(fs.lstatSync(modules(name)).isSymbolicLink(), false);
+        });
+        assert.strictEqual(fs.lstatSync(modules('gen')).isSymbolicLink(), true);
+        assert.ok(messages.includes(`[SCAN] nested (in lodash): node_modules/lodash/node_modules/nested links to ${path.join(root, 'nested')}, `
+            + 'which package.json does not declare'));
+        assert.ok(formatReport(report).endsWith([
+            'Not declared in package.json:',
+            '  @scope/linked: node_modules/@scope/linked -> ../linked',
+            '  nested: node_modules/lodash/node_modules/nested -> ../nested',
+        ].join('\n')));
+
+        // The copies are found again through their records
+        assert.deepStrictEqual(scanNodeModules(projectRoot).map(({ name }) => name), ['@scope/linked', 'nested']);
+        assert.deepStrictEqual(statusLocalDependencies({ scan: true }).map(({ name, status }) => [name, status]), [
+            ['a', 'up-to-date'],
+            ['@scope/linked', 'up-to-date'],
+            ['nested', 'up-to-date'],
+        ]);
+
+        assert.deepStrictEqual(relinkLocalDependencies({ silent: true }).relinked, ['a']);
+        assert.deepStrictEqual(relinkLocalDependencies({ silent: true, scan: true }).relinked, ['@scope/linked', 'nested']);
+        assert.strictEqual(fs.realpathSync(modules('lodash/node_modules/nested')), path.join(root, 'nested'));
+    });
+
+    it('leaves undeclared links alone without the option', () => {
+        const report = unlinkLocalDependencies({ noInstall: true, silent: true });
+
+        assert.deepStrictEqual(report.dependencies.map(({ name }) => name), ['a']);
+        assert.strictEqual(fs.lstatSync(modules('@scope/linked')).isSymbolicLink(), true);
+        assert.ok(!formatReport(report).includes('Not declared'));
+    });
+});
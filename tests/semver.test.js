@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseVersion, compareVersions, parseRange, satisfies } = require('../lib/semver');
+
+describe('semver', () => {
+    it('parses versions and orders them', () => {
+        assert.deepStrictEqual(parseVersion('v1.2.3-beta.2+build.5'), { major: 1, minor: 2, patch: 3, prerelease: ['beta', 2] });
+        assert.strictEqual(parseVersion('1.2'), null);
+
+        const sorted = ['1.0.0', '1.0.0-rc.1', '1.0.0-beta.11', '1.0.0-beta.2', '1.0.0-alpha', '0.9.9', '1.0.0-alpha.1']
+            .map(parseVersion)
+            .sort(compareVersions)
+            .map(({ major, minor, patch, prerelease }) => [`${major}.${minor}.${patch}`, ...prerelease].join('.'));
+        assert.deepStrictEqual(sorted, [
+            '0.9.9',
+            '1.0.0.alpha',
+            '1.0.0.alpha.1',
+            '1.0.0.beta.2',
+            '1.0.0.beta.11',
+            '1.0.0.rc.1',
+            '1.0.0',
+        ]);
+    });
+
+    it('matches caret, tilde, x-ranges and comparators as npm does', () => {
+        const cases = [
+            ['18.2.0', '^18.0.0', true],
+            ['17.0.2', '^18.0.0', false],
+            ['18.2.0', '^17.0.0 || ^18.0.0', true],
+            ['0.2.5', '^0.2.3', true],
+            ['0.3.0', '^0.2.3', false],
+            ['0.0.4', '^0.0.3', false],
+            ['1.2.9', '~1.2.3', true],
+            ['1.3.0', '~1.2.3', false],
+            ['1.5.0', '1.x', true],
+            ['2.0.0', '1', false],
+            ['3.0.0', '*', true],
+            ['3.0.0', '', true],
+            ['16.8.0', '>= 16.8', true],
+            ['1.2.9', '>1.2', false],
+            ['1.2.9', '<=1.2', true],
+            ['1.0.0', '=1.0.0', true],
+        ];
+        cases.forEach(([version, range, expected]) => {
+            assert.strictEqual(satisfies(version, range), expected, `${version} in ${range}`);
+        });
+    });
+
+    it('matches hyphen ranges, with partial upper bounds covering their whole line', () => {
+        assert.strictEqual(satisfies('1.4.9', '1.0 - 1.4'), true);
+        assert.strictEqual(satisfies('1.5.0', '1.0 - 1.4'), false);
+        assert.strictEqual(satisfies('1.4.9', '1.0.0 - 1.4.0'), false);
+    });
+
+    it('only lets prereleases satisfy ranges naming the same release', () => {
+        assert.strictEqual(satisfies('2.0.0-beta.1', '^2.0.0-alpha'), true);
+        assert.strictEqual(satisfies('2.1.0-beta.1', '^2.0.0-alpha'), false);
+        assert.strictEqual(satisfies('2.0.0-beta.1', '^1.0.0'), false);
+        assert.strictEqual(satisfies('2.0.0-beta.1', '*'), false);
+    });
+
+    it('rejects what is not a range', () => {
+        ['latest', 'file:../lib', 'github:user/repo', '1.2.3.4', '>=abc'].forEach(range => {
+            assert.strictEqual(parseRange(range), null, range);
+            assert.strictEqual(satisfies('1.2.3', range), false, range);
+        });
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseLocalSpec, formatLocalSpec, describeSpec } = require('../lib/specifiers');
+const { unlinkLocalDependencies } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile } = require('./helpers');
+
+describe('parseLocalSpec', () => {
+    const base = path.resolve('/work/app');
+
+    it('parses file: directories and tarballs', () => {
+        assert.deepStrictEqual(parseLocalSpec('file:../lib', base), {
+            protocol: 'file', type: 'directory', relativePath: '../lib', src: path.resolve('/work/lib')
+        });
+        assert.strictEqual(parseLocalSpec('file:../lib-1.0.0.tgz', base).type, 'tarball');
+        assert.strictEqual(parseLocalSpec('file:vendor/lib.tar.gz', base).src, path.resolve('/work/app/vendor/lib.tar.gz'));
+        assert.strictEqual(parseLocalSpec('file:./lib.TAR', base).type, 'tarball');
+    });
+
+    it('parses link: specs as directories', () => {
+        assert.deepStrictEqual(parseLocalSpec('link:../lib', base), {
+            protocol: 'link', type: 'directory', relativePath: '../lib', src: path.resolve('/work/lib')
+        });
+        assert.strictEqual(parseLocalSpec('link:../lib.tgz', base).type, 'directory');
+    });
+
+    it('parses npm: aliases of local specs', () => {
+        assert.deepStrictEqual(parseLocalSpec('npm:@scope/lib@file:../lib', base), {
+            protocol: 'file', type: 'directory', relativePath: '../lib', src: path.resolve('/work/lib'), alias: '@scope/lib'
+        });
+        assert.strictEqual(parseLocalSpec('npm:lib@link:../lib', base).alias, 'lib');
+        assert.strictEqual(parseLocalSpec('npm:lib@^1.0.0', base), null);
+        assert.strictEqual(parseLocalSpec('npm:lib', base), null);
+    });
+
+    it('normalizes file:// URLs and Windows-style paths', () => {
+        assert.strictEqual(parseLocalSpec('file:///opt/my%20lib', base).src, path.normalize('/opt/my lib'));
+        assert.strictEqual(parseLocalSpec('file://localhost/opt/lib', base).relativePath, '/opt/lib');
+        assert.strictEqual(parseLocalSpec('file:///C:/libs/lib', base).relativePath, 'C:/libs/lib');
+        assert.strictEqual(parseLocalSpec('file:..\\libs\\lib', base).relativePath, '../libs/lib');
+        assert.strictEqual(parseLocalSpec('file:C:\\libs\\lib.tgz', base).relativePath, 'C:/libs/lib.tgz');
+        assert.strictEqual(parseLocalSpec('file:C:\\libs\\lib.tgz', base).type, 'tarball');
+    });
+
+    it('ignores registry, git and url specs', () => {
+        ['^1.0.0', 'latest', 'github:user/repo', 'git+https://example.com/repo.git', 'https://example.com/a.tgz', 'file:', 42]
+            .forEach(spec => assert.strictEqual(parseLocalSpec(spec, base), null, spec));
+    });
+
+    it('formats and describes parsed specs', () => {
+        const alias = parseLocalSpec('npm:b@link:../b', base);
+        assert.strictEqual(formatLocalSpec(alias), `npm:b@link:${path.resolve('/work/b')}`);
+        assert.strictEqual(describeSpec(alias), 'npm alias of b, link: directory');
+        assert.strictEqual(describeSpec(parseLocalSpec('file:../c.tgz', base)), 'file: tarball');
+    });
+});
+
+describe('local specifiers', () => {
+    let root;
+    let projectRoot;
+    let logs;
+
+    const write = (file, content) => writeFile(path.join(root, file), content);
+
+    const modules = name => path.join(projectRoot, 'node_modules', name);
+
+    beforeEach(() => {
+        root = makeTempRoot('specs');
+        projectRoot = path.join(root, 'app');
+        logs = [];
+        mock.method(console, 'log', message => logs.push(message));
+        mock.method(process, 'cwd', () => projectRoot);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    it('copies link: dependencies and npm aliases of local paths', () => {
+        write('app/package.json', JSON.stringify({
+            dependencies: { linked: 'link:../linked', aliased: `npm:real@file://${root}/real` }
+        }));
+        write('linked/package.json', '{"name":"linked","dependencies":{"real":"link:../real"}}');
+        write('real/package.json', '{"name":"real"}');
+        write('real/index.js', 'real');
+        fs.mkdirSync(path.join(projectRoot, 'node_modules'));
+        fs.symlinkSync('../../linked', modules('linked'), 'junction');
+        fs.symlinkSync('../../real', modules('aliased'), 'junction');
+
+        unlinkLocalDependencies({ noInstall: true });
+
+        assert.strictEqual(fs.lstatSync(modules('aliased')).isSymbolicLink(), false);
+        assert.strictEqual(fs.readFileSync(path.join(modules('aliased'), 'index.js'), 'utf8'), 'real');
+        assert.strictEqual(fs.readFileSync(path.join(modules('linked'), 'node_modules/real/index.js'), 'utf8'), 'real');
+        // Nested specs keep their protocol when pinned
+        const pinned = JSON.parse(fs.readFileSync(path.join(modules('linked'), 'package.json'), 'utf8'));
+        assert.strictEqual(pinned.dependencies.real, `link:${path.join(root, 'real')}`);
+
+        assert.ok(logs.includes('[REPLACE] linked: replacing symlink with copy from ../linked (link: directory)'), logs.join('\n'));
+        assert.ok(logs.includes(`[REPLACE] aliased: replacing symlink with copy from ${root}/real (npm alias of real, file: directory)`), logs.join('\n'));
+        assert.ok(logs.includes(`[NESTED] linked > real: copying from ${path.join(root, 'real')} (link: directory)`), logs.join('\n'));
+    });
+});
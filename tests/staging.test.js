@@ -0,0 +1,184 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { stagingPath, swapIntoPlace, cleanupStaging } = require('../lib/staging');
+const { unlinkLocalDependencies, resolveLocalDependencies, statusLocalDependencies } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile, createLinkedPackage, captureConsole } = require('./helpers');
+
+describe('staging', () => {
+    let root;
+    let projectRoot;
+    let messages;
+
+    const modules = name => path.join(projectRoot, 'node_modules', name);
+    const leftovers = () => fs.readdirSync(path.join(projectRoot, 'node_modules')).filter(entry => entry.startsWith('.rld-'));
+
+    const write = (file, content) => writeFile(path.join(root, file), content);
+
+    const createPackage = name => createLinkedPackage(root, name);
+
+    beforeEach(() => {
+        root = makeTempRoot('staging');
+        projectRoot = path.join(root, 'app');
+        fs.mkdirSync(path.join(projectRoot, 'node_modules'), { recursive: true });
+
+        messages = captureConsole();
+        mock.method(process, 'cwd', () => projectRoot);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    it('swaps a staged copy in place of a symlink', () => {
+        write('app/package.json', { dependencies: { a: 'file:../a' } });
+        createPackage('a');
+        const staging = stagingPath(modules('a'));
+        fs.mkdirSync(staging);
+        fs.writeFileSync(path.join(staging, 'index.js'), 'staged');
+
+        swapIntoPlace(staging, modules('a'));
+
+        assert.strictEqual(fs.lstatSync(modules('a')).isSymbolicLink(), false);
+        assert.strictEqual(fs.readFileSync(path.join(modules('a'), 'index.js'), 'utf8'), 'staged');
+        assert.deepStrictEqual(leftovers(), []);
+        // The source behind the symlink is untouched
+        assert.strictEqual(fs.readFileSync(path.join(root, 'a/index.js'), 'utf8'), 'module.exports = \'a\';');
+    });
+
+    it('puts the symlink back when the staged copy cannot be moved in', () => {
+        write('app/package.json', { dependencies: { a: 'file:../a' } });
+        createPackage('a');
+        const staging = stagingPath(modules('a'));
+        fs.mkdirSync(staging);
+        const renameSync = fs.renameSync;
+        mock.method(fs, 'renameSync', (from, to) => {
+            if (from === staging) throw new Error('EXDEV: cross-device link not permitted');
+            renameSync(from, to);
+        });
+
+        assert.throws(() => swapIntoPlace(staging, modules('a')), /EXDEV/);
+
+        assert.strictEqual(fs.readlinkSync(modules('a')), '../../a');
+        assert.deepStrictEqual(leftovers(), [path.basename(staging)]);
+    });
+
+    it('keeps the symlink when a copy fails halfway', () => {
+        write('app/package.json', { dependencies: { a: 'file:../a' } });
+        createPackage('a');
+        const copyFileSync = fs.copyFileSync;
+        mock.method(fs, 'copyFileSync', (src, dest) => {
+            if (src.endsWith('package.json')) throw new Error('ENOSPC: no space left on device');
+            copyFileSync(src, dest);
+        });
+
+        const report = unlinkLocalDependencies({ noInstall: true });
+
+        assert.deepStrictEqual(report.dependencies.map(({ actions, error }) => [actions, error]), [
+            [['replace', 'rollback'], 'ENOSPC: no space left on device'],
+        ]);
+        assert.strictEqual(fs.readlinkSync(modules('a')), '../../a');
+        assert.deepStrictEqual(leftovers(), []);
+        assert.ok(messages.includes('[ROLLBACK] a: discarded the staged copy, the original is left in place'));
+    });
+
+    it('rolls back a failed install in strict mode only', () => {
+        write('app/package.json', { dependencies: { a: 'file:../a' } });
+        createPackage('a');
+        mock.method(childProcess, 'spawnSync', () => ({ status: 1 }));
+
+        const strict = unlinkLocalDependencies({ silent: true, strict: true });
+
+        assert.deepStrictEqual(strict.dependencies[0].actions, ['replace', 'rollback']);
+        assert.strictEqual(strict.dependencies[0].error, 'npm install exited with code 1');
+        assert.strictEqual(fs.lstatSync(modules('a')).isSymbolicLink(), true);
+        assert.deepStrictEqual(leftovers(), []);
+
+        const lenient = unlinkLocalDependencies({ silent: true });
+
+        assert.deepStrictEqual(lenient.dependencies[0].actions, ['replace']);
+        assert.strictEqual(lenient.dependencies[0].install, 'failed');
+        assert.strictEqual(fs.lstatSync(modules('a')).isSymbolicLink(), false);
+    });
+
+    it('keeps the symlink when an async copy fails', async () => {
+        write('app/package.json', { dependencies: { a: 'file:../a' } });
+        createPackage('a');
+        mock.method(fs.promises, 'chmod', async () => {
+            throw new Error('EPERM: operation not permitted');
+        });
+
+        const report = await resolveLocalDependencies({ noInstall: true });
+
+        assert.deepStrictEqual(report.dependencies[0].actions, ['replace', 'rollback']);
+        assert.strictEqual(fs.readlinkSync(modules('a')), '../../a');
+        assert.deepStrictEqual(leftovers(), []);
+    });
+
+    it('keeps a copy and its record as they were when an update fails', () => {
+        write('app/package.json', { dependencies: { a: 'file:../a' } });
+        createPackage('a');
+        write('a/old.js', 'old');
+        unlinkLocalDependencies({ noInstall: true, silent: true });
+        write('a/index.js', 'changed');
+        write('a/added.js', 'added');
+        fs.rmSync(path.join(root, 'a/old.js'));
+        const writeFileSync = fs.writeFileSync;
+        mock.method(fs, 'writeFileSync', (file, ...args) => {
+            if (file.endsWith(path.join('.resolve-local-dependencies', 'a.json'))) throw new Error('ENOSPC: no space left on device');
+            writeFileSync(file, ...args);
+        });
+
+        const report = unlinkLocalDependencies({ noInstall: true });
+
+        assert.deepStrictEqual(report.dependencies.map(({ actions, error }) => [actions, error]), [
+            [['update', 'rollback'], 'ENOSPC: no space left on device'],
+        ]);
+        assert.ok(messages.includes('[ROLLBACK] a: discarded the update, the copy is left as it was'));
+        assert.strictEqual(fs.readFileSync(path.join(modules('a'), 'index.js'), 'utf8'), 'module.exports = \'a\';');
+        assert.strictEqual(fs.readFileSync(path.join(modules('a'), 'old.js'), 'utf8'), 'old');
+        assert.strictEqual(fs.existsSync(path.join(modules('a'), 'added.js')), false);
+        assert.deepStrictEqual(leftovers(), []);
+        assert.strictEqual(statusLocalDependencies()[0].status, 'stale');
+
+        fs.writeFileSync.mock.restore();
+        unlinkLocalDependencies({ noInstall: true, silent: true });
+
+        assert.strictEqual(fs.readFileSync(path.join(modules('a'), 'index.js'), 'utf8'), 'changed');
+        assert.strictEqual(statusLocalDependencies()[0].status, 'up-to-date');
+    });
+
+    it('cleans up what an interrupted run left behind', () => {
+        write('app/package.json', { dependencies: { a: 'file:../a', b: 'file:../b' } });
+        createPackage('a');
+        createPackage('b');
+        // A staging directory, and b moved aside just before its copy was swapped in
+        write('app/node_modules/.rld-staging-a-0123abcd/index.js', 'half');
+        fs.renameSync(modules('b'), path.join(projectRoot, 'node_modules/.rld-backup-b-89abcdef'));
+        // a is in place, so its backup is stale
+        fs.symlinkSync('../../a', path.join(projectRoot, 'node_modules/.rld-backup-a-00000000'), 'junction');
+
+        assert.deepStrictEqual(cleanupStaging([path.join(projectRoot, 'node_modules')]).map(leftover => path.basename(leftover)).sort(), [
+            '.rld-backup-a-00000000',
+            '.rld-backup-b-89abcdef',
+            '.rld-staging-a-0123abcd',
+        ]);
+        assert.deepStrictEqual(leftovers(), []);
+        assert.strictEqual(fs.readlinkSync(modules('b')), '../../b');
+    });
+
+    it('cleans up leftovers before a run', () => {
+        write('app/package.json', { dependencies: { a: 'file:../a' } });
+        createPackage('a');
+        write('app/node_modules/.rld-staging-a-0123abcd/index.js', 'half');
+
+        unlinkLocalDependencies({ noInstall: true });
+
+        assert.deepStrictEqual(leftovers(), []);
+        assert.ok(messages.includes(`[CLEANUP] Cleaned up ${path.join('node_modules', '.rld-staging-a-0123abcd')}, left by an interrupted run`));
+        assert.strictEqual(fs.lstatSync(modules('a')).isSymbolicLink(), false);
+    });
+});
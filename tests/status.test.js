@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { unlinkLocalDependencies, statusLocalDependencies, formatStatus } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile } = require('./helpers');
+
+describe('statusLocalDependencies and incremental updates', () => {
+    let root;
+    let projectRoot;
+
+    const write = (file, content) => writeFile(path.join(root, file), content);
+
+    const read = file => fs.readFileSync(path.join(root, file), 'utf8');
+    const statusOf = name => statusLocalDependencies().find(entry => entry.name === name);
+
+    beforeEach(() => {
+        root = makeTempRoot('status');
+        projectRoot = path.join(root, 'app');
+
+        write('app/package.json', JSON.stringify({
+            dependencies: { a: 'file:../a', linked: 'file:../linked', gone: 'file:../gone' }
+        }));
+        write('a/package.json', '{"name":"a"}');
+        write('a/index.js', 'one');
+        write('a/lib/util.js', 'util');
+        write('linked/package.json', '{}');
+        fs.mkdirSync(path.join(projectRoot, 'node_modules'));
+        fs.symlinkSync('../../a', path.join(projectRoot, 'node_modules/a'), 'junction');
+
+        mock.method(process, 'cwd', () => projectRoot);
+        unlinkLocalDependencies({ silent: true, noInstall: true });
+        fs.symlinkSync('../../linked', path.join(projectRoot, 'node_modules/linked'), 'junction');
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    it('reports up-to-date, linked and missing dependencies', () => {
+        const statuses = statusLocalDependencies();
+
+        assert.deepStrictEqual(statuses.map(({ name, status }) => [name, status]), [
+            ['a', 'up-to-date'],
+            ['linked', 'linked'],
+            ['gone', 'missing']
+        ]);
+        assert.ok(formatStatus(statuses).includes('up-to-date  a'));
+    });
+
+    it('does not count a touched but unchanged file', () => {
+        const later = new Date(Date.now() + 60000);
+        fs.utimesSync(path.join(root, 'a/index.js'), later, later);
+        fs.utimesSync(path.join(root, 'app/node_modules/a/index.js'), later, later);
+
+        assert.strictEqual(statusOf('a').status, 'up-to-date');
+    });
+
+    it('reports a stale copy and updates only the changed files', () => {
+        write('a/index.js', 'two');
+        write('a/added.js', 'new');
+        fs.rmSync(path.join(root, 'a/lib/util.js'));
+        write('app/node_modules/a/node_modules/dep/index.js', 'installed');
+
+        const stale = statusOf('a');
+        assert.strictEqual(stale.status, 'stale');
+        assert.deepStrictEqual(stale.sourceChanges, { added: ['added.js'], changed: ['index.js'], removed: ['lib/util.js'] });
+
+        const untouched = fs.statSync(path.join(root, 'app/node_modules/a/package.json')).mtimeMs;
+        unlinkLocalDependencies({ silent: true, noInstall: true });
+
+        assert.strictEqual(read('app/node_modules/a/index.js'), 'two');
+        assert.strictEqual(read('app/node_modules/a/added.js'), 'new');
+        assert.strictEqual(fs.existsSync(path.join(root, 'app/node_modules/a/lib/util.js')), false);
+        assert.strictEqual(read('app/node_modules/a/node_modules/dep/index.js'), 'installed');
+        assert.strictEqual(fs.statSync(path.join(root, 'app/node_modules/a/package.json')).mtimeMs, untouched);
+        assert.strictEqual(statusOf('a').status, 'up-to-date');
+    });
+
+    it('reports a copy edited in place and leaves it alone', () => {
+        write('app/node_modules/a/index.js', 'patched');
+        write('a/index.js', 'two');
+
+        const modified = statusOf('a');
+        assert.strictEqual(modified.status, 'modified-in-place');
+        assert.deepStrictEqual(modified.modifications, [{ file: 'index.js', change: 'modified' }]);
+
+        unlinkLocalDependencies({ silent: true, noInstall: true });
+        assert.strictEqual(read('app/node_modules/a/index.js'), 'patched');
+    });
+
+    it('reports and updates a nested copy whose source changed', () => {
+        write('b/package.json', '{"name":"b"}');
+        write('b/index.js', 'one');
+        write('a/package.json', JSON.stringify({ name: 'a', dependencies: { b: 'file:../b' } }));
+        fs.rmSync(path.join(projectRoot, 'node_modules/a'), { recursive: true });
+        fs.symlinkSync('../../a', path.join(projectRoot, 'node_modules/a'), 'junction');
+        unlinkLocalDependencies({ silent: true, noInstall: true });
+
+        const nestedOf = () => statusLocalDependencies().find(entry => entry.parent === 'a' && entry.name === 'b');
+        assert.strictEqual(nestedOf().status, 'up-to-date');
+        assert.ok(formatStatus(statusLocalDependencies()).includes('up-to-date  a > b'));
+
+        write('b/index.js', 'two');
+        const stale = nestedOf();
+        assert.strictEqual(stale.status, 'stale');
+        assert.deepStrictEqual(stale.sourceChanges, { added: [], changed: ['index.js'], removed: [] });
+        assert.strictEqual(statusOf('a').status, 'up-to-date');
+
+        const report = unlinkLocalDependencies({ silent: true, noInstall: true });
+        assert.deepStrictEqual(report.dependencies.map(({ name, actions }) => [name, actions]), [
+            ['a', ['skip-up-to-date']],
+            ['b', ['update']],
+            ['linked', ['skip-up-to-date']],
+            ['gone', ['missing']]
+        ]);
+        assert.strictEqual(read('app/node_modules/a/node_modules/b/index.js'), 'two');
+        assert.strictEqual(nestedOf().status, 'up-to-date');
+    });
+
+    it('plans an update in dry-run mode without applying it', () => {
+        write('a/index.js', 'two');
+
+        const plan = unlinkLocalDependencies({ dryRun: true, noInstall: true });
+
+        assert.deepStrictEqual(plan.dependencies[0].actions, ['update']);
+        assert.strictEqual(read('app/node_modules/a/index.js'), 'one');
+    });
+});
@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { vendorLocalDependencies, unvendorLocalDependencies } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile, captureConsole } = require('./helpers');
+
+describe('vendor', () => {
+    let root;
+    let projectRoot;
+    let messages;
+
+    const read = file => JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+
+    const write = (file, content) => writeFile(path.join(root, file), content);
+
+    beforeEach(() => {
+        root = makeTempRoot('vendor');
+        projectRoot = path.join(root, 'app');
+
+        write('app/package.json', {
+            name: 'app',
+            dependencies: { '@acme/ui': 'file:../packages/ui', 'lodash': '^4.17.21' },
+            devDependencies: { fixtures: 'file:../fixtures-1.0.0.tgz' },
+        });
+        write('packages/ui/package.json', { name: '@acme/ui', files: ['index.js'], dependencies: { utils: 'file:../utils' } });
+        write('packages/ui/index.js', 'module.exports = require("utils");');
+        write('packages/ui/notes.md', 'not published');
+        write('packages/utils/package.json', { name: 'utils', dependencies: { '@acme/ui': 'file:../ui' } });
+        write('packages/utils/index.js', '');
+        write('fixtures-1.0.0.tgz', 'tarball');
+
+        messages = captureConsole();
+        mock.method(process, 'cwd', () => projectRoot);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    it('copies the local dependencies into the project and points the specs at them', () => {
+        const { vendored, manifest } = vendorLocalDependencies();
+
+        assert.strictEqual(manifest, path.join(projectRoot, 'package.json'));
+        assert.deepStrictEqual(vendored.map(({ name, path: place }) => [name, place]), [
+            ['@acme/ui', 'vendor/@acme/ui'],
+            ['utils', 'vendor/utils'],
+            ['fixtures', 'vendor/fixtures/fixtures-1.0.0.tgz'],
+        ]);
+        const pkg = read('app/package.json');
+        assert.deepStrictEqual(pkg.dependencies, { '@acme/ui': 'file:vendor/@acme/ui', 'lodash': '^4.17.21' });
+        assert.deepStrictEqual(pkg.devDependencies, { fixtures: 'file:vendor/fixtures/fixtures-1.0.0.tgz' });
+        // Nested specs point at each other, the cycle included
+        assert.deepStrictEqual(read('app/vendor/@acme/ui/package.json').dependencies, { utils: 'file:../../utils' });
+        assert.deepStrictEqual(read('app/vendor/utils/package.json').dependencies, { '@acme/ui': 'file:../@acme/ui' });
+        assert.ok(!fs.existsSync(path.join(projectRoot, 'vendor/@acme/ui/notes.md')));
+        assert.strictEqual(fs.readFileSync(path.join(projectRoot, 'vendor/fixtures/fixtures-1.0.0.tgz'), 'utf8'), 'tarball');
+        assert.ok(messages.includes('[VENDOR] @acme/ui > utils: copied from ' + path.join(root, 'packages/utils') + ' to vendor/utils'));
+
+        // The sources are untouched, and vendoring again copies from them
+        write('packages/utils/added.js', '');
+        vendorLocalDependencies();
+        assert.ok(fs.existsSync(path.join(projectRoot, 'vendor/utils/added.js')));
+        assert.strictEqual(read('app/package.json').dependencies['@acme/ui'], 'file:vendor/@acme/ui');
+
+        const result = unvendorLocalDependencies();
+        assert.deepStrictEqual(result, { restored: ['@acme/ui', 'fixtures'], skipped: [] });
+        assert.deepStrictEqual(read('app/package.json').dependencies, { '@acme/ui': 'file:../packages/ui', 'lodash': '^4.17.21' });
+        assert.deepStrictEqual(read('app/package.json').devDependencies, { fixtures: 'file:../fixtures-1.0.0.tgz' });
+        assert.ok(!fs.existsSync(path.join(projectRoot, 'vendor')));
+    });
+
+    it('writes a separate package.json with output, in the directory given', () => {
+        const original = fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8');
+
+        vendorLocalDependencies({ dir: 'docker/deps', output: 'docker/package.json' });
+
+        assert.strictEqual(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8'), original);
+        assert.strictEqual(read('app/docker/package.json').dependencies['@acme/ui'], 'file:docker/deps/@acme/ui');
+        assert.ok(fs.existsSync(path.join(projectRoot, 'docker/deps/utils/index.js')));
+        assert.throws(() => vendorLocalDependencies({ dir: '../outside' }), /must be inside the project/);
+
+        unvendorLocalDependencies({ dir: 'docker/deps' });
+        assert.ok(!fs.existsSync(path.join(projectRoot, 'docker/package.json')));
+        assert.ok(!fs.existsSync(path.join(projectRoot, 'docker/deps')));
+        assert.strictEqual(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8'), original);
+    });
+
+    it('leaves what it did not make alone', () => {
+        write('app/vendor/mine.js', '');
+        assert.throws(() => vendorLocalDependencies(), /vendor already exists and was not made by the vendor command/);
+        assert.ok(fs.existsSync(path.join(projectRoot, 'vendor/mine.js')));
+        assert.throws(() => unvendorLocalDependencies(), /No vendored dependencies in vendor/);
+        fs.rmSync(path.join(projectRoot, 'vendor'), { recursive: true });
+
+        vendorLocalDependencies();
+        const pkg = read('app/package.json');
+        pkg.dependencies['@acme/ui'] = '^2.0.0';
+        write('app/package.json', pkg);
+
+        assert.deepStrictEqual(unvendorLocalDependencies(), { restored: ['fixtures'], skipped: ['@acme/ui'] });
+        assert.strictEqual(read('app/package.json').dependencies['@acme/ui'], '^2.0.0');
+        assert.ok(messages.includes('[WARN] @acme/ui was changed since it was vendored, leaving it'));
+        assert.ok(!fs.existsSync(path.join(projectRoot, 'vendor')));
+    });
+
+    it('keeps the vendor directory while a spec left as it is points into it', () => {
+        vendorLocalDependencies();
+        const pkg = read('app/package.json');
+        pkg.dependencies['@acme/ui'] = 'file:./vendor/@acme/ui';
+        write('app/package.json', pkg);
+
+        assert.deepStrictEqual(unvendorLocalDependencies(), { restored: ['fixtures'], skipped: ['@acme/ui'] });
+        assert.ok(fs.existsSync(path.join(projectRoot, 'vendor/@acme/ui/index.js')));
+        assert.ok(fs.existsSync(path.join(projectRoot, 'vendor/utils/index.js')));
+        assert.deepStrictEqual(read('app/vendor/.vendor.json').specs.map(({ name }) => name), ['@acme/ui']);
+        assert.ok(messages.includes('[WARN] Keeping vendor, the specs of @acme/ui still point into it'));
+    });
+
+    it('refuses two packages of the same name from different sources', () => {
+        write('packages/utils/package.json', { name: 'utils', dependencies: { shared: 'file:../shared-v1' } });
+        write('packages/shared-v1/package.json', { name: 'shared' });
+        const pkg = read('app/package.json');
+        pkg.dependencies.shared = 'file:../packages/shared-v2';
+        write('app/package.json', pkg);
+        write('packages/shared-v2/package.json', { name: 'shared' });
+
+        assert.throws(() => vendorLocalDependencies(), /Two local packages named shared come from different sources/);
+        assert.ok(!fs.existsSync(path.join(projectRoot, 'vendor')));
+        assert.strictEqual(read('app/package.json').dependencies.shared, 'file:../packages/shared-v2');
+        assert.deepStrictEqual(fs.readdirSync(projectRoot), ['package.json']);
+    });
+});
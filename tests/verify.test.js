@@ -0,0 +1,114 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { unlinkLocalDependencies, verifyLocalDependencies, formatVerify } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile } = require('./helpers');
+
+describe('verify', () => {
+    let root;
+    let projectRoot;
+
+    const modules = name => path.join(projectRoot, 'node_modules', name);
+    const problems = () => verifyLocalDependencies().dependencies
+        .map(({ name, problems: found }) => [name, found.map(({ type, message }) => `${type}: ${message}`)]);
+
+    const write = (file, content) => writeFile(path.join(root, file), content);
+
+    beforeEach(() => {
+        root = makeTempRoot('verify');
+        projectRoot = path.join(root, 'app');
+
+        // Declared later than peerDependencies, so the local spec is the one kept
+        write('app/package.json', { optionalDependencies: { a: 'file:../a' }, peerDependencies: { a: '^1.0.0' } });
+        write('a/package.json', {
+            name: 'a',
+            version: '1.2.0',
+            main: 'lib/index',
+            exports: { '.': './lib/index.js', './util': { require: './util.js' }, './*': './lib/*.js' },
+            dependencies: { b: 'file:../b' },
+        });
+        write('a/lib/index.js', 'module.exports = 1;');
+        write('a/util.js', '');
+        write('b/package.json', { name: 'b', version: '0.1.0' });
+        write('b/index.js', '');
+        fs.mkdirSync(path.join(projectRoot, 'node_modules'));
+        fs.symlinkSync('../../a', modules('a'), 'junction');
+
+        ['log', 'warn', 'error'].forEach(level => {
+            mock.method(console, level, () => {});
+        });
+        mock.method(process, 'cwd', () => projectRoot);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    it('passes copies that match their sources, nested ones included', () => {
+        unlinkLocalDependencies({ noInstall: true, silent: true });
+
+        const result = verifyLocalDependencies();
+        assert.strictEqual(result.ok, true);
+        assert.deepStrictEqual(result.dependencies, [
+            { name: 'a', parent: null, destination: 'node_modules/a', problems: [] },
+            { name: 'b', parent: 'a', destination: 'node_modules/a/node_modules/b', problems: [] },
+        ]);
+        assert.strictEqual(formatVerify(result), [
+            '  ok      a',
+            '  ok      a > b',
+            'Verified 2 local dependencies, 0 failed.',
+        ].join('\n'));
+    });
+
+    it('reports links that were never copied', () => {
+        const result = verifyLocalDependencies();
+
+        assert.strictEqual(result.ok, false);
+        assert.deepStrictEqual(problems(), [['a', ['symlink: still a symlink to ../../a']]]);
+
+        fs.rmSync(modules('a'));
+        assert.deepStrictEqual(problems(), [['a', ['missing: not found in node_modules']]]);
+        assert.throws(() => verifyLocalDependencies({ packages: ['c'] }), /Not a local dependency of this project: c/);
+    });
+
+    it('reports names, versions, entry files and files that do not match', () => {
+        unlinkLocalDependencies({ noInstall: true, silent: true });
+        const pkg = JSON.parse(fs.readFileSync(modules('a/package.json'), 'utf8'));
+        fs.writeFileSync(modules('a/package.json'), JSON.stringify({ ...pkg, name: 'a-fork', version: '2.0.0' }));
+        fs.rmSync(modules('a/util.js'));
+        fs.appendFileSync(modules('a/lib/index.js'), '\n');
+        fs.writeFileSync(modules('a/extra.js'), '');
+        fs.rmSync(modules('a/node_modules/b'), { recursive: true });
+        fs.symlinkSync(path.join(root, 'b'), modules('a/node_modules/b'), 'junction');
+
+        assert.deepStrictEqual(problems(), [
+            ['a', [
+                'name: package.json names it a-fork, expected a',
+                'version: version 2.0.0 differs from 1.2.0 in the source',
+                'version: version 2.0.0 does not satisfy ^1.0.0 required by the host',
+                'entry: ./util.js (exports) is missing',
+                'file: lib/index.js differs from the source',
+                'file: util.js is missing from the copy',
+                'file: extra.js is not in the source',
+            ]],
+            ['b', [`symlink: still a symlink to ${path.join(root, 'b')}`]],
+        ]);
+
+        fs.rmSync(modules('a/lib/index.js'));
+        const entries = verifyLocalDependencies({ packages: ['a'] }).dependencies[0].problems.filter(({ type }) => type === 'entry');
+        assert.deepStrictEqual(entries.map(({ file }) => file), ['lib/index', './lib/index.js', './util.js']);
+    });
+
+    it('formats the problems under the dependency they belong to', () => {
+        assert.strictEqual(formatVerify({ dependencies: [] }), 'No local dependencies found.');
+        assert.strictEqual(formatVerify({
+            dependencies: [{ name: 'b', parent: 'a', workspace: 'packages/web', problems: [{ type: 'file', message: 'x.js differs from the source' }] }],
+        }), [
+            '  failed  a > b (packages/web)',
+            '            file: x.js differs from the source',
+            'Verified 1 local dependencies, 1 failed.',
+        ].join('\n'));
+    });
+});
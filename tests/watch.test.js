@@ -0,0 +1,177 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { unlinkLocalDependencies, watchLocalDependencies, statusLocalDependencies } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile } = require('./helpers');
+
+describe('watchLocalDependencies', () => {
+    let root;
+    let projectRoot;
+    let src;
+    let dest;
+    let watcher;
+    let logs;
+
+    // Polls until the assertion passes, failing after the timeout
+    async function eventually(assertion, timeout = 3000) {
+        const start = Date.now();
+        for (;;) {
+            try {
+                return assertion();
+            } catch (error) {
+                if (Date.now() - start > timeout) throw error;
+                await new Promise(resolve => setTimeout(resolve, 25));
+            }
+        }
+    }
+
+    beforeEach(() => {
+        root = makeTempRoot('watch');
+        projectRoot = path.join(root, 'app');
+        src = path.join(root, 'local-pkg');
+        dest = path.join(projectRoot, 'node_modules', 'local-pkg');
+
+        writeFile(path.join(projectRoot, 'package.json'), JSON.stringify({
+            dependencies: { 'local-pkg': 'file:../local-pkg' }
+        }));
+        writeFile(path.join(src, 'package.json'), '{"name":"local-pkg"}');
+        writeFile(path.join(src, 'index.js'), 'module.exports = 1;');
+        writeFile(path.join(src, 'old.js'), '');
+        fs.mkdirSync(path.dirname(dest), { recursive: true });
+        fs.symlinkSync('../../local-pkg', dest, 'junction');
+
+        logs = [];
+        mock.method(process, 'cwd', () => projectRoot);
+        mock.method(console, 'log', message => logs.push(message));
+    });
+
+    // Replaces the symlink with a recorded copy, as the run before watching does
+    const copy = (options = {}) => unlinkLocalDependencies({ noInstall: true, silent: true, ...options });
+    const statusOf = () => statusLocalDependencies()[0].status;
+
+    afterEach(() => {
+        if (watcher) watcher.close();
+        watcher = null;
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    it('copies changed, added and removed files into the copy', async () => {
+        copy();
+        watcher = watchLocalDependencies({ silent: true, debounce: 20, noInstall: true });
+
+        writeFile(path.join(src, 'index.js'), 'module.exports = 2;');
+        writeFile(path.join(src, 'lib', 'added.js'), 'added');
+        fs.rmSync(path.join(src, 'old.js'));
+
+        await eventually(() => {
+            assert.strictEqual(fs.readFileSync(path.join(dest, 'index.js'), 'utf8'), 'module.exports = 2;');
+            assert.strictEqual(fs.readFileSync(path.join(dest, 'lib', 'added.js'), 'utf8'), 'added');
+            assert.strictEqual(fs.existsSync(path.join(dest, 'old.js')), false);
+        });
+    });
+
+    it('syncs outdated files on start and skips dependencies that are still symlinks', () => {
+        copy();
+        writeFile(path.join(src, 'index.js'), 'module.exports = 3;');
+
+        watcher = watchLocalDependencies({ noInstall: true });
+
+        assert.strictEqual(fs.readFileSync(path.join(dest, 'index.js'), 'utf8'), 'module.exports = 3;');
+        assert.ok(logs.some(message => message.startsWith('[SYNC] local-pkg:')), 'sync not logged');
+
+        watcher.close();
+        fs.rmSync(dest, { recursive: true });
+        fs.symlinkSync(src, dest, 'junction');
+
+        watcher = watchLocalDependencies();
+        assert.ok(logs.includes('[SKIP] local-pkg is a symlink, changes are already visible'));
+        watcher.close();
+
+        fs.rmSync(dest);
+        fs.rmSync(path.join(projectRoot, 'node_modules', '.resolve-local-dependencies'), { recursive: true });
+        writeFile(path.join(dest, 'package.json'), '{"name":"local-pkg"}');
+        watcher = watchLocalDependencies();
+        assert.ok(logs.includes('[SKIP] local-pkg is a copy this tool has no record of'));
+    });
+
+    it('copies with the symlink policy and copy strategy given', async () => {
+        writeFile(path.join(root, 'shared', 'helper.js'), 'shared');
+        copy({ symlinks: 'skip', copyStrategy: 'hardlink' });
+        watcher = watchLocalDependencies({ silent: true, debounce: 20, noInstall: true, symlinks: 'skip', copyStrategy: 'hardlink' });
+
+        fs.symlinkSync(path.join(root, 'shared', 'helper.js'), path.join(src, 'helper.js'));
+        writeFile(path.join(src, 'index.js'), 'module.exports = 5;');
+
+        await eventually(() => {
+            assert.strictEqual(fs.readFileSync(path.join(dest, 'index.js'), 'utf8'), 'module.exports = 5;');
+        });
+        assert.strictEqual(fs.statSync(path.join(dest, 'index.js')).ino, fs.statSync(path.join(src, 'index.js')).ino);
+        assert.strictEqual(fs.existsSync(path.join(dest, 'helper.js')), false);
+    });
+
+    it('only watches the packages selected', () => {
+        copy();
+        writeFile(path.join(src, 'index.js'), 'module.exports = 6;');
+
+        watcher = watchLocalDependencies({ exclude: ['local-*'], noInstall: true });
+        assert.strictEqual(fs.readFileSync(path.join(dest, 'index.js'), 'utf8'), 'module.exports = 1;');
+        assert.ok(!logs.some(message => message.startsWith('[WATCH]')), 'excluded package watched');
+        watcher.close();
+
+        assert.throws(() => watchLocalDependencies({ packages: ['other'] }), /Not a local dependency of this project: other/);
+        watcher = watchLocalDependencies({ packages: ['local-pkg'], noInstall: true });
+        assert.strictEqual(fs.readFileSync(path.join(dest, 'index.js'), 'utf8'), 'module.exports = 6;');
+    });
+
+    it('never touches files outside the published set', async () => {
+        copy();
+        writeFile(path.join(dest, 'node_modules', 'dep', 'index.js'), 'installed');
+        watcher = watchLocalDependencies({ silent: true, debounce: 20, noInstall: true });
+
+        writeFile(path.join(src, 'node_modules', 'other', 'index.js'), 'source only');
+        writeFile(path.join(src, 'index.js'), 'module.exports = 4;');
+
+        await eventually(() => {
+            assert.strictEqual(fs.readFileSync(path.join(dest, 'index.js'), 'utf8'), 'module.exports = 4;');
+        });
+        assert.strictEqual(fs.readFileSync(path.join(dest, 'node_modules', 'dep', 'index.js'), 'utf8'), 'installed');
+        assert.strictEqual(fs.existsSync(path.join(dest, 'node_modules', 'other')), false);
+    });
+
+    it('keeps the record of the copy up to date, so that status and later runs see a synced copy', async () => {
+        copy();
+        watcher = watchLocalDependencies({ silent: true, debounce: 20, noInstall: true });
+
+        writeFile(path.join(src, 'index.js'), 'module.exports = 7;');
+
+        await eventually(() => {
+            assert.strictEqual(fs.readFileSync(path.join(dest, 'index.js'), 'utf8'), 'module.exports = 7;');
+            assert.strictEqual(statusOf(), 'up-to-date');
+        });
+        assert.deepStrictEqual(copy().dependencies[0].actions, ['skip-up-to-date']);
+    });
+
+    it('leaves an up-to-date copy alone on start and keeps its nested specs pinned', async () => {
+        writeFile(path.join(src, 'package.json'), JSON.stringify({ name: 'local-pkg', dependencies: { nested: 'file:../nested' } }));
+        writeFile(path.join(root, 'nested', 'package.json'), '{"name":"nested"}');
+        copy();
+        const pinned = fs.readFileSync(path.join(dest, 'package.json'), 'utf8');
+        assert.ok(!pinned.includes('file:../nested'), 'nested spec not pinned');
+
+        watcher = watchLocalDependencies({ debounce: 20, noInstall: true });
+
+        assert.ok(!logs.some(message => message.startsWith('[SYNC]')), 'untouched files synced');
+        assert.strictEqual(fs.readFileSync(path.join(dest, 'package.json'), 'utf8'), pinned);
+
+        writeFile(path.join(src, 'package.json'), JSON.stringify({ name: 'local-pkg', version: '2.0.0', dependencies: { nested: 'file:../nested' } }));
+
+        await eventually(() => {
+            const manifest = JSON.parse(fs.readFileSync(path.join(dest, 'package.json'), 'utf8'));
+            assert.strictEqual(manifest.version, '2.0.0');
+            assert.deepStrictEqual(manifest.dependencies, JSON.parse(pinned).dependencies);
+            assert.strictEqual(statusOf(), 'up-to-date');
+        });
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { findWorkspaces } = require('../lib/workspaces');
+const { unlinkLocalDependencies } = require('../lib/index');
+const { makeTempRoot, removeTempRoot, writeFile } = require('./helpers');
+
+describe('workspaces', () => {
+    let root;
+
+    const write = (file, content) => writeFile(path.join(root, file), content);
+
+    function link(target, file) {
+        const linkPath = path.join(root, file);
+        fs.mkdirSync(path.dirname(linkPath), { recursive: true });
+        fs.symlinkSync(path.join(root, target), linkPath, 'junction');
+    }
+
+    const isLink = file => fs.lstatSync(path.join(root, file)).isSymbolicLink();
+
+    beforeEach(() => {
+        root = makeTempRoot('workspaces');
+        mock.method(process, 'cwd', () => path.join(root, 'repo'));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        removeTempRoot(root);
+    });
+
+    it('expands workspace globs, honouring negations', () => {
+        write('repo/package.json', { workspaces: { packages: ['packages/*', 'apps/**', '!packages/legacy'] } });
+        write('repo/packages/a/package.json', { name: 'a' });
+        write('repo/packages/legacy/package.json', { name: 'legacy' });
+        write('repo/packages/no-manifest/index.js', '');
+        write('repo/apps/web/client/package.json', { name: 'client' });
+        write('repo/apps/node_modules/x/package.json', { name: 'x' });
+
+        const found = findWorkspaces(path.join(root, 'repo'));
+
+        assert.deepStrictEqual(found.map(w => [w.name, w.relativePath]), [
+            ['client', 'apps/web/client'],
+            ['a', 'packages/a']
+        ]);
+    });
+
+    it('replaces workspace dependencies in the node_modules they are installed in', () => {
+        write('repo/package.json', { workspaces: ['packages/*'] });
+        write('repo/packages/a/package.json', { name: 'a', dependencies: { shared: 'file:../../../shared' } });
+        write('repo/packages/b/package.json', { name: 'b', dependencies: { own: 'file:../../../own' } });
+        write('shared/package.json', { name: 'shared' });
+        write('own/package.json', { name: 'own' });
+        link('shared', 'repo/node_modules/shared');
+        link('own', 'repo/packages/b/node_modules/own');
+        link('repo/packages/a', 'repo/node_modules/a');
+
+        unlinkLocalDependencies({ silent: true, noInstall: true, workspaces: true });
+
+        assert.strictEqual(isLink('repo/node_modules/shared'), false, 'hoisted dependency not replaced');
+        assert.strictEqual(isLink('repo/packages/b/node_modules/own'), false, 'workspace dependency not replaced');
+        assert.ok(fs.existsSync(path.join(root, 'repo/packages/b/node_modules/own/package.json')));
+        assert.strictEqual(isLink('repo/node_modules/a'), true, 'workspace package should stay linked');
+    });
+
+    it('materializes the workspace packages themselves on request', () => {
+        write('repo/package.json', { workspaces: ['packages/*'] });
+        write('repo/packages/a/package.json', { name: 'a' });
+        write('repo/packages/a/index.js', '');
+        link('repo/packages/a', 'repo/node_modules/a');
+
+        unlinkLocalDependencies({ silent: true, noInstall: true, workspaces: true, materializeWorkspaces: true });
+
+        assert.strictEqual(isLink('repo/node_modules/a'), false);
+        assert.ok(fs.existsSync(path.join(root, 'repo/node_modules/a/index.js')));
+    });
+});
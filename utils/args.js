@@ -0,0 +1,110 @@
+/**
+ * Turns an option name into the key it is stored under: `dry-run` → `dryRun`.
+ */
+function toKey(name) {
+    return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Number of single-character edits between two strings.
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Finds the known flag closest to an unknown one, if any is close enough to be a typo.
+ * @param {string} flag - Unknown flag, e.g. `--no-instal`.
+ * @param {string[]} known - Every accepted flag.
+ * @returns {string|undefined}
+ */
+function suggestFlag(flag, known) {
+    const ranked = known
+        .map(candidate => ({ candidate, distance: editDistance(flag, candidate) }))
+        .sort((a, b) => a.distance - b.distance);
+    const best = ranked[0];
+    return best && best.distance <= Math.max(2, Math.floor(flag.length / 4)) ? best.candidate : undefined;
+}
+
+/**
+ * Parses command-line arguments against the options a command accepts.
+ *
+ * - `--name value` and `--name=value` for string options; repeatable ones collect every value
+ * - `--name` for boolean options, and `--no-name` for negatable ones
+ * - `-x` for options with a short alias
+ * - `--` ends the options; everything after it is positional
+ * - the first positional is the command when it is one of `commands`
+ *
+ * @param {string[]} argv - Arguments, without the node and script paths.
+ * @param {Object<string, { type: 'boolean'|'string', multiple?: boolean, negatable?: boolean,
+ *   short?: string, default?: * }>} spec - Accepted options, by their dashed name.
+ * @param {string[]} [commands=[]] - Accepted subcommands.
+ * @returns {{ command: string|null, options: Object, positionals: string[] }} Options are keyed by their
+ *   camelCased name; options not given are undefined, or [] when repeatable, unless they have a default.
+ * @throws {Error} For unknown options, with the closest known one, and for missing or unexpected values.
+ */
+function parseArgs(argv, spec, commands = []) {
+    const options = {};
+    const positionals = [];
+    const flags = new Map();
+
+    Object.entries(spec).forEach(([name, definition]) => {
+        options[toKey(name)] = definition.multiple ? [] : definition.default;
+        flags.set(`--${name}`, { name, definition, value: true });
+        if (definition.negatable) flags.set(`--no-${name}`, { name, definition, value: false });
+        if (definition.short) flags.set(`-${definition.short}`, { name, definition, value: true });
+    });
+
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === '--') {
+            positionals.push(...argv.slice(index + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+
+        const equals = arg.indexOf('=');
+        const flag = equals === -1 ? arg : arg.slice(0, equals);
+        const match = flags.get(flag);
+        if (!match) {
+            const suggestion = suggestFlag(flag, [...flags.keys()]);
+            throw new Error(`Unknown option ${flag}${suggestion ? `, did you mean ${suggestion}?` : ''}`);
+        }
+
+        const { name, definition } = match;
+        const key = toKey(name);
+        if (definition.type === 'boolean') {
+            if (equals !== -1) throw new Error(`Option ${flag} does not take a value`);
+            options[key] = match.value;
+            continue;
+        }
+
+        let value;
+        if (equals !== -1) {
+            value = arg.slice(equals + 1);
+        } else if (index + 1 < argv.length && !argv[index + 1].startsWith('-')) {
+            value = argv[++index];
+        }
+        if (!value) throw new Error(`Option ${flag} requires a value`);
+
+        if (definition.multiple) options[key].push(value);
+        else options[key] = value;
+    }
+
+    const command = commands.includes(positionals[0]) ? positionals.shift() : null;
+    return { command, options, positionals };
+}
+
+module.exports = { parseArgs, suggestFlag };
@@ -10,4 +10,89 @@ function log(message, level = 'log', silently) {
     }
 }
 
-module.exports = { log };
+// From the most to the least important; a logger prints the levels up to its own
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+const LOG_FORMATS = ['text', 'json'];
+
+/**
+ * Turns an event into a line of output: its message, or the whole event as JSON, where the
+ * tag of the message is left out since the type says the same.
+ */
+function formatEvent(event, format) {
+    if (format !== 'json') return event.message;
+    return JSON.stringify({ ...event, message: event.message.replace(/^\[[A-Z]+\] /, '') });
+}
+
+/**
+ * Creates the logger of a run. Its methods, one per level, take the type of the event
+ * (`replace`, `install`, ...), a readable message, and fields such as `package`, paths and
+ * durations. Each event gets a timestamp, goes to the listener, and is printed when its
+ * level is within the level of the logger.
+ * @param {Object} [options]
+ * @param {string} [options.level='info'] - One of LOG_LEVELS; 'silent' prints nothing.
+ * @param {'text'|'json'} [options.format='text'] - Print the messages, or one JSON object per event and line.
+ * @param {Object} [options.output] - Where lines go, through its error, warn, info and debug methods.
+ *   Defaults to the console, with info and debug lines on console.log, and every line there in JSON.
+ * @param {(event: Object) => void} [options.onEvent] - Called with every event, whatever its level.
+ * @returns {{ error: Function, warn: Function, info: Function, debug: Function, emit: (event: Object) => void }}
+ */
+function createLogger({ level = 'info', format = 'text', output, onEvent } = {}) {
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`Invalid log level "${level}", expected one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    if (!LOG_FORMATS.includes(format)) {
+        throw new Error(`Invalid log format "${format}", expected one of: ${LOG_FORMATS.join(', ')}`);
+    }
+    const threshold = LOG_LEVELS.indexOf(level);
+
+    const emit = event => {
+        if (onEvent) onEvent(event);
+        if (LOG_LEVELS.indexOf(event.level) > threshold) return;
+        const line = formatEvent(event, format);
+        if (output) {
+            output[event.level](line);
+        } else {
+            console[format === 'text' && (event.level === 'error' || event.level === 'warn') ? event.level : 'log'](line);
+        }
+    };
+    const logAt = eventLevel => (type, message, fields = {}) => {
+        emit({ time: new Date().toISOString(), level: eventLevel, type, ...fields, message });
+    };
+
+    return { error: logAt('error'), warn: logAt('warn'), info: logAt('info'), debug: logAt('debug'), emit };
+}
+
+/**
+ * Creates the logger of a run from the options of the public functions.
+ * @param {Object} options
+ * @param {boolean} [options.silent=false] - Same as the 'silent' level.
+ * @param {string} [options.logLevel='info'] - One of LOG_LEVELS.
+ * @param {'text'|'json'} [options.logFormat='text']
+ * @param {Object} [options.logger] - Custom output, see createLogger.
+ * @param {(event: Object) => void} [options.onEvent] - Listener for every event.
+ */
+function loggerFromOptions({ silent = false, logLevel = 'info', logFormat = 'text', logger, onEvent }) {
+    return createLogger({ level: silent ? 'silent' : logLevel, format: logFormat, output: logger, onEvent });
+}
+
+/**
+ * Creates a logger that holds events back until flushed, so that the output of
+ * one package is printed in one piece while several packages are processed at once.
+ * @param {Object} logger - Logger the events are passed to when flushed.
+ * @returns {{ error: Function, warn: Function, info: Function, debug: Function, flush: () => void }}
+ */
+function createLogGroup(logger) {
+    const events = [];
+    const group = createLogger({ level: 'silent', onEvent: event => events.push(event) });
+    return {
+        error: group.error,
+        warn: group.warn,
+        info: group.info,
+        debug: group.debug,
+        flush: () => {
+            events.splice(0).forEach(logger.emit);
+        },
+    };
+}
+
+module.exports = { log, LOG_LEVELS, LOG_FORMATS, createLogger, loggerFromOptions, createLogGroup };
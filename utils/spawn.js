@@ -0,0 +1,25 @@
+const childProcess = require('child_process');
+
+/**
+ * Runs a command like child_process.spawnSync, without blocking the event loop.
+ * Output is captured unless stdio says otherwise.
+ * @param {string} command - The command to run.
+ * @param {string[]} args - Its arguments.
+ * @param {Object} [options] - Options for child_process.spawn.
+ * @returns {Promise<{ status: number|null, stdout: string, stderr: string, error?: Error }>}
+ *   Resolves once the command exits, also when it fails; `error` is set when it could not be started.
+ */
+function spawnAsync(command, args, options = {}) {
+    return new Promise(resolve => {
+        const child = childProcess.spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'], ...options });
+        let stdout = '';
+        let stderr = '';
+
+        if (child.stdout) child.stdout.on('data', chunk => { stdout += chunk; });
+        if (child.stderr) child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', error => resolve({ status: null, stdout, stderr, error }));
+        child.on('close', status => resolve({ status, stdout, stderr }));
+    });
+}
+
+module.exports = { spawnAsync };